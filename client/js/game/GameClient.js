@@ -10,8 +10,18 @@
  * - Triggers UI updates through StateManager
  *
  * UPDATED: Support for 2D coordinate system
+ * UPDATED: Resume tokens so a reconnect or reload keeps the player's seat
+ * UPDATED: Host moderation: kick, ban and transfer host from the player list
+ * UPDATED: Ready-up toggle and the synchronized start countdown
  * ================================= */
 
+import { gameLogic } from './GameLogic.js';
+
+// Per tab, so two tabs never fight over one seat
+const RESUME_TOKEN_KEY = 'spectrum-resume-token';
+// The token of the tab's last seat, sent with room:join so a room that banned it can tell
+const LAST_SEAT_TOKEN_KEY = 'spectrum-last-seat-token';
+
 export class GameClient {
     constructor(stateManager, socketClient) {
         Object.assign(this, {
@@ -33,10 +43,29 @@ export class GameClient {
     async init() {
         console.log('🎮 Initializing GameClient...');
         this.setupHandlers();
+        this.loadSpectrumCounts();
+        this.socketClient.isConnected() && this.resumeSession();
         this.isInitialized = true;
         console.log('✅ GameClient initialized');
     }
 
+    /**
+     * Fetch spectrum counts per category and difficulty for the lobby settings panel
+     * Failures only cost the counts, so they are logged and ignored
+     * @returns {Promise<void>}
+     */
+    async loadSpectrumCounts() {
+        try {
+            const response = await fetch(`${this.socketClient.getServerUrl()}/api/spectrums`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const { counts } = await response.json();
+            this.stateManager.updateRoomState({ spectrumCounts: counts });
+        } catch (error) {
+            console.warn('⚠️ Failed to load spectrum counts:', error);
+        }
+    }
+
     /**
      * Set up event handlers for socket events and UI actions
      * Maps socket events to handler methods and UI events to actions
@@ -46,20 +75,41 @@ export class GameClient {
         
         // Socket event mappings
         const socketHandlers = {
+            [CONNECTION_EVENTS.CONNECT]: this.resumeSession,
             [ROOM_EVENTS.CREATED]: this.handleRoomCreated,
             [ROOM_EVENTS.JOINED]: this.handleRoomJoined,
             [ROOM_EVENTS.PLAYER_JOINED]: this.handlePlayerJoined,
             [ROOM_EVENTS.PLAYER_LEFT]: this.handlePlayerLeft,
             [ROOM_EVENTS.HOST_CHANGED]: d => this.updateRoom({ hostId: d.newHostId }, d.newHostId === this.playerId ? 'You are now the host' : null),
-            [GAME_EVENTS.STATE_UPDATE]: d => this.stateManager.handleGameStateUpdate(d),
+            [ROOM_EVENTS.TEAMS_UPDATED]: d => this.stateManager.updatePlayers(d.players),
+            [ROOM_EVENTS.READY_UPDATED]: d => this.stateManager.updatePlayers(d.players),
+            [ROOM_EVENTS.SPECTATORS_UPDATED]: d => this.stateManager.updateRoomState({ spectators: d.spectators }),
+            [ROOM_EVENTS.CLOSED]: this.handleRoomClosed,
+            [ROOM_EVENTS.KICKED]: this.handleKicked,
+            [ROOM_EVENTS.SETTINGS_UPDATED]: d => this.updateRoom({ settings: d.settings, maxPlayers: d.maxPlayers }, 'Room settings updated'),
+            [GAME_EVENTS.STATE_UPDATE]: this.handleStateUpdate,
             [GAME_EVENTS.ROUND_START]: this.handleRoundStart,
+            [GAME_EVENTS.SPECTRUM_OPTIONS]: d => this.stateManager.updateGameState({ spectrumOptions: d.spectrumOptions, rerollsLeft: d.rerollsLeft }),
+            [GAME_EVENTS.SPECTRUM_CHOSEN]: this.handleSpectrumChosen,
+            [GAME_EVENTS.DIAL_UPDATE]: d => this.stateManager.updateGameState({ dial: d }),
             [GAME_EVENTS.CLUE_SUBMITTED]: this.handleClueSubmitted,  // Use dedicated handler
-            [GAME_EVENTS.GUESS_SUBMITTED]: d => this.updateGuess(d.playerId, d.hasGuessed),
+            [GAME_EVENTS.GUESS_SUBMITTED]: d => this.updateGuess(d.playerId, d.hasGuessed, d.team, d.side, d.locked),
+            [GAME_EVENTS.COUNTER_GUESS_START]: this.handleCounterGuessStart,
+            [GAME_EVENTS.COUNTER_GUESS_SUBMITTED]: this.handleCounterGuessSubmitted,
             [GAME_EVENTS.ROUND_END]: this.handleRoundEnd,
+            [GAME_EVENTS.CLUE_RATINGS]: this.handleClueRatings,
+            [GAME_EVENTS.ROUND_VOIDED]: d => this.stateManager.addNotification({
+                type: 'warning',
+                message: `Round ${d.roundNumber} voided: ${d.reason}. The next clue giver takes over.`,
+                duration: 5000
+            }),
+            [GAME_EVENTS.COUNTDOWN]: this.handleCountdown,
             [GAME_EVENTS.FINISHED]: this.handleGameFinished,
-            [GAME_EVENTS.PHASE_CHANGE]: d => this.stateManager.setGamePhase(d.phase),
+            [GAME_EVENTS.PHASE_CHANGE]: this.handlePhaseChange,
             [TIMER_EVENTS.UPDATE]: d => this.stateManager.updateTimer(d.timeRemaining),
-            [CHAT_EVENTS.MESSAGE]: d => this.stateManager.addChatMessage({ playerId: d.playerId, playerName: d.playerName, content: d.message || d.content || d.text || '', timestamp: d.timestamp }),
+            [TIMER_EVENTS.PAUSED]: this.handleTimerPaused,
+            [TIMER_EVENTS.RESUMED]: d => this.stateManager.updateGameState({ timerPaused: false, timeRemaining: d.timeRemaining }),
+            [CHAT_EVENTS.MESSAGE]: d => this.stateManager.addChatMessage({ playerId: d.playerId, playerName: d.playerName, content: d.message || d.content || d.text || '', timestamp: d.timestamp, channel: d.channel }),
             'error': this.handleSocketError
         };
         
@@ -68,16 +118,35 @@ export class GameClient {
 
         // UI event mappings
         const uiActions = {
-            'create-room': d => this.emitIfValid(d, ROOM_EVENTS.CREATE, {
-                settings: d.settings || {
-                    maxPlayers: GAME_RULES.MAX_PLAYERS,
-                    roundDuration: GAME_RULES.ROUND_DURATION,
-                    totalRounds: GAME_RULES.MAX_ROUNDS
-                }
+            'create-room': d => this.emitIfValid(d, ROOM_EVENTS.CREATE, { settings: d.settings || {} }),
+            'join-room': d => this.emitIfValid(d, ROOM_EVENTS.JOIN, {
+                roomCode: d.roomCode.trim().toUpperCase(),
+                spectate: !!d.spectate,
+                resumeToken: sessionStorage.getItem(LAST_SEAT_TOKEN_KEY)
             }),
-            'join-room': d => this.emitIfValid(d, ROOM_EVENTS.JOIN, { roomCode: d.roomCode.trim().toUpperCase() }),
             'start-game': () => this.emitIfConnected(GAME_EVENTS.START, { roomId: this.currentRoomId }),
-            'submit-clue': d => this.emitIfValid(d, GAME_EVENTS.SUBMIT_CLUE, { roomId: this.currentRoomId, clue: d.clue.trim() }, 'clue'),
+            'toggle-ready': () => this.emitIfConnected(PLAYER_EVENTS.READY, {
+                roomId: this.currentRoomId,
+                ready: !this.stateManager.getCurrentPlayer()?.isReady
+            }),
+            'update-settings': d => this.emitIfConnected(ROOM_EVENTS.UPDATE_SETTINGS, { roomId: this.currentRoomId, settings: d.settings }),
+            'lock-guess': this.lockGuess,
+            'choose-spectrum': d => this.emitIfConnected(GAME_EVENTS.CHOOSE_SPECTRUM, { roomId: this.currentRoomId, index: d.index }),
+            'reroll-spectrums': () => this.emitIfConnected(GAME_EVENTS.REROLL_SPECTRUMS, { roomId: this.currentRoomId }),
+            'rate-clue': this.rateClue,
+            'pause-game': () => this.emitIfConnected(GAME_EVENTS.PAUSE, { roomId: this.currentRoomId }),
+            'resume-game': () => this.emitIfConnected(GAME_EVENTS.RESUME, { roomId: this.currentRoomId }),
+            'abort-game': () => this.emitIfConnected(GAME_EVENTS.ABORT, { roomId: this.currentRoomId }),
+            'switch-team': d => this.emitIfConnected(ROOM_EVENTS.SWITCH_TEAM, { roomId: this.currentRoomId, team: d.team }),
+            'moderate-player': d => this.emitIfConnected({
+                kick: ROOM_EVENTS.KICK,
+                ban: ROOM_EVENTS.BAN,
+                'transfer-host': ROOM_EVENTS.TRANSFER_HOST
+            }[d.action], { roomId: this.currentRoomId, playerId: d.playerId }),
+            'submit-clue': d => this.emitIfValid(d, GAME_EVENTS.SUBMIT_CLUE, {
+                roomId: this.currentRoomId,
+                clue: Array.isArray(d.clue) ? d.clue.map(clue => clue.trim()) : d.clue.trim()
+            }, 'clue'),
             'send-chat': d => d.message?.trim() && this.emitIfConnected(CHAT_EVENTS.SEND, { roomId: this.currentRoomId, message: d.message.trim() }),
             'leave-room': this.leaveRoom
         };
@@ -85,14 +154,17 @@ export class GameClient {
         Object.entries(uiActions).forEach(([event, handler]) => 
             this.stateManager.on(`ui:${event}`, handler.bind(this)));
         
-        this.stateManager.on(UI_EVENTS.SPECTRUM_GUESS_PLACED, this.submitGuess.bind(this));
+        this.stateManager.on(UI_EVENTS.SPECTRUM_GUESS_PLACED, this.placeGuess.bind(this));
+        this.stateManager.on(UI_EVENTS.SPECTRUM_DIAL_MOVED, d =>
+            this.currentRoomId && this.socketClient.emit(GAME_EVENTS.MOVE_DIAL, { roomId: this.currentRoomId, ...d }));
+        this.stateManager.on(UI_EVENTS.SPECTRUM_QUADRANT_SELECTED, this.submitCounterGuess.bind(this));
     }
 
     /**
      * Handle clue submission event from server
      * Updates game state to guessing phase and configures UI based on player role
      * @param {Object} data - Clue submission data
-     * @param {string} data.clue - The submitted clue
+     * @param {string|Array<string>} data.clue - The submitted clue, or one clue per target
      */
     handleClueSubmitted(data) {
         if (this.debugMode) console.log('💡 Clue submitted:', data);
@@ -109,7 +181,7 @@ export class GameClient {
         
         // Update UI based on role
         this.stateManager.showTargetCoordinate(isClueGiver);
-        this.stateManager.enableSpectrumInteraction(!isClueGiver);
+        this.stateManager.enableSpectrumInteraction(this.stateManager.canCurrentPlayerGuess());
         
         if (this.debugMode) {
             console.log(isClueGiver
@@ -123,7 +195,7 @@ export class GameClient {
      * @param {Object} data - Data to validate
      * @param {string} event - Socket event name to emit
      * @param {Object} extraData - Additional data to include in emission
-     * @param {string|null} validationType - Type of validation to perform ('clue' or null for playerName)
+     * @param {string|null} validationType - Type of validation to perform ('clue', checking every clue of a multi-target round, or null for playerName)
      * @returns {Promise<void>}
      */
     async emitIfValid(data, event, extraData = {}, validationType = null) {
@@ -131,7 +203,7 @@ export class GameClient {
             if (this.debugMode) console.log(`🔌 ${event}:`, data);
             
             const validation = validationType === 'clue'
-                ? Validator.clue(data.clue)
+                ? [data.clue].flat().map(clue => Validator.clue(clue)).find(result => !result.valid) || { valid: true }
                 : Validator.playerName(data.playerName);
             
             if (!validation.valid) throw new ValidationError(
@@ -167,33 +239,83 @@ export class GameClient {
     }
 
     /**
-     * Submit a guess to the server
-     * Validates coordinate and emits guess event
+     * Place or move the provisional guess marker
+     * Validates coordinate and emits it to the server; it only counts once locked in
      * @param {Object} data - Guess data
-     * @param {Object} data.coordinate - Coordinate of the guess {x, y}
+     * @param {Object|number|Array} data.coordinate - Coordinate of the guess {x, y}, 1D position, or one marker per target
+     */
+    placeGuess(data) {
+        try {
+            if (this.debugMode) console.log('📍 Placing guess...', data);
+            
+            const oneDimensional = this.stateManager.getGameState().spectrumMode === '1d';
+            const toMarker = coord => {
+                const validation = oneDimensional ? Validator.position(coord) : Validator.coordinate(coord);
+                if (!validation.valid) {
+                    throw new ValidationError('INVALID_GUESS', validation.error, 'coordinate', coord);
+                }
+                
+                return oneDimensional ? Number(coord)
+                    : { x: Number(coord.x), y: Number(coord.y), ...(coord.radius !== undefined && { radius: Number(coord.radius) }) };
+            };
+            
+            const coordinate = Array.isArray(data.coordinate) ? data.coordinate.map(toMarker) : toMarker(data.coordinate);
+            if (this.isSharedDial()) {
+                this.emitIfConnected(GAME_EVENTS.MOVE_DIAL, { roomId: this.currentRoomId, coordinate, grab: true });
+                return;
+            }
+            
+            this.emitIfConnected(GAME_EVENTS.MOVE_GUESS, { roomId: this.currentRoomId, coordinate });
+            this.stateManager.updateGameState({ provisionalGuess: coordinate });
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Lock in the provisional guess, or cast/withdraw this player's vote on the shared dial
      * @returns {Promise<void>}
      */
-    async submitGuess(data) {
-        if (this.isSubmitting) return;
+    async lockGuess() {
+        const { provisionalGuess, dial } = this.stateManager.getGameState();
+        const sharedDial = this.isSharedDial();
+        if (this.isSubmitting || (sharedDial ? dial?.position == null : provisionalGuess == null)) return;
         
         try {
+            if (sharedDial) {
+                this.emitIfConnected(GAME_EVENTS.VOTE_DIAL, { roomId: this.currentRoomId, lockIn: !dial.votes.includes(this.playerId) });
+                return;
+            }
+            
             this.isSubmitting = true;
-            if (this.debugMode) console.log('🎯 Submitting guess...', data);
+            if (this.debugMode) console.log('🔒 Locking in guess...', provisionalGuess);
             
-            const coord = data.coordinate;
-            const validation = Validator.coordinate(coord);
+            this.emitIfConnected(GAME_EVENTS.SUBMIT_GUESS, { roomId: this.currentRoomId, coordinate: provisionalGuess });
+        } catch (error) {
+            this.handleError(error);
+            this.isSubmitting = false;
+        }
+    }
+
+    /**
+     * Validate the predicted quadrant and emit it for the duel counter-guess
+     * @param {Object} data - Quadrant data
+     * @param {string} data.quadrant - Predicted quadrant around the locked guess
+     */
+    submitCounterGuess(data) {
+        try {
+            const validation = Validator.quadrant(data.quadrant);
             if (!validation.valid) {
-                throw new ValidationError('INVALID_GUESS', validation.error, 'coordinate', coord);
+                throw new ValidationError('INVALID_QUADRANT', validation.error, 'quadrant', data.quadrant);
             }
             
-            this.emitIfConnected('game:submit-guess', {
+            this.stateManager.enableQuadrantSelection(false);
+            this.emitIfConnected(GAME_EVENTS.SUBMIT_COUNTER_GUESS, {
                 roomId: this.currentRoomId,
-                coordinate: { x: Number(coord.x), y: Number(coord.y) }
+                quadrant: validation.value
             });
         } catch (error) {
             this.handleError(error);
-        } finally {
-            this.isSubmitting = false;
         }
     }
 
@@ -218,6 +340,14 @@ export class GameClient {
         }
     }
 
+    /**
+     * Reclaim this tab's seat after a reconnect or reload, if it had one
+     */
+    resumeSession() {
+        const resumeToken = sessionStorage.getItem(RESUME_TOKEN_KEY);
+        resumeToken && this.socketClient.emit(ROOM_EVENTS.RESUME, { resumeToken });
+    }
+
     /**
      * Handle room creation event from server
      * Sets up room and shows success notification
@@ -243,7 +373,21 @@ export class GameClient {
      */
     handleRoomJoined(data) {
         this.setupRoom(data, data.playerId);
-        if (this.debugMode) {
+        if (data.spectator) {
+            this.stateManager.addNotification({
+                type: 'info',
+                message: `Watching room ${data.roomCode}. Your chat only reaches other spectators.`,
+                duration: 5000
+            });
+        } else if (data.resumed) {
+            this.stateManager.addNotification({ type: 'success', message: 'Reconnected. You kept your seat.', duration: 3000 });
+        } else if (data.players.find(player => player.id === data.playerId)?.pending) {
+            this.stateManager.addNotification({
+                type: 'info',
+                message: 'The game is under way. You join in at the next round.',
+                duration: 5000
+            });
+        } else if (this.debugMode) {
             this.stateManager.addNotification({
                 type: 'success',
                 message: `Joined room ${data.roomCode} successfully!`,
@@ -261,6 +405,7 @@ export class GameClient {
      * @param {Array} data.players - Array of players
      * @param {Object} [data.room] - Room information
      * @param {Object} [data.gameState] - Current game state
+     * @param {boolean} [data.spectator] - Whether this client joined to watch
      * @param {string} playerId - Current player ID
      */
     setupRoom(data, playerId) {
@@ -268,9 +413,11 @@ export class GameClient {
         
         this.currentRoomId = data.roomId;
         this.playerId = playerId;
+        data.resumeToken && sessionStorage.setItem(RESUME_TOKEN_KEY, data.resumeToken);
         
         this.stateManager.setLoading(false);
         this.stateManager.setConnected(playerId, data.roomCode);
+        this.stateManager.updateConnectionState({ spectator: !!data.spectator });
         this.stateManager.updatePlayers(data.players);
         this.stateManager.setRoomInfo(data.room || {
             code: data.roomCode,
@@ -285,6 +432,57 @@ export class GameClient {
         if (data.gameState) this.stateManager.updateGameState(data.gameState);
     }
 
+    /**
+     * Handle the room closing under a spectator once its last player has left
+     * @param {Object} data - Close data
+     * @param {string} data.message - Why the room closed
+     */
+    handleRoomClosed(data) {
+        this.stateManager.addNotification({ type: 'warning', message: `Room closed: ${data.message}`, duration: 5000 });
+        this.resetClient();
+    }
+
+    /**
+     * Handle a tick of the start countdown, or its cancellation
+     * @param {Object} data - Countdown data
+     * @param {number|null} data.count - Seconds left; 0 when the game starts
+     * @param {boolean} [data.cancelled] - Whether the start was called off
+     * @param {string} [data.reason] - Why it was called off
+     */
+    handleCountdown(data) {
+        this.stateManager.updateGameState({ countdown: data.count || null });
+        
+        if (data.cancelled) {
+            this.stateManager.addNotification({ type: 'warning', message: `Start cancelled: ${data.reason}`, duration: 4000 });
+        }
+    }
+
+    /**
+     * Handle the host removing this player: back to the lobby with the reason
+     * @param {Object} data - Kick data
+     * @param {boolean} data.banned - Whether the room banned this player too
+     * @param {string} data.message - What happened
+     */
+    handleKicked(data) {
+        this.resetClient();
+        this.stateManager.addNotification({
+            type: 'error',
+            message: data.banned ? `${data.message}. You can't rejoin it.` : `${data.message}. You can join again with the room code.`,
+            duration: 8000
+        });
+    }
+
+    /**
+     * Freeze the countdown; a pause the server made itself (too few players connected) says why
+     * @param {Object} data - Pause data
+     * @param {number} data.timeRemaining - Seconds left in the frozen phase
+     * @param {string|null} [data.reason] - Why the game paused, when the host didn't pause it
+     */
+    handleTimerPaused(data) {
+        this.stateManager.updateGameState({ timerPaused: true, timeRemaining: data.timeRemaining });
+        data.reason && this.stateManager.addNotification({ type: 'warning', message: `Game paused: ${data.reason}`, duration: 5000 });
+    }
+
     /**
      * Handle player joined event from server
      * Updates player list and room state
@@ -310,7 +508,19 @@ export class GameClient {
         }
         
         // Show notification for other players
-        if (data.player.id !== this.playerId && this.debugMode) {
+        if (data.resumed) {
+            this.stateManager.addNotification({
+                type: 'info',
+                message: `${data.player.name} reconnected`,
+                duration: 2000
+            });
+        } else if (data.player.pending) {
+            this.stateManager.addNotification({
+                type: 'info',
+                message: `${data.player.name} joins in at the next round`,
+                duration: 3000
+            });
+        } else if (data.player.id !== this.playerId && this.debugMode) {
             this.stateManager.addNotification({
                 type: 'info',
                 message: `${data.player.name} joined the room`,
@@ -326,12 +536,21 @@ export class GameClient {
      * @param {string} data.playerId - ID of player who left
      * @param {string} data.playerName - Name of player who left
      * @param {boolean} data.isDisconnected - Whether player disconnected or left voluntarily
+     * @param {boolean} [data.kicked] - Whether the host removed them
+     * @param {boolean} [data.banned] - Whether the host banned them
      */
     handlePlayerLeft(data) {
         if (this.debugMode) console.log('👋 Player left:', data);
         this.stateManager.removePlayer(data.playerId);
         
-        if (this.debugMode) {
+        // Everyone hears about the host removing someone
+        if (data.kicked) {
+            this.stateManager.addNotification({
+                type: 'info',
+                message: `${data.playerName} was ${data.banned ? 'banned' : 'removed'} by the host`,
+                duration: 3000
+            });
+        } else if (this.debugMode) {
             this.stateManager.addNotification({
                 type: 'info',
                 message: `${data.playerName} ${data.isDisconnected ? 'disconnected' : 'left the room'}`,
@@ -367,18 +586,37 @@ export class GameClient {
     /**
      * Update player's guess status and show notification
      * @param {string} playerId - ID of player who guessed
-     * @param {boolean} hasGuessed - Whether player has guessed
+     * @param {boolean} hasGuessed - Whether player has a guess on the board
+     * @param {string|null} team - Guessing team in team mode; its shared guess covers every member
+     * @param {Array<string>|null} side - Guessing side in a duel round; its shared guess covers every member
+     * @param {boolean} locked - Whether the guess is locked in (provisional guesses can still move)
      */
-    updateGuess(playerId, hasGuessed) {
-        if (this.debugMode) console.log('🎯 Guess submitted:', { playerId, hasGuessed });
-        this.stateManager.updatePlayer(playerId, { hasGuessed });
+    updateGuess(playerId, hasGuessed, team = null, side = null, locked = true) {
+        if (this.debugMode) console.log('🎯 Guess update:', { playerId, hasGuessed, team, side, locked });
+        this.stateManager.updatePlayer(playerId, { hasGuessed, guessLocked: locked });
+        if (!locked) return;
+        
+        const sharers = side ?? (team
+            ? Object.values(this.stateManager.getPlayers()).filter(player => player.team === team).map(player => player.id)
+            : null);
+        
+        if (sharers) {
+            sharers
+                .filter(id => id !== playerId)
+                .forEach(id => this.stateManager.updatePlayer(id, { hasGuessed, guessLocked: locked }));
+            
+            if (sharers.includes(this.playerId)) {
+                this.stateManager.enableSpectrumInteraction(false);
+            }
+        }
         
         if (playerId === this.playerId) {
             this.isSubmitting = false;
+            this.stateManager.enableSpectrumInteraction(false);
             if (this.debugMode) {
                 this.stateManager.addNotification({
                     type: 'success',
-                    message: 'Guess submitted! Waiting for other players...',
+                    message: 'Guess locked in! Waiting for other players...',
                     duration: 3000
                 });
             }
@@ -390,17 +628,23 @@ export class GameClient {
      * Updates game state for new round and configures UI based on player role
      * @param {Object} data - Round start data
      * @param {Object} data.spectrumX - X-axis spectrum labels
-     * @param {Object} data.spectrumY - Y-axis spectrum labels
+     * @param {Object|null} data.spectrumY - Y-axis spectrum labels (null in 1D mode)
+     * @param {string} data.spectrumMode - '2d' grid or classic '1d' spectrum
      * @param {number} data.roundNumber - Current round number
      * @param {number} data.totalRounds - Total number of rounds
      * @param {string} data.clueGiverId - ID of the clue giver
-     * @param {Object} [data.targetCoordinate] - Target coordinate (only sent to clue giver)
+     * @param {Object|Array} [data.targetCoordinate] - Target coordinate, or targets in multi-target rounds (only sent to clue giver)
+     * @param {number} [data.targetCount] - Targets this round
+     * @param {Object|null} [data.suddenDeath] - { players, round } when the tied leaders play a sudden-death round
+     * @param {Array} [data.activatedPlayers] - { id, score } for players who joined mid-game and play from this round
      * @param {number} data.duration - Round duration in seconds
      */
     handleRoundStart(data) {
         if (this.debugMode) console.log('🎯 Round started:', data);
         
-        if (!data?.spectrumX || !data?.spectrumY) {
+        const spectrumMode = data?.spectrumMode || '2d';
+        const phase = data?.phase || 'giving-clue';
+        if (phase === 'giving-clue' && (!data?.spectrumX || (spectrumMode === '2d' && !data.spectrumY))) {
             console.error('❌ Invalid round start data:', data);
             return;
         }
@@ -408,30 +652,60 @@ export class GameClient {
         const isClueGiver = data.targetCoordinate !== undefined && data.targetCoordinate !== null;
         
         this.stateManager.updateGameState({
-            phase: 'giving-clue',
+            phase,
             currentRound: data.roundNumber || 1,
             totalRounds: data.totalRounds || 10,
             clueGiverId: data.clueGiverId,
-            spectrumX: data.spectrumX,
-            spectrumY: data.spectrumY,
-            targetCoordinate: data.targetCoordinate || null,
+            activeTeam: data.activeTeam ?? null,
+            duelSides: data.duelSides ?? null,
+            suddenDeath: data.suddenDeath ?? null,
+            lockedGuess: null,
+            counterGuess: null,
+            spectrumMode,
+            targetCount: data.targetCount || 1,
+            targetAssignments: null,
+            spectrumX: data.spectrumX ?? null,
+            spectrumY: data.spectrumY ?? null,
+            spectrumOptions: data.spectrumOptions ?? null,
+            rerollsLeft: data.rerollsLeft ?? 0,
+            targetCoordinate: data.targetCoordinate ?? null,
             timeRemaining: data.duration || GAME_RULES.ROUND_DURATION,
             clue: null,
             guesses: {},
+            provisionalGuess: null,
+            dial: null,
             roundScores: {}
         });
         
         Object.keys(this.stateManager.getPlayers()).forEach(playerId =>
-            this.stateManager.updatePlayer(playerId, { hasGuessed: false }));
+            this.stateManager.updatePlayer(playerId, { hasGuessed: false, guessLocked: false }));
+        data.activatedPlayers?.forEach(({ id, score }) => this.stateManager.updatePlayer(id, { pending: false, score }));
+        
+        if (data.activatedPlayers?.some(({ id }) => id === this.playerId)) {
+            const { score } = data.activatedPlayers.find(({ id }) => id === this.playerId);
+            this.stateManager.addNotification({
+                type: 'success',
+                message: `You're in! You start with ${score} point${score === 1 ? '' : 's'}.`,
+                duration: 4000
+            });
+        }
         
         this.isSubmitting = false;
         this.stateManager.showTargetCoordinate(isClueGiver);
         this.stateManager.enableSpectrumInteraction(false);
         
+        if (data.suddenDeath) {
+            this.stateManager.addNotification({
+                type: 'warning',
+                message: `⚔️ Sudden death between ${data.suddenDeath.players.map(id => this.getPlayerName(id)).join(' and ')}!`,
+                duration: 6000
+            });
+        }
+        
         setTimeout(() => {
-            this.stateManager.emit('state:game.phase', { newValue: 'giving-clue', oldValue: 'lobby' });
+            this.stateManager.emit('state:game.phase', { newValue: phase, oldValue: 'lobby' });
             
-            if (isClueGiver) {
+            if (isClueGiver && phase === 'giving-clue') {
                 const clueSection = document.getElementById('clue-input-section');
                 const clueInput = document.getElementById('clue-input-field');
                 
@@ -447,21 +721,107 @@ export class GameClient {
         if (isClueGiver && this.debugMode) {
             this.stateManager.addNotification({
                 type: 'warning',
-                message: `You are the Clue Giver! Target is at (${data.targetCoordinate.x}, ${data.targetCoordinate.y})`,
+                message: `You are the Clue Giver! Target is at ${gameLogic.formatPosition(data.targetCoordinate)}`,
                 duration: 5000
             });
         }
     }
 
+    /**
+     * Handle the drafted spectrum pair being chosen (by the clue giver or on timeout)
+     * @param {Object} data - Chosen pair data
+     * @param {Object} data.spectrumX - X-axis spectrum
+     * @param {Object|null} data.spectrumY - Y-axis spectrum (null in 1D mode)
+     * @param {number} data.duration - Clue phase length in seconds
+     */
+    handleSpectrumChosen(data) {
+        if (this.debugMode) console.log('🌈 Spectrum chosen:', data);
+        
+        this.stateManager.updateGameState({
+            spectrumX: data.spectrumX,
+            spectrumY: data.spectrumY ?? null,
+            spectrumOptions: null,
+            timeRemaining: data.duration
+        });
+        this.stateManager.setGamePhase('giving-clue');
+    }
+
+    /**
+     * Handle counter-guess start event from server
+     * Locks the guessing side's guess and lets the counter side pick a quadrant around it
+     * @param {Object} data - Counter-guess data
+     * @param {Object} data.lockedGuess - Locked guess {playerId, coordinate}
+     * @param {Array<string>} data.counterSide - IDs of the players predicting the quadrant
+     * @param {number} data.duration - Phase duration in seconds
+     */
+    handleCounterGuessStart(data) {
+        if (this.debugMode) console.log('⚔️ Counter-guess started:', data);
+        
+        this.stateManager.updateGameState({
+            lockedGuess: data.lockedGuess,
+            timeRemaining: data.duration
+        });
+        this.stateManager.setGamePhase('counter-guess');
+        
+        const canCounter = data.counterSide.includes(this.playerId);
+        this.stateManager.enableSpectrumInteraction(false);
+        this.stateManager.enableQuadrantSelection(canCounter);
+        
+        if (canCounter) {
+            this.stateManager.addNotification({
+                type: 'info',
+                message: 'Guess locked! Predict which quadrant around it holds the target',
+                duration: 4000
+            });
+        }
+    }
+
+    /**
+     * Handle counter-guess submitted event from server
+     * @param {Object} data - Counter-guess data
+     * @param {string} data.playerId - ID of the player who predicted
+     * @param {string} data.quadrant - Predicted quadrant
+     */
+    handleCounterGuessSubmitted(data) {
+        if (this.debugMode) console.log('⚔️ Counter-guess submitted:', data);
+        this.stateManager.updateGameState({ counterGuess: data });
+        this.stateManager.enableQuadrantSelection(false);
+    }
+
+    /**
+     * Apply a full state snapshot (on request, or after resuming a seat mid-game), including
+     * the guesses already locked in and the results of a round still on screen
+     * @param {Object} data - State snapshot
+     * @param {Object} data.gameState - Game state
+     * @param {Array<string>} data.gameState.guessedPlayers - Players whose guess is locked in
+     * @param {Object|null} data.gameState.myGuess - The locked-in guess covering this player
+     * @param {Object|null} data.gameState.roundResults - game:round-end payload during the results
+     */
+    handleStateUpdate(data) {
+        const { guessedPlayers = [], myGuess = null, roundResults = null, ...gameState } = data.gameState || data;
+        this.stateManager.handleGameStateUpdate(gameState);
+        
+        guessedPlayers.forEach(playerId => this.stateManager.updatePlayer(playerId, { hasGuessed: true, guessLocked: true }));
+        if (myGuess) {
+            this.isSubmitting = false;
+            this.stateManager.updateGameState({ guesses: { [this.playerId]: myGuess } });
+            this.stateManager.enableSpectrumInteraction(false);
+        }
+        
+        if (roundResults) this.handleRoundEnd(roundResults);
+    }
+
     /**
      * Handle round end event from server
      * Updates game state with round results and shows bonus notification if applicable
      * @param {Object} data - Round end data
-     * @param {Object} data.targetCoordinate - Target coordinate
+     * @param {Object|Array} data.targetCoordinate - Target coordinate, or targets in multi-target rounds
      * @param {Object} data.guesses - Player guesses
+     * @param {Object} [data.targetAssignments] - Target index per marker for each player (multi-target rounds)
      * @param {Object} data.roundScores - Scores for this round
      * @param {Object} data.totalScores - Total scores
      * @param {boolean} data.bonusAwarded - Whether bonus was awarded
+     * @param {Object} [data.suddenDeath] - { players, round, winner } in a sudden-death round (winner null when still level)
      */
     handleRoundEnd(data) {
         if (this.debugMode) console.log('🏁 Round ended:', data);
@@ -470,33 +830,99 @@ export class GameClient {
             phase: 'results',
             targetCoordinate: data.targetCoordinate,
             guesses: data.guesses,
+            targetAssignments: data.targetAssignments ?? null,
+            clueRatings: null,
             roundScores: data.roundScores,
             totalScores: data.totalScores,
-            bonusAwarded: data.bonusAwarded
+            bonusAwarded: data.bonusAwarded,
+            scoringStrategy: data.scoringStrategy,
+            counterGuess: data.counterGuess ?? null,
+            ...(data.teamScores && { teamRoundScores: data.teamRoundScores, teamScores: data.teamScores })
         });
         
         this.stateManager.showTargetCoordinate(true);
         this.stateManager.enableSpectrumInteraction(false);
+        this.stateManager.enableQuadrantSelection(false);
         
         Object.entries(data.totalScores).forEach(([playerId, score]) =>
             this.stateManager.updatePlayer(playerId, { score }));
         
+        if (data.suddenDeath) {
+            this.stateManager.addNotification({
+                type: data.suddenDeath.winner === this.playerId ? 'success' : 'info',
+                message: data.suddenDeath.winner
+                    ? `⚔️ ${this.getPlayerName(data.suddenDeath.winner)} wins the sudden death!`
+                    : '⚔️ Still level after sudden death!',
+                duration: 5000
+            });
+        }
+        
         if (data.bonusAwarded && this.debugMode) {
             this.stateManager.addNotification({
                 type: 'success',
-                message: '🎉 Bonus round! All players guessed within 10 units!',
+                message: `🎉 Bonus round! All players guessed within ${this.stateManager.getRoomState().settings.bonusThreshold ?? SCORING.BONUS_THRESHOLD} units!`,
                 duration: 5000
             });
         }
     }
 
+    /**
+     * Rate the round's clue during the results phase; rating again replaces the earlier rating
+     * @param {Object} data - Rating data
+     * @param {number} data.rating - 1 to GAME_RULES.CLUE_RATING_MAX stars
+     */
+    rateClue(data) {
+        try {
+            const validation = Validator.clueRating(data.rating);
+            if (!validation.valid) throw new ValidationError('INVALID_RATING', validation.error, 'rating', data.rating);
+            
+            this.emitIfConnected(GAME_EVENTS.RATE_CLUE, { roomId: this.currentRoomId, rating: validation.value });
+            const { clueRatings } = this.stateManager.getGameState();
+            this.stateManager.updateGameState({ clueRatings: { ...clueRatings, myRating: validation.value } });
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Handle the clue rating summary, sent after every rating and once more (final) when the results phase ends
+     * @param {Object} data - Rating summary
+     * @param {number} data.count - Ratings so far
+     * @param {number|null} data.average - Average stars (null before any rating)
+     * @param {boolean} [data.final] - Ratings are closed; carries the clue giver's bonus and updated totals
+     */
+    handleClueRatings(data) {
+        if (this.debugMode) console.log('⭐ Clue ratings:', data);
+        
+        const myRating = this.stateManager.getGameState().clueRatings?.myRating ?? null;
+        this.stateManager.updateGameState({ clueRatings: { ...data, myRating } });
+        if (!data.final) return;
+        
+        Object.entries(data.totalScores).forEach(([playerId, score]) =>
+            this.stateManager.updatePlayer(playerId, { score }));
+        if (data.teamScores) this.stateManager.updateGameState({ teamScores: data.teamScores });
+        
+        if (data.bonus) {
+            this.stateManager.addNotification({
+                type: 'success',
+                message: `⭐ ${this.getPlayerName(data.clueGiverId)}'s clue earned a ${data.bonus}-point bonus!`,
+                duration: 4000
+            });
+        }
+    }
+
     /**
      * Handle game finished event from server
      * Updates game state with final results and shows winner notification
      * @param {Object} data - Game finished data
      * @param {Object} data.finalScores - Final scores for all players
-     * @param {string} data.winner - ID of the winning player
+     * @param {string|null} data.winner - ID of the winning player, null for a shared victory
+     * @param {Object} [data.tieBreak] - { method, players } when players tied for the lead: method is
+     * 'sudden-death' (with rounds), 'best-round' (with the winning distance) or 'shared'
      * @param {Object} data.gameStats - Game statistics
+     * @param {Object} [data.teamScores] - Final team totals (team mode)
+     * @param {string|null} [data.winningTeam] - Winning team, null on a tie (team mode)
+     * @param {boolean} [data.aborted] - The host ended the game early
      */
     handleGameFinished(data) {
         if (this.debugMode) console.log('🎉 Game finished:', data);
@@ -505,15 +931,56 @@ export class GameClient {
             phase: 'finished',
             finalScores: data.finalScores,
             winner: data.winner,
-            gameStats: data.gameStats
+            gameStats: data.gameStats,
+            bestClue: data.bestClue ?? null,
+            tieBreak: data.tieBreak ?? null,
+            ...(data.teamScores && { teamScores: data.teamScores, winningTeam: data.winningTeam })
         });
         
+        if (data.aborted) {
+            this.stateManager.showModal('final-scores', data.finalScores);
+            this.stateManager.addNotification({
+                type: 'info',
+                message: 'The host ended the game early. Scores so far are shown.',
+                duration: 8000
+            });
+            return;
+        }
+        
+        if (data.teamScores) {
+            const myTeam = this.stateManager.getPlayer(this.playerId)?.team;
+            this.stateManager.addNotification({
+                type: data.winningTeam === myTeam ? 'success' : 'info',
+                message: !data.winningTeam
+                    ? 'Game finished! It\'s a tie between the teams!'
+                    : data.winningTeam === myTeam
+                        ? `🎉 Congratulations! Team ${data.winningTeam} won the game!`
+                        : `Game finished! Team ${data.winningTeam} wins!`,
+                duration: 8000
+            });
+            return;
+        }
+        
+        if (data.tieBreak?.method === 'shared') {
+            const names = data.tieBreak.players.map(id => this.getPlayerName(id)).join(' and ');
+            this.stateManager.addNotification({
+                type: data.tieBreak.players.includes(this.playerId) ? 'success' : 'info',
+                message: `Game finished! 🤝 Shared victory: ${names}`,
+                duration: 8000
+            });
+            return;
+        }
+        
         const isWinner = data.winner === this.playerId;
         const winnerName = this.getPlayerName(data.winner);
+        const tieNote = {
+            'sudden-death': ' (won in sudden death)',
+            'best-round': ' (tie broken by best single round)'
+        }[data.tieBreak?.method] || '';
         
         this.stateManager.addNotification({
             type: isWinner ? 'success' : 'info',
-            message: isWinner ? '🎉 Congratulations! You won the game!' : `Game finished! Winner: ${winnerName}`,
+            message: (isWinner ? '🎉 Congratulations! You won the game!' : `Game finished! Winner: ${winnerName}`) + tieNote,
             duration: 8000
         });
     }
@@ -529,8 +996,27 @@ export class GameClient {
         console.error('🔌 Socket error:', error);
         this.stateManager.setLoading(false);
         
-        if (error.code === 'GUESS_SUBMIT_FAILED' && error.message === 'Player has already guessed') {
+        // The seat is gone (room closed, player removed, token expired): start over from the lobby
+        if (error.code === 'RESUME_FAILED') {
+            this.forgetSeat();
+            if (this.currentRoomId) {
+                this.resetClient();
+                this.stateManager.addNotification({ type: 'warning', message: error.message, duration: 5000 });
+            }
+            return;
+        }
+        
+        // Any refused lock-in frees the button so the player can try again
+        if (['GUESS_SUBMIT_FAILED', 'INVALID_GUESS'].includes(error.code)) {
             this.isSubmitting = false;
+            this.stateManager.addNotification({ type: 'warning', message: error.message, duration: 3000 });
+            return;
+        }
+        
+        // Rejected settings change: restore the panel and tell the host why
+        if (['SETTINGS_UPDATE_FAILED', 'INVALID_ROOM_SETTINGS'].includes(error.code)) {
+            this.stateManager.updateRoomState({ settings: { ...this.stateManager.getRoomState().settings } });
+            this.stateManager.addNotification({ type: 'error', message: error.message, duration: 4000 });
             return;
         }
         
@@ -592,6 +1078,21 @@ export class GameClient {
         }
     }
 
+    /**
+     * Handle a phase change announced by the server
+     * Returning to the lobby (after the host ends the game) clears the finished game
+     * @param {Object} data - Phase change data
+     * @param {string} data.phase - New phase
+     * @param {Array} [data.players] - Players with their reset scores (lobby only)
+     */
+    handlePhaseChange(data) {
+        if (data.phase !== 'lobby') return this.stateManager.setGamePhase(data.phase);
+        
+        // Emits per-property changes (unlike resetGameState) so the UI returns to the lobby
+        this.stateManager.updateGameState(this.stateManager.getInitialState().game);
+        data.players && this.stateManager.updatePlayers(data.players);
+    }
+
     /**
      * Reset client state
      * Clears room and player IDs and resets game state
@@ -599,10 +1100,21 @@ export class GameClient {
     resetClient() {
         this.currentRoomId = null;
         this.playerId = null;
+        this.forgetSeat();
+        this.stateManager.updateConnectionState({ spectator: false });
         this.stateManager.resetGameState();
         this.stateManager.setCurrentView('lobby');
     }
 
+    /**
+     * Stop resuming the current seat, keeping its token as the last seat's for room:join
+     */
+    forgetSeat() {
+        const resumeToken = sessionStorage.getItem(RESUME_TOKEN_KEY);
+        resumeToken && sessionStorage.setItem(LAST_SEAT_TOKEN_KEY, resumeToken);
+        sessionStorage.removeItem(RESUME_TOKEN_KEY);
+    }
+
     /**
      * Get current game state
      * @returns {Object} Current game state
@@ -627,6 +1139,12 @@ export class GameClient {
      */
     hasGuessed = () => this.stateManager.getPlayers()[this.playerId]?.hasGuessed || false;
 
+    /**
+     * Check if this room's guessers share one dial
+     * @returns {boolean} Whether the sharedDial setting is on
+     */
+    isSharedDial = () => !!this.stateManager.getRoomState().settings?.sharedDial;
+
     /**
      * Clean up resources and reset state
      * Removes event listeners and resets client state
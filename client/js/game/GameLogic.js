@@ -2,6 +2,8 @@
  * Client-side game logic and utilities for Spectrum
  * Handles game rule validation, score calculations, and utility functions
  * UPDATED: Support for 2D coordinate system
+ * UPDATED: Classic 1D mode positions are plain numbers
+ * UPDATED: Clues are checked against the room's clue rules
  */
 
 
@@ -23,47 +25,75 @@ class GameLogic {
     }
 
     /**
-     * Calculate Euclidean distance between two coordinates
-     * @param {Object} guess - Guess coordinate {x, y}
-     * @param {Object} target - Target coordinate {x, y}
+     * Calculate Euclidean distance between two coordinates (or two 1D positions)
+     * @param {Object|number} guess - Guess coordinate {x, y} or 1D position
+     * @param {Object|number} target - Target coordinate {x, y} or 1D position
      * @returns {number} Euclidean distance
      */
-    calculateDistance = (guess, target) => Math.hypot(guess.x - target.x, guess.y - target.y);
+    calculateDistance = (guess, target) => guessDistance(guess, target);
+    
+    /**
+     * Format a coordinate or 1D position for display
+     * @param {Object|number|Array} coord - Coordinate {x, y}, 1D position, or several of either (multi-target rounds)
+     * @returns {string} e.g. "(20, 75)", "42" or "(20, 75), (80, 10)"
+     */
+    formatPosition = coord => Array.isArray(coord) ? coord.map(this.formatPosition).join(', ')
+        : typeof coord === 'number' ? `${coord}` : `(${coord?.x ?? 0}, ${coord?.y ?? 0})`;
+    
+    /**
+     * Get the quadrant of a coordinate relative to a locked duel guess
+     * Mirrors GameManager.getQuadrant on the server (higher y is upper)
+     * @param {Object} origin - Locked guess coordinate {x, y}
+     * @param {Object} point - Coordinate to locate {x, y}
+     * @returns {string} Quadrant name, e.g. 'upper-left'
+     */
+    getQuadrant = (origin, point) =>
+        `${point.y >= origin.y ? 'upper' : 'lower'}-${point.x < origin.x ? 'left' : 'right'}`;
     
     /**
      * Calculate score based on distance between guess and target
      * @param {Object} guess - Guess coordinate {x, y}
      * @param {Object} target - Target coordinate {x, y}
-     * @returns {Object} Score details including baseScore, distance, and distancePercentage
+     * @param {string} strategy - Scoring strategy from shared/scoring.js
+     * @returns {Object} Score details including baseScore, distance, distancePercentage and strategy
      */
-    calculateScore(guess, target) {
+    calculateScore(guess, target, strategy = ROOM_SETTINGS.scoringStrategy.default) {
         const distance = this.calculateDistance(guess, target);
-        const normalizedDistance = distance / this.MAX_DISTANCE;
         return {
-            baseScore: Math.max(0, Math.round(100 * (1 - normalizedDistance))),
+            baseScore: scoreGuess(strategy, guess, target),
             distance: Math.round(distance * 10) / 10,
-            distancePercentage: normalizedDistance
+            distancePercentage: distance / this.MAX_DISTANCE,
+            strategy
         };
     }
 
+    /**
+     * Get the display label of a scoring strategy
+     * @param {string} strategy - Scoring strategy key
+     * @returns {string} Human-readable label
+     */
+    getScoringStrategyLabel = strategy => SCORING_STRATEGIES[strategy]?.label || strategy;
+
     /**
      * Calculate clue giver's score based on all guesses
      * @param {Array} guesses - Array of guess coordinates
      * @param {Object} target - Target coordinate {x, y}
+     * @param {string} strategy - Scoring strategy from shared/scoring.js
      * @returns {Object} Clue giver score details including score, averageScore, bonusAwarded, and bonusPoints
      */
-    calculateClueGiverScore(guesses, target) {
+    calculateClueGiverScore(guesses, target, strategy = ROOM_SETTINGS.scoringStrategy.default) {
         if (!guesses?.length) return { score: 0, averageScore: 0, bonusAwarded: false, bonusPoints: 0 };
         
-        const scores = guesses.map(g => this.calculateScore(g, target));
+        const scores = guesses.map(g => this.calculateScore(g, target, strategy));
         const averageScore = scores.reduce((sum, s) => sum + s.baseScore, 0) / scores.length;
         const bonusAwarded = scores.every(s => s.distance <= this.BONUS_THRESHOLD);
+        const bonusPoints = bonusAwarded ? scaleBonus(strategy, this.BONUS_POINTS) : 0;
         
         return {
-            score: Math.round(averageScore) + (bonusAwarded ? this.BONUS_POINTS : 0),
+            score: Math.round(averageScore) + bonusPoints,
             averageScore: Math.round(averageScore),
             bonusAwarded,
-            bonusPoints: bonusAwarded ? this.BONUS_POINTS : 0
+            bonusPoints
         };
     }
 
@@ -82,13 +112,24 @@ class GameLogic {
     }
 
     // Validation methods
-    validateGuess = coord => Validator.coordinate(coord, this.SPECTRUM_MIN, this.SPECTRUM_MAX).valid;
+    validateGuess = coord => (typeof coord === 'number'
+        ? Validator.position(coord, this.SPECTRUM_MIN, this.SPECTRUM_MAX)
+        : Validator.coordinate(coord, this.SPECTRUM_MIN, this.SPECTRUM_MAX)).valid;
 
     validateInput(value, maxLength, pattern, emptyError, lengthError, formatError) {
         return Validator.input(value, maxLength, pattern, emptyError, lengthError, formatError);
     }
 
-    validateClue = clue => Validator.clue(clue);
+    /**
+     * Validate a clue, and against the room's clue rules when a context is given
+     * @param {string} clue - Clue text
+     * @param {Object} [context] - { settings, spectrums } for checkClueRules (shared/clueRules.js)
+     * @returns {Object} Validation result with the reason when invalid
+     */
+    validateClue = (clue, context) => {
+        const result = Validator.clue(clue);
+        return result.valid && context ? checkClueRules(result.value, context) : result;
+    };
 
     validatePlayerName = name => Validator.playerName(name);
 
@@ -131,8 +172,10 @@ class GameLogic {
         const phases = {
             lobby: 'Waiting for players...',
             waiting: 'Get ready for the next round!',
+            'choosing-spectrum': isClueGiver ? 'Choose your spectrums!' : 'Clue giver is choosing spectrums...',
             'giving-clue': isClueGiver ? 'Give a clue for your target!' : 'Waiting for clue...',
             guessing: isClueGiver ? 'Players are guessing...' : 'Make your guess!',
+            'counter-guess': 'Counter-guess: which quadrant holds the target?',
             scoring: 'Round results',
             finished: 'Game finished!'
         };
@@ -165,12 +208,12 @@ class GameLogic {
     });
 
     /**
-     * Check if all players (except clue giver) have submitted guesses
+     * Check if all players (except clue giver) have locked in their guesses
      * @param {Object} players - Object containing player data
      * @param {string} clueGiverId - ID of the clue giver
      * @returns {boolean} Whether all players have guessed
      */
-    allPlayersGuessed = (players, clueGiverId) => Object.values(players).filter(p => p.id !== clueGiverId).every(p => p.hasGuessed);
+    allPlayersGuessed = (players, clueGiverId) => Object.values(players).filter(p => p.id !== clueGiverId).every(p => p.guessLocked);
     
     /**
      * Get player role text based on whether they are the clue giver
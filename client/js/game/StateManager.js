@@ -19,18 +19,24 @@ class StateManager {
      */
     getInitialState() {
         return {
-            connection: { status: 'disconnected', playerId: null, roomCode: null, error: null, lastConnected: null },
+            connection: { status: 'disconnected', playerId: null, roomCode: null, spectator: false, error: null, lastConnected: null },
             game: {
                 phase: 'lobby', currentRound: 0, totalRounds: 0, timeRemaining: 0,
-                spectrumX: null, spectrumY: null, clue: null, targetCoordinate: null,
+                spectrumMode: '2d', spectrumX: null, spectrumY: null, clue: null, targetCoordinate: null,
                 clueGiverId: null, guesses: {}, roundScores: {}, totalScores: {},
-                finalScores: {}, winner: null, gameStats: null, bonusAwarded: false, roundSummary: []
+                finalScores: {}, winner: null, gameStats: null, bonusAwarded: false, roundSummary: [],
+                activeTeam: null, teamScores: {}, teamRoundScores: {}, winningTeam: null,
+                duelSides: null, lockedGuess: null, counterGuess: null, scoringStrategy: null, timerPaused: false,
+                spectrumOptions: null, rerollsLeft: 0, provisionalGuess: null, dial: null,
+                targetCount: 1, targetAssignments: null, clueRatings: null, bestClue: null,
+                suddenDeath: null, tieBreak: null, countdown: null
             },
             players: {},
-            room: { code: null, hostId: null, playerCount: 0, maxPlayers: 4, canStart: false, settings: {} },
+            room: { code: null, hostId: null, playerCount: 0, maxPlayers: 4, canStart: false, settings: {}, spectrumCounts: null, spectators: [] },
             ui: {
                 activeModal: null, chatVisible: true, scoreboardVisible: true, notifications: [],
-                loading: false, currentView: 'lobby', spectrumInteractionEnabled: false, showTargetCoordinate: false
+                loading: false, currentView: 'lobby', spectrumInteractionEnabled: false, showTargetCoordinate: false,
+                quadrantSelectionEnabled: false
             },
             chat: { messages: [], unreadCount: 0, maxMessages: 100 }
         };
@@ -325,8 +331,9 @@ class StateManager {
      * @param {number} roomInfo.maxPlayers - Maximum number of players
      * @param {boolean} roomInfo.canStart - Whether game can be started
      * @param {Object} [roomInfo.settings] - Room settings
+     * @param {Array} [roomInfo.spectators] - Spectators watching the room
      */
-    setRoomInfo = roomInfo => this.updateRoomState({ code: roomInfo.code, hostId: roomInfo.hostId, playerCount: roomInfo.playerCount, maxPlayers: roomInfo.maxPlayers, canStart: roomInfo.canStart, settings: roomInfo.settings || {} });
+    setRoomInfo = roomInfo => this.updateRoomState({ code: roomInfo.code, hostId: roomInfo.hostId, playerCount: roomInfo.playerCount, maxPlayers: roomInfo.maxPlayers, canStart: roomInfo.canStart, settings: roomInfo.settings || {}, spectators: roomInfo.spectators || [] });
 
     // Player management
     /**
@@ -379,6 +386,47 @@ class StateManager {
      * @returns {boolean} Whether current player is the clue giver
      */
     isCurrentPlayerClueGiver = () => this.state.connection.playerId === this.state.game.clueGiverId;
+    
+    /**
+     * Check if current player joined mid-game and waits for the next round
+     * @returns {boolean} Whether the current player is pending
+     */
+    isCurrentPlayerPending = () => !!this.state.players[this.state.connection.playerId]?.pending;
+    
+    /**
+     * Check if this client joined the room to watch
+     * @returns {boolean} Whether the current connection is a spectator
+     */
+    isSpectator = () => !!this.state.connection.spectator;
+    
+    /**
+     * Check if the room is playing in team mode
+     * @returns {boolean} Whether teams are enabled in the room settings
+     */
+    isTeamMode = () => this.state.room.settings?.gameMode === 'teams';
+    
+    /**
+     * Check if current player may guess this round
+     * In team mode only the clue giver's teammates guess; in a duel only the guessing side;
+     * in sudden death only the tied players; spectators and players waiting for the next round never
+     * @returns {boolean} Whether current player is a guesser
+     */
+    canCurrentPlayerGuess() {
+        const { playerId } = this.state.connection;
+        const { duelSides, activeTeam, suddenDeath } = this.state.game;
+        if (this.isSpectator() || this.isCurrentPlayerPending()) return false;
+        if (duelSides) return duelSides.guessing.includes(playerId);
+        if (suddenDeath) return suddenDeath.players.includes(playerId) && !this.isCurrentPlayerClueGiver();
+        
+        return !this.isCurrentPlayerClueGiver() &&
+            (!this.isTeamMode() || this.state.players[playerId]?.team === activeTeam);
+    }
+    
+    /**
+     * Check if current player predicts the quadrant in this duel round
+     * @returns {boolean} Whether current player is on the counter side
+     */
+    canCurrentPlayerCounterGuess = () => !!this.state.game.duelSides?.counter.includes(this.state.connection.playerId);
 
     // UI state
     /**
@@ -425,6 +473,12 @@ class StateManager {
      */
     enableSpectrumInteraction = enabled => this.updateState('ui.spectrumInteractionEnabled', enabled);
     
+    /**
+     * Enable or disable quadrant selection around the locked duel guess
+     * @param {boolean} enabled - Whether quadrant selection is enabled
+     */
+    enableQuadrantSelection = enabled => this.updateState('ui.quadrantSelectionEnabled', enabled);
+    
     /**
      * Show or hide target coordinate
      * @param {boolean} show - Whether to show target coordinate
@@ -567,8 +621,10 @@ class StateManager {
      */
     getPhaseHandler(phase) {
         const phaseHandlers = {
+            'choosing-spectrum': this.handleGivingCluePhase.bind(this),
             'giving-clue': this.handleGivingCluePhase.bind(this),
             'guessing': this.handleGuessingPhase.bind(this),
+            'counter-guess': this.handleCounterGuessPhase.bind(this),
             'scoring': this.handleScoringPhase.bind(this),
             'lobby': this.handleLobbyPhase.bind(this)
         };
@@ -599,13 +655,25 @@ class StateManager {
      */
     handleGuessingPhase(previousPhase, isClueGiver) {
         this.showTargetCoordinate(isClueGiver);
-        this.enableSpectrumInteraction(!isClueGiver);
+        this.enableSpectrumInteraction(this.canCurrentPlayerGuess());
         
         if (!isClueGiver) {
             this.updateState('game.targetCoordinate', null);
         }
     }
     
+    /**
+     * Handle counter-guess phase
+     * @param {string} previousPhase - Previous game phase
+     * @param {boolean} isClueGiver - Whether current player is clue giver
+     * @private
+     */
+    handleCounterGuessPhase(previousPhase, isClueGiver) {
+        this.showTargetCoordinate(isClueGiver);
+        this.enableSpectrumInteraction(false);
+        this.enableQuadrantSelection(this.canCurrentPlayerCounterGuess() && !this.state.game.counterGuess);
+    }
+    
     /**
      * Handle scoring phase
      * @param {string} previousPhase - Previous game phase
@@ -615,6 +683,7 @@ class StateManager {
     handleScoringPhase(previousPhase, isClueGiver) {
         this.showTargetCoordinate(true);
         this.enableSpectrumInteraction(false);
+        this.enableQuadrantSelection(false);
     }
     
     /**
@@ -626,6 +695,7 @@ class StateManager {
     handleLobbyPhase(previousPhase, isClueGiver) {
         this.showTargetCoordinate(false);
         this.enableSpectrumInteraction(false);
+        this.enableQuadrantSelection(false);
         
         if (!['lobby', 'waiting'].includes(previousPhase)) {
             this.updateState('game.targetCoordinate', null);
@@ -665,6 +735,7 @@ class StateManager {
         this.setGamePhase('scoring');
         this.showTargetCoordinate(true);
         this.enableSpectrumInteraction(false);
+        this.enableQuadrantSelection(false);
     }
 
     /**
@@ -677,6 +748,7 @@ class StateManager {
         this.setGamePhase('finished');
         this.showTargetCoordinate(true);
         this.enableSpectrumInteraction(false);
+        this.enableQuadrantSelection(false);
     }
 
     // Debug interface - consolidated debug methods
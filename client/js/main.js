@@ -18,7 +18,6 @@ import { SocketClient } from './network/SocketClient.js';
 import { UIManager } from './ui/UIManager.js';
 import { SpectrumRenderer } from './ui/SpectrumRenderer.js';
 import { ChatManager } from './ui/ChatManager.js';
-import { helpers } from './utils/helpers.js';
 
 class SpectrumApp {
     constructor() {
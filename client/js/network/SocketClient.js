@@ -88,15 +88,19 @@ export class SocketClient {
         [
             // Room events
             ROOM_EVENTS.CREATED, ROOM_EVENTS.JOINED, ROOM_EVENTS.PLAYER_JOINED,
-            ROOM_EVENTS.PLAYER_LEFT, ROOM_EVENTS.HOST_CHANGED,
+            ROOM_EVENTS.PLAYER_LEFT, ROOM_EVENTS.HOST_CHANGED, ROOM_EVENTS.SETTINGS_UPDATED,
+            ROOM_EVENTS.TEAMS_UPDATED, ROOM_EVENTS.SPECTATORS_UPDATED, ROOM_EVENTS.CLOSED, ROOM_EVENTS.KICKED,
+            ROOM_EVENTS.READY_UPDATED,
             
             // Game events
-            GAME_EVENTS.STATE_UPDATE, GAME_EVENTS.ROUND_START, GAME_EVENTS.CLUE_SUBMITTED,
-            GAME_EVENTS.GUESS_SUBMITTED, GAME_EVENTS.ROUND_END, GAME_EVENTS.FINISHED,
-            GAME_EVENTS.PHASE_CHANGE,
+            GAME_EVENTS.STATE_UPDATE, GAME_EVENTS.ROUND_START, GAME_EVENTS.SPECTRUM_OPTIONS, GAME_EVENTS.SPECTRUM_CHOSEN,
+            GAME_EVENTS.DIAL_UPDATE,
+            GAME_EVENTS.CLUE_SUBMITTED,
+            GAME_EVENTS.GUESS_SUBMITTED, GAME_EVENTS.COUNTER_GUESS_START, GAME_EVENTS.COUNTER_GUESS_SUBMITTED,
+            GAME_EVENTS.ROUND_END, GAME_EVENTS.CLUE_RATINGS, GAME_EVENTS.ROUND_VOIDED, GAME_EVENTS.COUNTDOWN, GAME_EVENTS.FINISHED, GAME_EVENTS.PHASE_CHANGE,
             
             // Other events
-            CHAT_EVENTS.MESSAGE, TIMER_EVENTS.UPDATE, ERROR_EVENTS.GENERAL
+            CHAT_EVENTS.MESSAGE, TIMER_EVENTS.UPDATE, TIMER_EVENTS.PAUSED, TIMER_EVENTS.RESUMED, ERROR_EVENTS.GENERAL
         ].forEach(event => this.socket.on(event, data => this.emitToListeners(event, data)));
         
         this.socket.on(CONNECTION_EVENTS.PONG, timestamp => this.emitToListeners('latency', Date.now() - timestamp));
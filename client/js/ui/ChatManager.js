@@ -564,6 +564,7 @@ export class ChatManager {
         if (message.type === 'system') {
             div.classList.add('system');
         } else {
+            if (message.channel === 'spectators') div.classList.add('spectator');
             const currentPlayerId = this.stateManager.getConnectionState().playerId;
             if (message.playerId === currentPlayerId) div.classList.add('own');
         }
@@ -2,6 +2,8 @@
  * Spectrum Renderer - Interactive 2D spectrum grid visualization
  * ENHANCED: High-performance particle system with advanced visual effects
  * UPDATED: Responsive rendering support for all screen sizes
+ * UPDATED: Quadrant selection around the locked guess in duel rounds
+ * UPDATED: Horizontal slider rendering for the classic 1D mode
  * 
  * @class SpectrumRenderer
  * @description Handles the rendering of the 2D spectrum grid, player guesses, target positions,
@@ -22,6 +24,7 @@ export class SpectrumRenderer {
             ctx: null,
             gridContainer: null,
             devicePixelRatio: Math.min(window.devicePixelRatio || 1, 2),
+            spectrumMode: '2d',
             spectrumX: null,
             spectrumY: null,
             targetCoordinate: null,
@@ -30,6 +33,21 @@ export class SpectrumRenderer {
             interactionEnabled: false,
             animationFrame: null,
             
+            // Duel counter-guess
+            lockedGuess: null,
+            counterGuess: null,
+            quadrantSelectionEnabled: false,
+            
+            // Confidence radius: the center where the current drag started
+            radiusCenter: null,
+            
+            // Shared dial
+            dial: null,
+            lastDialUpdate: 0,
+            
+            // Multi-target rounds: this player's markers placed so far
+            pendingMarkers: [],
+            
             // Enhanced particle system
             particles: [],
             particleColors: ['#00d4ff', '#b794f4', '#0096ff', '#ff006e', '#00f593', '#ff9500'],
@@ -79,7 +97,11 @@ export class SpectrumRenderer {
                 gridLine: 'rgba(255, 255, 255, 0.1)',
                 gridLineMajor: 'rgba(255, 255, 255, 0.2)',
                 exclusionZone: 'rgba(0, 0, 0, 0.3)',
-                exclusionBorder: 'rgba(255, 255, 255, 0.15)'
+                exclusionBorder: 'rgba(255, 255, 255, 0.15)',
+                quadrantHover: 'rgba(183, 148, 244, 0.25)',
+                quadrantSelected: 'rgba(255, 0, 110, 0.25)',
+                quadrantDivider: 'rgba(255, 255, 255, 0.6)',
+                sliderTrack: 'rgba(255, 255, 255, 0.08)'
             }
         });
     }
@@ -205,11 +227,16 @@ export class SpectrumRenderer {
      */
     setupStateListeners() {
         const listeners = {
+            'game.spectrumMode': d => this.setSpectrumMode(d.newValue),
             'game.spectrumX': d => this.updateSpectrum('spectrumX', d.newValue),
             'game.spectrumY': d => this.updateSpectrum('spectrumY', d.newValue),
             'game.targetCoordinate': d => this.updateTargetCoordinate(d.newValue),
             'game.guesses': d => this.updateGuesses(d.newValue),
             'ui.spectrumInteractionEnabled': d => this.setInteractionEnabled(d.newValue),
+            'ui.quadrantSelectionEnabled': d => this.setQuadrantSelectionEnabled(d.newValue),
+            'game.lockedGuess': d => this.updateLockedGuess(d.newValue),
+            'game.counterGuess': d => this.updateCounterGuess(d.newValue),
+            'game.dial': d => this.updateDial(d.newValue),
             'ui.showTargetCoordinate': d => this.setShowTarget(d.newValue),
             'game.phase': d => this.handlePhaseChange(d.newValue),
             'game.clueGiverId': () => this.updateTargetVisibility()
@@ -367,7 +394,7 @@ export class SpectrumRenderer {
      * @private
      */
     checkStateChanges() {
-        if (this.isHovering && this.interactionEnabled && this.hoverCoordinate) {
+        if (this.isHovering && this.isPointerActive() && this.hoverCoordinate != null) {
             this.markDirty();
             return;
         }
@@ -382,8 +409,8 @@ export class SpectrumRenderer {
         };
         
         const markCoords = (coords, size = 20) => {
-            coords?.forEach(coord => {
-                if (coord) {
+            coords?.flat().forEach(coord => {
+                if (coord != null) {
                     const pos = this.coordToCanvas(coord);
                     this.markRegionDirty(pos.x - size, pos.y - size, size * 2, size * 2);
                 }
@@ -421,14 +448,20 @@ export class SpectrumRenderer {
         this.ctx.fillStyle = this.colors.darkBg;
         this.ctx.fillRect(0, 0, width, height);
         
-        this.render2DGradient();
-        this.renderGridLines();
-        this.renderCenterExclusionZone();
+        if (this.isOneDimensional()) {
+            this.renderSlider();
+        } else {
+            this.render2DGradient();
+            this.renderGridLines();
+            this.renderCenterExclusionZone();
+        }
+        if (this.lockedGuess) this.renderQuadrants();
         
         if (this.shouldRenderTarget()) this.renderTarget();
         this.renderGuesses();
-        if (this.isHovering && this.interactionEnabled && this.hoverCoordinate) this.renderHoverPreview();
-        if (this.previewGuess) this.renderPreviewGuess();
+        if (this.dial) this.renderDial();
+        if (this.isHovering && this.interactionEnabled && this.hoverCoordinate != null) this.renderHoverPreview();
+        if (this.previewGuess != null) this.renderPreviewGuess();
         
         // Render particles on top
         if (this.particles.length > 0) {
@@ -475,6 +508,64 @@ export class SpectrumRenderer {
         this.ctx.restore();
     }
 
+    /**
+     * Render the horizontal slider used in the classic 1D mode:
+     * a gradient track with tick marks and the center exclusion band
+     * @private
+     */
+    renderSlider() {
+        const {width, height} = this.canvasSize;
+        const trackHeight = height * 0.3;
+        const trackTop = (height - trackHeight) / 2;
+        
+        this.ctx.save();
+        
+        // Track
+        this.ctx.fillStyle = this.colors.sliderTrack;
+        if (this.spectrumX?.gradient) {
+            const { start, middle, end } = this.spectrumX.gradient;
+            const gradient = this.ctx.createLinearGradient(0, 0, width, 0);
+            gradient.addColorStop(0, start + '60');
+            if (middle) gradient.addColorStop(0.5, middle + '60');
+            gradient.addColorStop(1, end + '60');
+            this.ctx.fillStyle = gradient;
+        }
+        this.ctx.fillRect(0, trackTop, width, trackHeight);
+        
+        // Exclusion band around the center
+        const bandWidth = (this.centerExclusionRadius / 100) * width;
+        this.ctx.fillStyle = this.colors.exclusionZone;
+        this.ctx.fillRect(width / 2 - bandWidth, trackTop, bandWidth * 2, trackHeight);
+        this.ctx.strokeStyle = this.colors.exclusionBorder;
+        this.ctx.lineWidth = this.responsiveLineWidth * 2;
+        this.ctx.setLineDash([5, 5]);
+        this.ctx.strokeRect(width / 2 - bandWidth, trackTop, bandWidth * 2, trackHeight);
+        this.ctx.setLineDash([]);
+        
+        // Tick marks every 10 units, major tick at the center
+        this.ctx.fillStyle = this.colors.textSecondary;
+        this.ctx.font = `${this.responsiveFontSize}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        for (let value = 0; value <= 100; value += 10) {
+            const x = (value / 100) * width;
+            this.ctx.strokeStyle = value === 50 ? this.colors.gridLineMajor : this.colors.gridLine;
+            this.ctx.lineWidth = this.responsiveLineWidth * (value === 50 ? 1.5 : 1);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, trackTop);
+            this.ctx.lineTo(x, trackTop + trackHeight);
+            this.ctx.stroke();
+            if (!this.isMobile && value > 0 && value < 100) {
+                this.ctx.fillText(value, x, trackTop + trackHeight + 4);
+            }
+        }
+        
+        // Border
+        this.ctx.strokeStyle = this.colors.gridLineMajor;
+        this.ctx.strokeRect(0, trackTop, width, trackHeight);
+        this.ctx.restore();
+    }
+
     /**
      * Render grid lines with responsive line width
      * @private
@@ -572,6 +663,8 @@ export class SpectrumRenderer {
      * @private
      */
     isInExclusionZone(coord) {
+        if (typeof coord === 'number') return Math.abs(coord - 50) <= this.centerExclusionRadius;
+        
         const centerX = 50;
         const centerY = 50;
         const distance = Math.sqrt(Math.pow(coord.x - centerX, 2) + Math.pow(coord.y - centerY, 2));
@@ -582,6 +675,10 @@ export class SpectrumRenderer {
      * @private
      */
     coordToCanvas(coord) {
+        if (typeof coord === 'number') {
+            return { x: (coord / 100) * this.canvasSize.width, y: this.canvasSize.height / 2 };
+        }
+        
         return {
             x: (coord.x / 100) * this.canvasSize.width,
             y: this.canvasSize.height - (coord.y / 100) * this.canvasSize.height
@@ -594,6 +691,8 @@ export class SpectrumRenderer {
      */
     canvasToCoord(x, y) {
         const {width, height} = this.canvasSize;
+        if (this.isOneDimensional()) return Math.max(0, Math.min(100, Math.round((x / width) * 100)));
+        
         return {
             x: Math.max(0, Math.min(100, Math.round((x / width) * 100))),
             y: Math.max(0, Math.min(100, Math.round((1 - y / height) * 100)))
@@ -605,26 +704,61 @@ export class SpectrumRenderer {
      * @private
      */
     shouldRenderTarget() {
-        return this.targetCoordinate && 
-            typeof this.targetCoordinate.x === 'number' && 
-            typeof this.targetCoordinate.y === 'number' && 
+        return this.targetCoordinate != null && 
+            [this.targetCoordinate].flat().every(target => typeof target === 'number' ||
+                (typeof target?.x === 'number' && typeof target?.y === 'number')) && 
             this.showTarget;
     }
 
+    /**
+     * Number of targets (and guess markers) this round
+     * @private
+     */
+    getTargetCount = () => this.stateManager.state.game.targetCount || 1;
+
+    isMultiTarget = () => this.getTargetCount() > 1;
+
+    /**
+     * Whether the classic single-spectrum slider is shown instead of the grid
+     * @private
+     */
+    isOneDimensional = () => this.spectrumMode === '1d';
+
+    /**
+     * Round a coordinate or 1D position to whole grid units
+     * @private
+     */
+    roundCoordinate = coord => typeof coord === 'number'
+        ? Math.round(coord)
+        : { x: Math.round(coord.x), y: Math.round(coord.y), ...(coord.radius !== undefined && { radius: Math.round(coord.radius) }) };
+
     /**
      * Render the target marker
      * @private
      */
     renderTarget() {
-        const pos = this.coordToCanvas(this.targetCoordinate);
+        const targets = [this.targetCoordinate].flat();
         
         this.ctx.save();
         
-        [15, 10, 4].forEach((radius, i) => {
-            this.ctx.fillStyle = i % 2 ? this.colors.darkBg : this.colors.red;
-            this.ctx.beginPath();
-            this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
-            this.ctx.fill();
+        targets.forEach((target, index) => {
+            const pos = this.coordToCanvas(target);
+            
+            [15, 10, 4].forEach((radius, i) => {
+                this.ctx.fillStyle = i % 2 ? this.colors.darkBg : this.colors.red;
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+            
+            // Number the targets so clues and guess markers can refer to them
+            if (targets.length > 1) {
+                this.ctx.fillStyle = this.colors.textPrimary;
+                this.ctx.font = 'bold 12px Arial';
+                this.ctx.textAlign = 'left';
+                this.ctx.textBaseline = 'bottom';
+                this.ctx.fillText(`${index + 1}`, pos.x + 12, pos.y - 12);
+            }
         });
         
         this.ctx.restore();
@@ -636,22 +770,187 @@ export class SpectrumRenderer {
      */
     renderGuesses() {
         const players = this.stateManager.getPlayers();
-        const playerColors = [this.colors.teal, this.colors.green, this.colors.orange, this.colors.lilac];
         
-        Object.entries(this.guesses).forEach(([playerId, coordinate], index) => {
+        const assignments = this.stateManager.state.game.targetAssignments;
+        
+        Object.entries(this.guesses).forEach(([playerId, coordinate]) => {
             const player = players[playerId];
-            if (!player || !coordinate) return;
+            if (!player || coordinate == null) return;
             
-            const roundedCoord = {
-                x: Math.round(coordinate.x),
-                y: Math.round(coordinate.y)
-            };
+            // Multi-target markers are labelled with the target they were (or will be) matched to
+            const markers = [coordinate].flat();
+            markers.forEach((marker, index) => {
+                const pos = this.coordToCanvas(this.roundCoordinate(marker));
+                const targetIndex = assignments?.[playerId]?.[index];
+                if (targetIndex !== undefined) this.renderAssignmentLine(pos, targetIndex, this.getPlayerColor(playerId));
+                if (marker.radius !== undefined) this.renderGuessRadius(pos, marker.radius, this.getPlayerColor(playerId));
+                this.renderGuessMarker(this.ctx, pos.x, pos.y,
+                    this.getPlayerColor(playerId), 
+                    player.name.charAt(0).toUpperCase() + (Array.isArray(coordinate) ? (targetIndex ?? index) + 1 : ''));
+            });
+        });
+    }
+
+    /**
+     * Dashed line from a guess marker to the target it was scored against
+     * @private
+     */
+    renderAssignmentLine(pos, targetIndex, color) {
+        const target = [this.targetCoordinate].flat()[targetIndex];
+        if (target == null || !this.shouldRenderTarget()) return;
+        
+        const targetPos = this.coordToCanvas(target);
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.lineWidth = this.responsiveLineWidth * 2;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(pos.x, pos.y);
+        this.ctx.lineTo(targetPos.x, targetPos.y);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Render a guess's confidence circle (an ellipse on a non-square canvas, as radii are in grid units)
+     * @private
+     */
+    renderGuessRadius(pos, radius, color) {
+        const { width, height } = this.canvasSize;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = this.responsiveLineWidth * 2;
+        this.ctx.beginPath();
+        this.ctx.ellipse(pos.x, pos.y, radius / 100 * width, radius / 100 * height, 0, 0, Math.PI * 2);
+        this.ctx.globalAlpha = 0.15;
+        this.ctx.fill();
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Whether guesses in this room carry a confidence radius
+     * @private
+     */
+    usesRadius = () => !!SCORING_STRATEGIES[this.stateManager.state.room.settings?.scoringStrategy]?.usesRadius;
+
+    /**
+     * The guess being dragged out: the center where the drag started and the pointer's distance from it.
+     * A plain click keeps the radius of the placed guess (or the default); the local marker
+     * is redrawn mid-drag, so it can't be trusted for that.
+     * @private
+     */
+    getRadiusGuess() {
+        const center = this.radiusCenter;
+        const distance = Math.hypot(this.hoverCoordinate.x - center.x, this.hoverCoordinate.y - center.y);
+        const previous = this.stateManager.state.game.provisionalGuess?.radius;
+        const radius = distance < GAME_RULES.GUESS_RADIUS_MIN
+            ? previous ?? GAME_RULES.GUESS_RADIUS_DEFAULT
+            : Math.min(GAME_RULES.GUESS_RADIUS_MAX, distance);
+        
+        return { ...center, radius: Math.round(radius) };
+    }
+
+    /**
+     * Each player's marker and cursor color, by their place in the room
+     * @private
+     */
+    getPlayerColor(playerId) {
+        const playerColors = [this.colors.teal, this.colors.green, this.colors.orange, this.colors.lilac, this.colors.electricBlue, this.colors.red];
+        const index = Math.max(0, Object.keys(this.stateManager.getPlayers()).indexOf(playerId));
+        return playerColors[index % playerColors.length];
+    }
+
+    /**
+     * Render the shared dial and the other guessers' cursors around it
+     * @private
+     */
+    renderDial() {
+        const players = this.stateManager.getPlayers();
+        const myPlayerId = this.stateManager.state.connection.playerId;
+        const cursorSize = this.responsiveMarkerSize * 0.6;
+        
+        Object.entries(this.dial.cursors || {}).forEach(([playerId, coordinate]) => {
+            const player = players[playerId];
+            if (!player || playerId === myPlayerId) return;
             
-            const pos = this.coordToCanvas(roundedCoord);
-            this.renderGuessMarker(this.ctx, pos.x, pos.y,
-                playerColors[index % playerColors.length], 
-                player.name.charAt(0).toUpperCase());
+            const pos = this.coordToCanvas(this.roundCoordinate(coordinate));
+            this.ctx.save();
+            this.ctx.strokeStyle = this.getPlayerColor(playerId);
+            this.ctx.lineWidth = this.responsiveLineWidth * 2;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, cursorSize, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.fillStyle = this.getPlayerColor(playerId);
+            this.ctx.font = `${this.responsiveFontSize}px Arial`;
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillText(player.name, pos.x + cursorSize, pos.y - cursorSize);
+            this.ctx.restore();
         });
+        
+        if (this.dial.position == null) return;
+        
+        const pos = this.coordToCanvas(this.roundCoordinate(this.dial.position));
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.pink;
+        this.ctx.lineWidth = this.responsiveLineWidth * 3;
+        this.ctx.beginPath();
+        this.ctx.arc(pos.x, pos.y, this.responsiveMarkerSize * 1.6, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+        
+        const mover = players[this.dial.movedBy];
+        this.renderGuessMarker(this.ctx, pos.x, pos.y, this.colors.pink,
+            mover ? mover.name.charAt(0).toUpperCase() : '•');
+    }
+
+    /**
+     * Render the four quadrants around the locked duel guess,
+     * highlighting the hovered and the predicted quadrant
+     * @private
+     */
+    renderQuadrants() {
+        const {width, height} = this.canvasSize;
+        const pos = this.coordToCanvas(this.lockedGuess.coordinate);
+        const bounds = {
+            'upper-left': [0, 0, pos.x, pos.y],
+            'upper-right': [pos.x, 0, width - pos.x, pos.y],
+            'lower-left': [0, pos.y, pos.x, height - pos.y],
+            'lower-right': [pos.x, pos.y, width - pos.x, height - pos.y]
+        };
+        
+        this.ctx.save();
+        
+        if (this.counterGuess?.quadrant) {
+            this.ctx.fillStyle = this.colors.quadrantSelected;
+            this.ctx.fillRect(...bounds[this.counterGuess.quadrant]);
+        }
+        
+        if (this.quadrantSelectionEnabled && this.isHovering && this.hoverCoordinate) {
+            this.ctx.fillStyle = this.colors.quadrantHover;
+            this.ctx.fillRect(...bounds[gameLogic.getQuadrant(this.lockedGuess.coordinate, this.hoverCoordinate)]);
+        }
+        
+        this.ctx.strokeStyle = this.colors.quadrantDivider;
+        this.ctx.lineWidth = this.responsiveLineWidth * 2;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(pos.x, 0);
+        this.ctx.lineTo(pos.x, height);
+        this.ctx.moveTo(0, pos.y);
+        this.ctx.lineTo(width, pos.y);
+        this.ctx.stroke();
+        this.ctx.restore();
+        
+        const player = this.stateManager.getPlayers()[this.lockedGuess.playerId];
+        if (!this.guesses[this.lockedGuess.playerId]) {
+            this.renderGuessMarker(this.ctx, pos.x, pos.y, this.colors.teal,
+                player ? player.name.charAt(0).toUpperCase() : '?');
+        }
     }
 
     /**
@@ -870,7 +1169,7 @@ export class SpectrumRenderer {
      */
     handlePointerEnter = () => {
         this.isHovering = true;
-        if (this.interactionEnabled) this.gridContainer.classList.add('interactive');
+        if (this.isPointerActive()) this.gridContainer.classList.add('interactive');
         this.requestRender();
     }
 
@@ -890,7 +1189,7 @@ export class SpectrumRenderer {
      * @private
      */
     handlePointerMove = (e) => {
-        if (!this.interactionEnabled || !this.isHovering) return;
+        if (!this.isPointerActive() || !this.isHovering) return;
         
         const now = Date.now();
         if (now - this.lastInteractionTime < this.interactionThrottle) return;
@@ -901,35 +1200,91 @@ export class SpectrumRenderer {
         const y = (e.clientY - rect.top) * this.canvasSize.height / rect.height;
         
         this.hoverCoordinate = this.canvasToCoord(x, y);
+        
+        // Dragging carries this player's marker along; it is sent to the server on release
+        const playerId = this.stateManager.state.connection.playerId;
+        if (this.interactionEnabled && this.isSharedDial()) {
+            this.handleDialPointerMove();
+        } else if (this.isDragging && this.interactionEnabled && playerId) {
+            this.guesses[playerId] = this.isMultiTarget() ? this.withMarker(this.roundCoordinate(this.hoverCoordinate))
+                : this.radiusCenter ? this.getRadiusGuess() : this.roundCoordinate(this.hoverCoordinate);
+        }
         this.requestRender();
     }
 
+    /**
+     * Share this player's cursor, and the dial while dragging it, at most once per DIAL_UPDATE_INTERVAL
+     * @private
+     */
+    handleDialPointerMove() {
+        const coordinate = this.roundCoordinate(this.hoverCoordinate);
+        const grab = this.isDragging && !this.isInExclusionZone(coordinate);
+        if (grab) this.dial = { ...this.dial, position: coordinate };
+        
+        const now = Date.now();
+        if (now - this.lastDialUpdate < GAME_RULES.DIAL_UPDATE_INTERVAL) return;
+        this.lastDialUpdate = now;
+        
+        this.stateManager.emit('spectrum:dial-moved', { coordinate, grab });
+    }
+
+    /**
+     * Whether this room's guessers share one dial
+     * @private
+     */
+    isSharedDial = () => !!this.stateManager.state.room.settings?.sharedDial;
+
     /**
      * Handle pointer down event
      * @private
      */
     handlePointerDown = (e) => {
-        if (this.interactionEnabled && e.button === 0) this.isDragging = true;
+        if (!this.isPointerActive() || e.button !== 0) return;
+        
+        this.isDragging = true;
+        // With confidence scoring the press sets the center and the drag sets the radius
+        this.radiusCenter = this.interactionEnabled && this.usesRadius() && this.hoverCoordinate
+            ? this.roundCoordinate(this.hoverCoordinate)
+            : null;
     }
 
+    /**
+     * Whether the pointer currently places guesses or selects quadrants
+     * @private
+     */
+    isPointerActive = () => this.interactionEnabled || this.quadrantSelectionEnabled;
+
     /**
      * Handle pointer up event
      * @private
      */
     handlePointerUp = (e) => {
-        if (!this.interactionEnabled || !this.isDragging || e.button !== 0) return;
+        if (!this.isPointerActive() || !this.isDragging || e.button !== 0) return;
         
         this.isDragging = false;
-        if (this.hoverCoordinate) {
-            if (this.isInExclusionZone(this.hoverCoordinate)) {
+        if (this.quadrantSelectionEnabled) {
+            if (this.hoverCoordinate && this.lockedGuess) this.handleQuadrantSelection(this.hoverCoordinate);
+            return;
+        }
+        
+        const coordinate = this.radiusCenter && this.hoverCoordinate ? this.getRadiusGuess() : this.hoverCoordinate;
+        this.radiusCenter = null;
+        
+        if (coordinate != null) {
+            if (this.isInExclusionZone(coordinate)) {
                 this.stateManager.addNotification({
                     type: 'warning',
                     message: 'Cannot place guess in the center exclusion zone!',
                     duration: 3000
                 });
+                // Put a dragged marker back where the provisional guess (or the dial) still is
+                const playerId = this.stateManager.state.connection.playerId;
+                if (this.isSharedDial()) this.dial = this.stateManager.state.game.dial;
+                else if (playerId) this.guesses[playerId] = this.isMultiTarget() ? this.pendingMarkers : this.stateManager.state.game.provisionalGuess;
+                this.requestRender();
                 return;
             }
-            this.handleGuessPlacement(this.hoverCoordinate);
+            this.handleGuessPlacement(coordinate);
         }
     }
 
@@ -939,6 +1294,7 @@ export class SpectrumRenderer {
      */
     handlePointerCancel = () => {
         this.isDragging = false;
+        this.radiusCenter = null;
         this.isHovering = false;
         this.hoverCoordinate = null;
         this.gridContainer.classList.remove('interactive');
@@ -952,12 +1308,7 @@ export class SpectrumRenderer {
     handleGuessPlacement(coordinate) {
         console.log('handleGuessPlacement called with coordinate:', coordinate); // Debug
         
-        const roundedCoordinate = {
-            x: Math.round(coordinate.x),
-            y: Math.round(coordinate.y)
-        };
-        
-        this.previewGuess = roundedCoordinate;
+        const roundedCoordinate = this.roundCoordinate(coordinate);
         const pos = this.coordToCanvas(roundedCoordinate);
         
         console.log('Canvas position for particles:', pos); // Debug
@@ -966,7 +1317,20 @@ export class SpectrumRenderer {
         this.createPlacementParticles(pos.x, pos.y);
         
         const playerId = this.stateManager.state.connection.playerId;
-        if (playerId) {
+        if (this.isSharedDial()) {
+            this.dial = { ...this.dial, position: roundedCoordinate };
+            this.requestRender();
+        } else if (this.isMultiTarget()) {
+            // Markers are added one per click until every target has one, then the nearest moves
+            this.pendingMarkers = this.withMarker(roundedCoordinate);
+            if (playerId) this.guesses[playerId] = this.pendingMarkers;
+            this.requestRender();
+            if (this.pendingMarkers.length === this.getTargetCount()) {
+                this.stateManager.emit('spectrum:guess-placed', { coordinate: this.pendingMarkers });
+            }
+            return;
+        } else if (playerId) {
+            this.previewGuess = roundedCoordinate;
             this.guesses[playerId] = roundedCoordinate;
             this.requestRender();
         }
@@ -974,6 +1338,45 @@ export class SpectrumRenderer {
         this.stateManager.emit('spectrum:guess-placed', { coordinate: roundedCoordinate });
     }
 
+    /**
+     * This player's markers with one more added, or with the nearest one moved once every target has a marker
+     * @private
+     */
+    withMarker(coordinate) {
+        const markers = [...this.pendingMarkers];
+        if (markers.length < this.getTargetCount()) return [...markers, coordinate];
+        
+        const distances = markers.map(marker => gameLogic.calculateDistance(marker, coordinate));
+        markers[distances.indexOf(Math.min(...distances))] = coordinate;
+        return markers;
+    }
+
+    /**
+     * Handle quadrant selection around the locked guess
+     * @private
+     */
+    handleQuadrantSelection(coordinate) {
+        const quadrant = gameLogic.getQuadrant(this.lockedGuess.coordinate, coordinate);
+        const pos = this.coordToCanvas(coordinate);
+        
+        this.createPlacementParticles(pos.x, pos.y);
+        this.counterGuess = { quadrant };
+        this.requestRender();
+        
+        this.stateManager.emit('spectrum:quadrant-selected', { quadrant });
+    }
+
+    /**
+     * Switch between the 2D grid and the classic 1D slider
+     * @public
+     */
+    setSpectrumMode(mode) {
+        this.spectrumMode = mode || '2d';
+        this.hoverCoordinate = null;
+        this.markDirty();
+        this.requestRender();
+    }
+
     /**
      * Update spectrum data
      * @public
@@ -994,13 +1397,22 @@ export class SpectrumRenderer {
         this.requestRender();
     }
 
+    /**
+     * Update the shared dial from state
+     * @public
+     */
+    updateDial(dial) {
+        this.dial = dial;
+        this.requestRender();
+    }
+
     /**
      * Update guesses from state
      * @public
      */
     updateGuesses(guesses) {
         const myPlayerId = this.stateManager.state.connection.playerId;
-        if (myPlayerId && guesses?.[myPlayerId]) {
+        if (myPlayerId && guesses?.[myPlayerId] != null) {
             this.previewGuess = null;
         }
         
@@ -1022,6 +1434,39 @@ export class SpectrumRenderer {
         this.requestRender();
     }
 
+    /**
+     * Enable or disable quadrant selection
+     * @public
+     */
+    setQuadrantSelectionEnabled(enabled) {
+        this.quadrantSelectionEnabled = enabled;
+        this.gridContainer.classList.toggle('interactive', enabled || this.interactionEnabled);
+        if (!enabled && !this.interactionEnabled) {
+            this.isHovering = false;
+            this.hoverCoordinate = null;
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Update the locked duel guess
+     * @public
+     */
+    updateLockedGuess(lockedGuess) {
+        this.lockedGuess = lockedGuess;
+        this.markDirty();
+        this.requestRender();
+    }
+
+    /**
+     * Update the counter side's predicted quadrant
+     * @public
+     */
+    updateCounterGuess(counterGuess) {
+        this.counterGuess = counterGuess;
+        this.requestRender();
+    }
+
     /**
      * Set target visibility
      * @public
@@ -1038,7 +1483,7 @@ export class SpectrumRenderer {
     updateTargetVisibility() {
         const isClueGiver = this.stateManager.isCurrentPlayerClueGiver();
         const phase = this.stateManager.getGameState().phase;
-        this.showTarget = (isClueGiver && ['giving-clue', 'guessing'].includes(phase)) || phase === 'results';
+        this.showTarget = (isClueGiver && ['giving-clue', 'guessing', 'counter-guess'].includes(phase)) || phase === 'results';
         this.requestRender();
     }
 
@@ -1050,8 +1495,12 @@ export class SpectrumRenderer {
         const actions = {
             'giving-clue': () => { 
                 this.guesses = {}; 
+                this.pendingMarkers = [];
+                this.dial = null;
                 this.previewGuess = null; 
                 this.particles = [];
+                this.lockedGuess = null;
+                this.counterGuess = null;
             },
             'guessing': () => { 
                 this.previewGuess = null; 
@@ -1079,9 +1528,12 @@ export class SpectrumRenderer {
         Object.assign(this, {
             targetCoordinate: null,
             guesses: {},
+            pendingMarkers: [],
             previewGuess: null,
             showTarget: false,
-            particles: []
+            particles: [],
+            lockedGuess: null,
+            counterGuess: null
         });
         
         this.requestRender();
@@ -15,6 +15,7 @@ export class UIManager {
             currentView: 'lobby',
             isInitialized: false,
             activeModal: null,
+            modalPlayerId: null, // player a moderation confirm modal is about
             notifications: [],
             debugMode: false,
             // Performance optimizations
@@ -58,6 +59,7 @@ export class UIManager {
         console.log('🎨 Initializing UIManager...');
         this.detectDeviceCapabilities();
         this.cacheElements();
+        this.buildSettingsPanel();
         this.setupEventListeners();
         this.setupStateListeners();
         this.initializeUI();
@@ -324,11 +326,13 @@ export class UIManager {
             roomCodeSection: '#room-code-section',
             playerNameInput: '#player-name', 
             roomCodeInput: '#room-code',
+            spectateToggle: '#spectate-toggle',
             confirmActionBtn: '#confirm-action-btn', 
             cancelActionBtn: '#cancel-action-btn',
             currentRoomCode: '#current-room-code', 
             currentRound: '#current-round',
             totalRounds: '#total-rounds', 
+            suddenDeathBadge: '#sudden-death-badge',
             gamePhaseText: '#game-phase-text', 
             roundTimer: '#round-timer',
             clueText: '#clue-text',
@@ -339,6 +343,7 @@ export class UIManager {
             spectrumXName: '#spectrumX-name',
             spectrumYName: '#spectrumY-name',
             playersContainer: '#players-container', 
+            spectatorsContainer: '#spectators-container',
             scoreboardContainer: '#scoreboard-container',
             chatMessages: '#chat-messages', 
             chatInput: '#chat-input',
@@ -346,17 +351,40 @@ export class UIManager {
             // toggleChatBtn no longer needed as chat is always visible
             // Game control elements in notification panel
             gameControlContainer: '#game-control-container',
+            spectrumChoiceSection: '#spectrum-choice-section',
+            spectrumOptionsContainer: '#spectrum-options',
+            rerollSpectrumsBtn: '#reroll-spectrums',
             clueInputSection: '#clue-input-section',
             guessInputSection: '#guess-input-section',
+            lockGuessBtn: '#lock-guess',
+            counterGuessSection: '#counter-guess-section',
             waitingSection: '#waiting-section', 
             resultsSection: '#results-section',
             clueInput: '#clue-input-field', 
+            targetClueFields: '#target-clue-fields',
+            clueRuleFeedback: '#clue-rule-feedback',
             submitClueBtn: '#submit-clue',
             startGameBtn: '#start-game', 
+            toggleReadyBtn: '#toggle-ready',
+            switchTeamBtn: '#switch-team',
             waitingMessage: '#waiting-message',
+            roomSettingsPanel: '#room-settings-panel',
+            roomSettingsNote: '#room-settings-note',
+            settingCategories: '#setting-categories',
+            settingPoolSize: '#setting-pool-size',
+            settingPlannedRounds: '#setting-planned-rounds',
             resultsContainer: '#results-container', 
+            clueRatingSection: '#clue-rating-section',
+            clueRatingOptions: '#clue-rating-options',
+            clueRatingSummary: '#clue-rating-summary',
             nextRoundBtn: '#next-round',
             viewFinalScoresBtn: '#view-final-scores',
+            hostControls: '#host-controls',
+            pauseGameBtn: '#pause-game',
+            resumeGameBtn: '#resume-game',
+            pausedOverlay: '#paused-overlay',
+            countdownOverlay: '#countdown-overlay',
+            countdownNumber: '#countdown-number',
             modalOverlay: '#modal-overlay', 
             modalTitle: '#modal-title',
             modalContent: '#modal-content', 
@@ -404,7 +432,10 @@ export class UIManager {
         this.elements.playerNameInput?.addEventListener('input', () => this.validatePlayerName());
         this.elements.roomCodeInput?.addEventListener('input', () => this.validateRoomCode());
         this.elements.clueInput?.addEventListener('input', () => this.validateClue());
+        this.elements.targetClueFields?.addEventListener('input', e => this.validateClue(e.target));
         this.elements.chatInput?.addEventListener('keypress', e => { if (e.key === 'Enter') this.handleSendChat(); });
+        this.elements.roomSettingsPanel?.addEventListener('change', e => this.handleSettingChange(e.target));
+        this.elements.roomSettingsPanel?.addEventListener('submit', e => e.preventDefault());
     }
 
     /**
@@ -427,8 +458,8 @@ export class UIManager {
     handleGlobalClick(e) {
         const target = e.target;
         
-        // Prevent double-tap zoom on mobile
-        if (this.isMobile) {
+        // Prevent double-tap zoom on mobile (form controls still need their default action)
+        if (this.isMobile && !target.closest('#room-settings-panel')) {
             e.preventDefault();
         }
         
@@ -438,9 +469,20 @@ export class UIManager {
         else if (target.matches('#confirm-action-btn')) this.handleConfirmAction();
         else if (target.matches('#cancel-action-btn')) this.handleCancelAction();
         else if (target.matches('#start-game')) this.handleStartGame();
+        else if (target.matches('#toggle-ready')) this.stateManager.emit('ui:toggle-ready');
+        else if (target.matches('#switch-team')) this.handleSwitchTeam();
+        else if (target.closest('.player-action')) this.handlePlayerAction(target.closest('.player-action'));
+        else if (target.closest('.spectrum-option')) this.stateManager.emit('ui:choose-spectrum', { index: Number(target.closest('.spectrum-option').dataset.index) });
+        else if (target.matches('#reroll-spectrums')) this.stateManager.emit('ui:reroll-spectrums');
         else if (target.matches('#submit-clue')) this.handleSubmitClue();
+        else if (target.matches('#lock-guess')) this.stateManager.emit('ui:lock-guess');
+        else if (target.closest('.clue-rating-option')) this.stateManager.emit('ui:rate-clue', { rating: Number(target.closest('.clue-rating-option').dataset.rating) });
         else if (target.matches('#next-round')) this.handleNextRound();
         else if (target.matches('#view-final-scores')) this.handleViewFinalScores();
+        else if (target.matches('#pause-game')) this.stateManager.emit('ui:pause-game');
+        else if (target.matches('#resume-game')) this.stateManager.emit('ui:resume-game');
+        else if (target.matches('#abort-game')) this.showModal('confirm-abort');
+        else if (target.matches('#modal-confirm')) this.handleModalConfirm();
         else if (target.matches('#send-chat')) this.handleSendChat();
         // No longer need toggle chat handler as chat is always visible
         else if (target.matches('#modal-close, #modal-cancel')) this.hideModal();
@@ -467,10 +509,38 @@ export class UIManager {
             'game.spectrumY': () => this.queueDOMUpdate(() => this.updateSpectrumLabels()),
             'game.clue': data => this.updateClue(data.newValue),
             'game.timeRemaining': data => this.updateTimer(data.newValue),
+            'game.timerPaused': () => {
+                this.updateTimer(this.stateManager.getGameState().timeRemaining);
+                this.updateHostControls();
+            },
             'game.currentRound': data => this.updateRoundInfo(data.newValue),
+            'game.suddenDeath': data => this.elements.suddenDeathBadge?.classList.toggle('hidden', !data.newValue),
+            'game.countdown': data => this.updateCountdown(data.newValue),
+            'game.provisionalGuess': () => this.updateLockGuessButton(),
+            'game.dial': () => this.updateLockGuessButton(),
+            'game.clueRatings': () => this.queueDOMUpdate(() => this.renderClueRating()),
+            'game.spectrumOptions': () => this.stateManager.getGameState().phase === 'choosing-spectrum' &&
+                this.queueDOMUpdate(() => this.renderSpectrumOptions()),
+            'room.settings': () => this.queueDOMUpdate(() => {
+                this.updateSettingsPanel();
+                this.updateSpectrumAvailability();
+                this.updatePlannedRounds();
+                this.refreshLobbyTeams();
+            }),
+            'game.teamScores': () => this.queueDOMUpdate(() => this.updateScoreboard(this.stateManager.getPlayers())),
+            'room.hostId': () => this.queueDOMUpdate(() => {
+                this.updateSettingsPanel();
+                this.updateHostControls();
+                this.updatePlayerList(this.stateManager.getPlayers()); // host actions follow the host role
+            }),
+            'room.spectrumCounts': () => this.queueDOMUpdate(() => this.updateSpectrumAvailability()),
+            'room.spectators': data => this.queueDOMUpdate(() => this.updateSpectatorList(data.newValue)),
             'players': data => this.queueDOMUpdate(() => {
                 this.updatePlayerList(data.newValue);
                 this.updateScoreboard(data.newValue);
+                this.updateLockGuessButton();
+                this.updatePlannedRounds();
+                if (this.stateManager.getGameState().phase === 'lobby') this.updateLobbyStart();
             }),
             'ui.currentView': data => this.switchView(data.newValue),
             'ui.activeModal': data => data.newValue ? this.showModal(data.newValue.id, data.newValue.data) : this.hideModal(),
@@ -609,7 +679,7 @@ export class UIManager {
                 this.showNotification('Please enter a valid room code', 'error');
                 return;
             }
-            this.stateManager.emit('ui:join-room', { playerName, roomCode });
+            this.stateManager.emit('ui:join-room', { playerName, roomCode, spectate: this.elements.spectateToggle.checked });
         }
         
         this.resetLobbyForm();
@@ -626,6 +696,43 @@ export class UIManager {
      */
     handleStartGame = () => this.stateManager.emit('ui:start-game');
 
+    /**
+     * Handle switch team button click
+     * Moves the current player to the other team
+     */
+    handleSwitchTeam() {
+        const currentTeam = this.stateManager.getCurrentPlayer()?.team;
+        const team = GAME_RULES.TEAMS.find(t => t !== currentTeam);
+        this.stateManager.emit('ui:switch-team', { team });
+    }
+
+    /**
+     * Handle a change in the room settings panel
+     * Validates the new value locally before sending it to the server
+     * @param {HTMLElement} target - The changed input, select or checkbox
+     */
+    handleSettingChange(target) {
+        const control = target.closest('[data-setting]');
+        if (!control || !this.isHost()) return;
+        
+        const key = control.dataset.setting;
+        const value = key === 'spectrumCategories'
+            ? Array.from(control.querySelectorAll('input:checked'), input => input.value)
+            : control.type === 'checkbox' ? control.checked
+            : control.type === 'number' ? Number(control.value)
+            : ROOM_SETTINGS[key].maxItems !== undefined ? control.value.split(',').map(word => word.trim()).filter(Boolean)
+            : control.value;
+        
+        const validation = Validator.roomSettings({ [key]: value }, this.stateManager.getRoomState().settings);
+        if (!validation.valid) {
+            this.showValidationError(control, validation.error);
+            this.updateSettingsPanel();
+            return;
+        }
+        
+        this.stateManager.emit('ui:update-settings', { settings: { [key]: value } });
+    }
+
     /**
      * Handle submit clue button click
      * Validates and submits the clue to the game
@@ -642,18 +749,35 @@ export class UIManager {
         const clue = this.elements.clueInput.value.trim();
         if (this.debugMode) console.log(`💡 Clue value: "${clue}"`);
         
-        if (!this.validateClue()) {
-            this.showValidationError(this.elements.clueInput, 'Please enter a valid clue (no numbers, 1-100 characters)');
+        const validation = this.validateClue();
+        if (!validation.valid) {
+            this.showValidationError(this.elements.clueInput, validation.error);
             return;
         }
         
+        // Multi-target rounds: leave the extra fields blank for one clue covering every target
+        const extraInputs = Array.from(this.elements.targetClueFields?.querySelectorAll('.target-clue-input') || []);
+        const extraClues = extraInputs.map(input => input.value.trim());
+        if (extraClues.some(Boolean)) {
+            for (const input of extraInputs) {
+                const extraValidation = this.validateClue(input);
+                if (!extraValidation.valid) {
+                    this.showValidationError(input, input.value.trim()
+                        ? extraValidation.error
+                        : 'Give a clue for every target, or a single clue for all of them');
+                    return;
+                }
+            }
+        }
+        
         this.addButtonPressEffect(this.elements.submitClueBtn);
         this.elements.clueInput.classList.add('animate-guess-submitted');
         
         if (this.debugMode) console.log('📤 Emitting clue submission event');
-        this.stateManager.emit('ui:submit-clue', { clue });
+        this.stateManager.emit('ui:submit-clue', { clue: extraClues.some(Boolean) ? [clue, ...extraClues] : clue });
         
         this.elements.clueInput.value = '';
+        extraInputs.forEach(input => { input.value = ''; });
         if (this.elements.submitClueBtn) this.elements.submitClueBtn.disabled = true;
         
         if (this.debugMode) this.showNotification('Clue submitted successfully! 🎯', 'success', 3000);
@@ -677,6 +801,29 @@ export class UIManager {
      */
     handleViewFinalScores = () => this.showModal('final-scores', this.stateManager.getGameState().finalScores);
 
+    /**
+     * Handle the modal confirm button for modals that ask before acting
+     */
+    handleModalConfirm() {
+        const moderation = { 'confirm-kick': 'kick', 'confirm-ban': 'ban', 'confirm-transfer-host': 'transfer-host' }[this.activeModal];
+        
+        if (this.activeModal === 'confirm-abort') this.stateManager.emit('ui:abort-game');
+        else if (moderation) this.stateManager.emit('ui:moderate-player', { action: moderation, playerId: this.modalPlayerId });
+        this.hideModal();
+    }
+
+    /**
+     * Handle a host action button in the player list: confirm it first
+     * @param {HTMLElement} button - Button carrying data-action and data-player-id
+     */
+    handlePlayerAction(button) {
+        const player = this.stateManager.getPlayer(button.dataset.playerId);
+        if (!player || !this.isHost()) return;
+        
+        this.modalPlayerId = player.id;
+        this.showModal(`confirm-${button.dataset.action}`, player);
+    }
+
     /**
      * Handle send chat button click
      * Sends chat message and clears input field
@@ -703,7 +850,7 @@ export class UIManager {
                 const activeElement = document.activeElement;
                 if ([this.elements.playerNameInput, this.elements.roomCodeInput].includes(activeElement)) {
                     this.handleConfirmAction();
-                } else if (activeElement === this.elements.clueInput) {
+                } else if (activeElement === this.elements.clueInput || activeElement?.matches('.target-clue-input')) {
                     this.handleSubmitClue();
                 }
             }
@@ -771,11 +918,12 @@ export class UIManager {
      * @private
      */
     updatePhaseDisplayText(phase, isClueGiver, gameState) {
-        this.elements.gamePhaseText.textContent = gameLogic.getPhaseDisplayText(
-            phase,
-            isClueGiver,
-            gameState.timeRemaining
-        );
+        this.elements.gamePhaseText.textContent = phase === 'guessing' && !isClueGiver && !this.stateManager.canCurrentPlayerGuess()
+            ? (this.stateManager.isCurrentPlayerPending() ? 'You join in at the next round'
+                : gameState.duelSides ? 'The other side is guessing...'
+                : gameState.suddenDeath ? 'The tied players are guessing...'
+                : `Team ${gameState.activeTeam} is guessing...`)
+            : gameLogic.getPhaseDisplayText(phase, isClueGiver, gameState.timeRemaining);
     }
     
     /**
@@ -788,8 +936,10 @@ export class UIManager {
     applyPhaseHandler(phase, isClueGiver, gameState) {
         const phaseHandlers = {
             lobby: () => this.handleLobbyPhase(),
+            'choosing-spectrum': () => this.handleChoosingSpectrumPhase(isClueGiver),
             'giving-clue': () => this.handleGivingCluePhase(isClueGiver),
             guessing: () => this.handleGuessingPhase(isClueGiver),
+            'counter-guess': () => this.handleCounterGuessPhase(),
             scoring: () => this.handleScoringPhase(),
             waiting: () => this.handleWaitingPhase(),
             results: () => this.handleResultsPhase(gameState),
@@ -809,6 +959,22 @@ export class UIManager {
     updateCommonPhaseElements(phase, isClueGiver) {
         this.updateSpectrumInteraction(phase, isClueGiver);
         this.updateTimerVisibility(phase);
+        this.updateHostControls();
+    }
+
+    /**
+     * Show the pause/resume/end controls to the host while a game runs,
+     * and the paused overlay to everyone else while it is paused
+     */
+    updateHostControls() {
+        const { phase, timerPaused } = this.stateManager.getGameState();
+        const running = !['lobby', 'finished'].includes(phase);
+        const isHost = this.isHost();
+        
+        this.elements.hostControls?.classList.toggle('hidden', !(isHost && running));
+        this.elements.pauseGameBtn?.classList.toggle('hidden', timerPaused);
+        this.elements.resumeGameBtn?.classList.toggle('hidden', !timerPaused);
+        this.elements.pausedOverlay?.classList.toggle('hidden', !(running && timerPaused && !isHost));
     }
     
     /**
@@ -842,8 +1008,19 @@ export class UIManager {
     handleLobbyPhase() {
         this.updateSpectrumLabels();
         this.elements.waitingSection.classList.remove('hidden');
-        this.elements.waitingMessage.textContent = 'Waiting for players...';
+        this.updateLobbyStart();
         
+        this.elements.switchTeamBtn?.classList.toggle('hidden', !this.stateManager.isTeamMode() || this.stateManager.isSpectator());
+        
+        this.elements.roomSettingsPanel?.classList.remove('hidden');
+        this.updateSettingsPanel();
+    }
+
+    /**
+     * Show the start button to the host once the room can start, enabled only when every player
+     * is ready, along with the ready toggle and what the lobby is waiting for
+     */
+    updateLobbyStart() {
         const roomState = this.stateManager.getRoomState();
         const connectionState = this.stateManager.getConnectionState();
         
@@ -853,15 +1030,211 @@ export class UIManager {
             console.log('My playerId:', connectionState.playerId);
         }
         
-        if (roomState.hostId === connectionState.playerId) {
-            if (roomState.playerCount >= 2) {
-                this.elements.startGameBtn.classList.remove('hidden');
+        const players = Object.values(this.stateManager.getPlayers());
+        // Same rule as the server: disconnected players don't hold up the start
+        const present = players.filter(p => p.connected !== false);
+        const readyCount = present.filter(p => p.isReady).length;
+        const allReady = readyCount === present.length;
+        const isHost = roomState.hostId === connectionState.playerId;
+        const teamsReady = !this.stateManager.isTeamMode() || GAME_RULES.TEAMS.every(team =>
+            players.filter(p => p.team === team).length >= GAME_RULES.MIN_TEAM_SIZE);
+        
+        this.elements.startGameBtn.classList.toggle('hidden', !(isHost && roomState.playerCount >= 2 && teamsReady));
+        this.elements.startGameBtn.disabled = !allReady;
+        this.elements.waitingMessage.textContent =
+            roomState.playerCount < 2 ? `Waiting for players... (${roomState.playerCount}/2 minimum)`
+            : !teamsReady ? `Each team needs at least ${GAME_RULES.MIN_TEAM_SIZE} players`
+            : !allReady ? `Waiting for everyone to get ready (${readyCount}/${present.length})`
+            : isHost ? 'Everyone is ready!'
+            : 'Everyone is ready. Waiting for the host to start...';
+        
+        // Spectators aren't in the player list, so they get no ready toggle
+        const me = this.stateManager.getCurrentPlayer();
+        const readyBtn = this.elements.toggleReadyBtn;
+        readyBtn?.classList.toggle('hidden', !me);
+        if (readyBtn && me) {
+            readyBtn.textContent = me.isReady ? 'Not Ready' : "I'm Ready";
+            readyBtn.classList.toggle('btn-success', !me.isReady);
+            readyBtn.classList.toggle('btn-secondary', me.isReady);
+            readyBtn.setAttribute('aria-pressed', String(!!me.isReady));
+        }
+    }
+
+    /**
+     * Show the synchronized 3-2-1 before round one
+     * @param {number|null} count - Seconds left; 0 or null hides the overlay
+     */
+    updateCountdown(count) {
+        this.elements.countdownOverlay?.classList.toggle('hidden', !count);
+        if (count) this.elements.countdownNumber.textContent = count;
+    }
+
+    /**
+     * Build the dynamic parts of the room settings panel from ROOM_SETTINGS
+     * Sets number ranges, difficulty options and category checkboxes
+     */
+    buildSettingsPanel() {
+        const panel = this.elements.roomSettingsPanel;
+        if (!panel) return;
+        
+        panel.querySelectorAll('input[type="number"][data-setting]').forEach(input => {
+            const rule = ROOM_SETTINGS[input.dataset.setting];
+            Object.assign(input, { min: rule.min, max: rule.max, step: 1 });
+        });
+        
+        panel.querySelectorAll('select[data-setting]').forEach(select => {
+            const { options, labels } = ROOM_SETTINGS[select.dataset.setting];
+            select.innerHTML = options
+                .map((option, i) => `<option value="${option}">${labels?.[i] ?? `${option[0].toUpperCase()}${option.slice(1)}`}</option>`)
+                .join('');
+        });
+        
+        this.elements.settingCategories.innerHTML = ROOM_SETTINGS.spectrumCategories.options
+            .map(category => `
+                <label class="settings-option">
+                    <input type="checkbox" value="${category}">
+                    <span>${category[0].toUpperCase()}${category.slice(1)}</span>
+                </label>`)
+            .join('');
+    }
+
+    /**
+     * Sync the room settings panel with the room state
+     * The panel is only shown in the lobby and is read-only for non-hosts
+     */
+    updateSettingsPanel() {
+        const panel = this.elements.roomSettingsPanel;
+        if (!panel) return;
+        
+        const { settings } = this.stateManager.getRoomState();
+        const editable = this.isHost() && this.stateManager.getGameState().phase === 'lobby';
+        
+        panel.querySelectorAll('[data-setting]').forEach(control => {
+            const value = settings?.[control.dataset.setting];
+            if (value === undefined) return;
+            
+            if (control.dataset.setting === 'spectrumCategories') {
+                control.querySelectorAll('input').forEach(input => { input.checked = value.includes(input.value); });
+            } else if (control.type === 'checkbox') {
+                control.checked = value;
+            } else if (Array.isArray(value)) {
+                control.value = value.join(', ');
             } else {
-                this.elements.startGameBtn.classList.add('hidden');
-                this.elements.waitingMessage.textContent = `Waiting for players... (${roomState.playerCount}/2 minimum)`;
+                control.value = value;
             }
+        });
+        
+        panel.querySelectorAll('input, select').forEach(control => { control.disabled = !editable; });
+        panel.classList.toggle('read-only', !editable);
+        this.elements.roomSettingsNote.classList.toggle('hidden', editable);
+    }
+
+    /**
+     * Show how many spectrums each category and difficulty offers,
+     * and how many match the current filters, once the counts are loaded
+     */
+    updateSpectrumAvailability() {
+        const counts = this.stateManager.getRoomState().spectrumCounts;
+        const panel = this.elements.roomSettingsPanel;
+        if (!counts || !panel) return;
+        
+        this.elements.settingCategories.querySelectorAll('.settings-option').forEach(option => {
+            const category = option.querySelector('input').value;
+            option.querySelector('span').textContent = 
+                `${category[0].toUpperCase()}${category.slice(1)} (${counts.categories[category]?.total ?? 0})`;
+        });
+        
+        panel.querySelectorAll('select[data-setting$="Difficulty"] option').forEach(option => {
+            option.textContent = `${option.value[0].toUpperCase()}${option.value.slice(1)} (${counts.difficulties[option.value] ?? 0})`;
+        });
+        
+        const {
+            spectrumCategories = [],
+            minDifficulty = ROOM_SETTINGS.minDifficulty.default,
+            maxDifficulty = ROOM_SETTINGS.maxDifficulty.default
+        } = this.stateManager.getRoomState().settings;
+        const difficulties = ROOM_SETTINGS.minDifficulty.options;
+        const allowed = difficulties.slice(difficulties.indexOf(minDifficulty), difficulties.indexOf(maxDifficulty) + 1);
+        const matching = Object.entries(counts.categories)
+            .filter(([category]) => !spectrumCategories.length || spectrumCategories.includes(category))
+            .reduce((sum, [, byDifficulty]) => sum + allowed.reduce((n, d) => n + (byDifficulty[d] || 0), 0), 0);
+        
+        this.elements.settingPoolSize.textContent = `${matching} of ${counts.total} spectrums match these filters`;
+        this.elements.settingPoolSize.classList.remove('hidden');
+    }
+
+    /**
+     * Show how many rounds the game will play with the current players, and how the clue turns split
+     */
+    updatePlannedRounds() {
+        const { settings } = this.stateManager.getRoomState();
+        const playerCount = Object.keys(this.stateManager.getPlayers()).length;
+        if (!settings || !this.elements.settingPlannedRounds) return;
+        
+        const rounds = plannedRounds(settings, playerCount);
+        const turns = settings.gameMode === 'teams' || !playerCount ? ''
+            : rounds % playerCount === 0 ? `, ${rounds / playerCount} clue${rounds / playerCount === 1 ? '' : 's'} each`
+            : ', some players give one more clue';
+        this.elements.settingPlannedRounds.textContent = `${rounds} round${rounds === 1 ? '' : 's'} planned${turns}`;
+    }
+
+    /**
+     * Re-render team-dependent parts of the lobby after the game mode changes
+     */
+    refreshLobbyTeams() {
+        const players = this.stateManager.getPlayers();
+        this.updatePlayerList(players);
+        this.updateScoreboard(players);
+        
+        if (this.stateManager.getGameState().phase === 'lobby') {
+            this.handleLobbyPhase();
+        }
+    }
+
+    /**
+     * Handle the choosing-spectrum phase UI updates
+     * The clue giver picks one of the dealt spectrum pairs; everyone else waits
+     * @param {boolean} isClueGiver - Whether current player is clue giver
+     */
+    handleChoosingSpectrumPhase(isClueGiver) {
+        if (this.debugMode) console.log(`🌈 Choosing spectrum phase - isClueGiver: ${isClueGiver}`);
+        
+        if (isClueGiver) {
+            this.elements.spectrumChoiceSection?.classList.remove('hidden');
+            this.renderSpectrumOptions();
+            this.showNotification('Pick the spectrums for your clue!', 'info', 5000);
         } else {
-            this.elements.startGameBtn.classList.add('hidden');
+            this.elements.waitingSection.classList.remove('hidden');
+            this.elements.waitingMessage.textContent = 'The clue giver is choosing the spectrums...';
+            this.elements.waitingMessage.classList.add('animate-pulse');
+        }
+    }
+    
+    /**
+     * Render the dealt spectrum pairs as buttons, plus the reroll button while rerolls are left
+     * @private
+     */
+    renderSpectrumOptions() {
+        const container = this.elements.spectrumOptionsContainer;
+        if (!container) return;
+        
+        const { spectrumOptions, rerollsLeft } = this.stateManager.getGameState();
+        container.innerHTML = '';
+        
+        (spectrumOptions || []).forEach(({ spectrumX, spectrumY }, index) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary spectrum-option';
+            button.dataset.index = index;
+            button.textContent = spectrumY ? `${spectrumX.name} × ${spectrumY.name}` : spectrumX.name;
+            button.title = [spectrumX, spectrumY].filter(Boolean)
+                .map(spectrum => `${spectrum.leftLabel} ↔ ${spectrum.rightLabel}`).join('\n');
+            container.appendChild(button);
+        });
+        
+        const rerollBtn = this.elements.rerollSpectrumsBtn;
+        if (rerollBtn) {
+            rerollBtn.textContent = `Reroll (${rerollsLeft} left)`;
+            rerollBtn.classList.toggle('hidden', !rerollsLeft);
         }
     }
 
@@ -915,6 +1288,36 @@ export class UIManager {
             this.elements.clueInput.disabled = false;
             this.elements.clueInput.classList.remove('error');
         }
+        this.elements.clueRuleFeedback?.classList.add('hidden');
+        this.renderTargetClueFields();
+    }
+    
+    /**
+     * Add an optional clue field for each extra target in multi-target rounds
+     * @private
+     */
+    renderTargetClueFields() {
+        const container = this.elements.targetClueFields;
+        if (!container) return;
+        
+        const { targetCount } = this.stateManager.getGameState();
+        const multiTarget = targetCount > 1;
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !multiTarget);
+        if (this.elements.clueInput) {
+            this.elements.clueInput.placeholder = multiTarget ? 'Clue for target 1, or one clue for all...' : 'Enter your clue...';
+        }
+        
+        for (let target = 2; target <= targetCount; target++) {
+            const input = document.createElement('input');
+            Object.assign(input, {
+                type: 'text',
+                className: 'target-clue-input',
+                placeholder: `Clue for target ${target} (optional)`,
+                maxLength: 100
+            });
+            container.appendChild(input);
+        }
     }
     
     /**
@@ -946,14 +1349,45 @@ export class UIManager {
     handleGuessingPhase(isClueGiver) {
         if (this.debugMode) console.log(`🎲 Guessing phase - isClueGiver: ${isClueGiver}`);
         
-        if (!isClueGiver) {
+        if (this.stateManager.canCurrentPlayerGuess()) {
             this.elements.guessInputSection.classList.remove('hidden');
+            this.updateLockGuessButton();
             
             // Add notification
-            this.showNotification('Click on the grid to place your guess!', 'info', 5000);
+            const { duelSides, targetCount } = this.stateManager.getGameState();
+            this.showNotification(this.stateManager.getRoomState().settings?.sharedDial
+                ? 'Move the shared dial together and vote to lock it in!'
+                : targetCount > 1 ? `Place ${targetCount} markers, one per target, then lock them in!`
+                : this.stateManager.isTeamMode()
+                ? 'Agree with your team and lock in one shared guess!'
+                : duelSides ? 'Agree with your side and lock in one shared guess!'
+                : 'Place your guess on the grid, then lock it in!', 'info', 5000);
+        } else {
+            const { activeTeam, duelSides, suddenDeath } = this.stateManager.getGameState();
+            this.elements.waitingSection.classList.remove('hidden');
+            this.elements.waitingMessage.textContent = this.stateManager.isCurrentPlayerPending()
+                ? 'Players are guessing... You join in at the next round.'
+                : this.stateManager.isTeamMode()
+                ? `Team ${activeTeam} is guessing...`
+                : duelSides ? 'The other side is guessing...'
+                : suddenDeath ? 'Sudden death: the tied players are guessing...'
+                : 'Players are guessing...';
+            this.elements.waitingMessage.classList.add('animate-pulse');
+        }
+    }
+
+    /**
+     * Handle counter-guess phase UI updates
+     * The counter side picks a quadrant; everyone else waits
+     */
+    handleCounterGuessPhase() {
+        if (this.debugMode) console.log('⚔️ Counter-guess phase');
+        
+        if (this.stateManager.canCurrentPlayerCounterGuess() && !this.stateManager.getGameState().counterGuess) {
+            this.elements.counterGuessSection.classList.remove('hidden');
         } else {
             this.elements.waitingSection.classList.remove('hidden');
-            this.elements.waitingMessage.textContent = 'Players are guessing...';
+            this.elements.waitingMessage.textContent = 'The counter side is predicting the quadrant...';
             this.elements.waitingMessage.classList.add('animate-pulse');
         }
     }
@@ -996,6 +1430,7 @@ export class UIManager {
         
         this.elements.resultsSection.classList.remove('hidden');
         this.updateResultsDisplay(gameState);
+        this.renderClueRating();
         
         // Add notification
         this.showNotification('Round complete! Check the results below.', 'success', 5000);
@@ -1010,6 +1445,31 @@ export class UIManager {
         }, 3000);
     }
 
+    /**
+     * Show the star buttons to every player but the clue giver while the round's results are up,
+     * with the running average below
+     */
+    renderClueRating() {
+        const { phase, clueGiverId, clueRatings } = this.stateManager.getGameState();
+        const section = this.elements.clueRatingSection;
+        if (!section) return;
+        
+        section.classList.toggle('hidden', phase !== 'results');
+        if (phase !== 'results') return;
+        
+        const canRate = clueGiverId !== this.stateManager.getConnectionState().playerId && !this.stateManager.isSpectator() && !clueRatings?.final;
+        const myRating = clueRatings?.myRating ?? 0;
+        this.elements.clueRatingOptions.classList.toggle('hidden', !canRate);
+        this.elements.clueRatingOptions.innerHTML = Array.from({ length: GAME_RULES.CLUE_RATING_MAX }, (_, i) => `
+            <button class="clue-rating-option${i < myRating ? ' selected' : ''}" data-rating="${i + 1}" aria-label="${i + 1} star${i ? 's' : ''}">★</button>`)
+            .join('');
+        
+        const { count = 0, average, bonus } = clueRatings || {};
+        this.elements.clueRatingSummary.textContent = count
+            ? `★ ${average} from ${count} rating${count === 1 ? '' : 's'}${bonus ? ` (+${bonus} bonus)` : ''}`
+            : 'No ratings yet';
+    }
+
     /**
      * Handle finished phase UI updates
      * Shows final results and celebration notification
@@ -1023,6 +1483,7 @@ export class UIManager {
         this.elements.nextRoundBtn.classList.add('hidden');
         
         this.updateFinalResultsDisplay(gameState);
+        this.renderClueRating();
         this.elements.viewFinalScoresBtn?.focus();
         
         // Add celebration notification
@@ -1049,7 +1510,8 @@ export class UIManager {
         const spectrumWrapper = document.getElementById('spectrum-grid');
         if (!spectrumWrapper) return;
         
-        const interactive = phase === 'guessing' && !isClueGiver;
+        const interactive = (phase === 'guessing' && !isClueGiver && this.stateManager.canCurrentPlayerGuess()) ||
+            (phase === 'counter-guess' && this.stateManager.canCurrentPlayerCounterGuess());
         spectrumWrapper.classList.toggle('interactive', interactive);
         spectrumWrapper.classList.toggle('disabled', !interactive);
         
@@ -1082,6 +1544,31 @@ export class UIManager {
         }
     }
 
+    /**
+     * Enable the lock-in button once a provisional guess (or the shared dial) is on the board,
+     * and show it as locked once this player's (or their side's) guess is in.
+     * With the shared dial the button casts or withdraws this player's vote.
+     */
+    updateLockGuessButton() {
+        const button = this.elements.lockGuessBtn;
+        if (!button) return;
+        
+        const { provisionalGuess, dial } = this.stateManager.getGameState();
+        const { playerId } = this.stateManager.getConnectionState();
+        const locked = !!this.stateManager.getPlayers()[playerId]?.guessLocked;
+        
+        if (this.stateManager.getRoomState().settings?.sharedDial) {
+            const votes = dial?.votes || [];
+            button.disabled = locked || dial?.position == null;
+            button.textContent = locked ? 'Locked In'
+                : `${votes.includes(playerId) ? 'Withdraw Vote' : 'Vote to Lock In'} (${votes.length}/${dial?.votesNeeded ?? '-'})`;
+            return;
+        }
+        
+        button.disabled = locked || provisionalGuess == null;
+        button.textContent = locked ? 'Locked In' : 'Lock In';
+    }
+
     /**
      * Update timer visibility based on game phase
      * Shows/hides timer and resets its appearance
@@ -1091,7 +1578,7 @@ export class UIManager {
         const timer = this.elements.roundTimer;
         if (!timer) return;
         
-        const showTimer = ['giving-clue', 'guessing'].includes(phase);
+        const showTimer = ['choosing-spectrum', 'giving-clue', 'guessing', 'counter-guess'].includes(phase);
         timer.style.visibility = showTimer ? 'visible' : 'hidden';
         
         if (!showTimer) {
@@ -1114,6 +1601,16 @@ export class UIManager {
         // Add target summary
         fragment.appendChild(this.createTargetSummary(gameState));
         
+        // Add team summary in team mode
+        if (gameState.activeTeam && gameState.teamRoundScores?.[gameState.activeTeam] !== undefined) {
+            fragment.appendChild(this.createTeamRoundSummary(gameState));
+        }
+        
+        // Add counter-guess outcome in duel rounds
+        if (gameState.counterGuess?.actualQuadrant) {
+            fragment.appendChild(this.createCounterGuessSummary(gameState.counterGuess));
+        }
+        
         // Add player results
         this.addPlayerResults(fragment, gameState);
         
@@ -1137,16 +1634,44 @@ export class UIManager {
         const summary = document.createElement('div');
         summary.className = 'round-summary';
         
-        const targetX = gameState.targetCoordinate?.x || 0;
-        const targetY = gameState.targetCoordinate?.y || 0;
-        
         summary.innerHTML = `
-            <p>Target was at: <strong>(${targetX}, ${targetY})</strong></p>
+            <p>${Array.isArray(gameState.targetCoordinate) ? 'Targets were at' : 'Target was at'}: <strong>${gameLogic.formatPosition(gameState.targetCoordinate)}</strong></p>
+            ${gameState.scoringStrategy ? `<p class="scoring-strategy">Scored with: <strong>${gameLogic.getScoringStrategyLabel(gameState.scoringStrategy)}</strong></p>` : ''}
         `;
         
         return summary;
     }
     
+    /**
+     * Create the team round summary element
+     * @param {Object} gameState - Current game state
+     * @returns {HTMLElement} Team summary element
+     * @private
+     */
+    createTeamRoundSummary(gameState) {
+        const summary = document.createElement('div');
+        summary.className = `round-summary team-summary team-${gameState.activeTeam.toLowerCase()}`;
+        summary.innerHTML = `
+            <p>Team ${gameState.activeTeam} scored <strong>+${gameState.teamRoundScores[gameState.activeTeam]} points</strong></p>
+        `;
+        return summary;
+    }
+    
+    /**
+     * Create the duel counter-guess summary element
+     * @param {Object} counterGuess - Counter-guess outcome from the round results
+     * @returns {HTMLElement} Counter-guess summary element
+     * @private
+     */
+    createCounterGuessSummary(counterGuess) {
+        const summary = document.createElement('div');
+        summary.className = `round-summary counter-guess-summary ${counterGuess.correct ? 'correct' : 'missed'}`;
+        summary.innerHTML = counterGuess.quadrant
+            ? `<p>Counter-guess: <strong>${counterGuess.quadrant}</strong> (target was ${counterGuess.actualQuadrant}) ${counterGuess.correct ? `<strong>+${counterGuess.points} points</strong>` : '- missed'}</p>`
+            : `<p>No counter-guess made (target was ${counterGuess.actualQuadrant})</p>`;
+        return summary;
+    }
+    
     /**
      * Add player results to the fragment
      * @param {DocumentFragment} fragment - Document fragment to append to
@@ -1187,7 +1712,10 @@ export class UIManager {
     createBonusIndicator() {
         const bonus = document.createElement('div');
         bonus.className = 'bonus-indicator animate-success-celebration';
-        bonus.innerHTML = '🎉 <strong>Bonus Round!</strong> All players guessed within 10 units!';
+        const threshold = this.stateManager.getRoomState().settings?.bonusThreshold ?? SCORING.BONUS_THRESHOLD;
+        bonus.innerHTML = this.stateManager.isTeamMode()
+            ? `🎉 <strong>Bonus!</strong> The team guessed within ${threshold} units!`
+            : `🎉 <strong>Bonus Round!</strong> All players guessed within ${threshold} units!`;
         return bonus;
     }
 
@@ -1203,11 +1731,35 @@ export class UIManager {
             <div class="game-summary">
                 <h3>🎉 Game Complete!</h3>
                 <p>Total Rounds Played: ${gameState.currentRound}</p>
+                ${gameState.gameStats?.seed ? `<p class="game-seed">Seed: <strong>${gameState.gameStats.seed}</strong> (use it in Room Settings to replay this game)</p>` : ''}
             </div>
             <div class="scores-preview">
                 <p>Click "View Final Scores" to see the winner!</p>
             </div>
         `;
+        if (gameState.bestClue) container.appendChild(this.createBestClueSummary(gameState.bestClue));
+    }
+
+    /**
+     * Create the best clue of the game award element
+     * @param {Object} bestClue - Best rated clue from game:finished
+     * @returns {HTMLElement} Best clue element
+     * @private
+     */
+    createBestClueSummary(bestClue) {
+        const { clue, clueGiverId, average, count, spectrumX, spectrumY, targetCoordinate } = bestClue;
+        const summary = document.createElement('div');
+        summary.className = 'best-clue';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = '🏆 Best Clue';
+        const quote = document.createElement('p');
+        quote.textContent = `"${[clue].flat().join(' / ')}" by ${this.stateManager.getPlayer(clueGiverId)?.name || 'Unknown'} (★ ${average} from ${count})`;
+        const details = document.createElement('p');
+        details.textContent = `${[spectrumX, spectrumY].filter(Boolean).map(spectrum => spectrum.name).join(' × ')}, target at ${gameLogic.formatPosition(targetCoordinate)}`;
+        
+        summary.append(heading, quote, details);
+        return summary;
     }
 
     /**
@@ -1231,8 +1783,8 @@ export class UIManager {
                 <span class="player-score">+${score} points</span>
             </div>
             <div class="player-result-details">
-                <span class="guess-position">Guessed: (${coordinate?.x || 0}, ${coordinate?.y || 0})</span>
-                <span class="guess-distance">Distance: ${distance}</span>
+                <span class="guess-position">Guessed: ${gameLogic.formatPosition(coordinate)}${coordinate.radius !== undefined ? ` ± ${coordinate.radius}` : ''}</span>
+                <span class="guess-distance">${Array.isArray(coordinate) ? 'Avg distance' : 'Distance'}: ${distance}</span>
             </div>
         `;
         
@@ -1286,11 +1838,13 @@ export class UIManager {
     /**
      * Update clue display with current clue
      * Shows/hides clue text with animation
-     * @param {string} clue - Current clue text
+     * @param {string|Array<string>} clue - Current clue text, or one clue per target
      */
     updateClue(clue) {
         if (clue) {
-            this.elements.clueText.textContent = clue;
+            this.elements.clueText.textContent = Array.isArray(clue)
+                ? clue.map((text, index) => `${index + 1}. ${text}`).join('   ')
+                : clue;
             this.elements.clueText.classList.remove('hidden');
             this.elements.clueText.classList.add('animate-slide-in-top');
         } else {
@@ -1307,8 +1861,10 @@ export class UIManager {
         const formattedTime = gameLogic.formatTimeRemaining(timeRemaining);
         this.elements.roundTimer.textContent = formattedTime;
         
-        const warningLevel = gameLogic.getTimeWarningLevel(timeRemaining, 60);
+        const paused = this.stateManager.getGameState().timerPaused;
+        const warningLevel = paused ? 'paused' : gameLogic.getTimeWarningLevel(timeRemaining, 60);
         this.elements.roundTimer.className = `timer ${warningLevel}`;
+        this.elements.roundTimer.title = paused ? 'Paused' : '';
     }
 
     /**
@@ -1344,6 +1900,16 @@ export class UIManager {
         container.appendChild(fragment);
     }
 
+    /**
+     * List who is watching under the players, hidden when nobody is
+     * @param {Array} spectators - Spectators as { id, name }
+     */
+    updateSpectatorList(spectators = []) {
+        const container = this.elements.spectatorsContainer;
+        container.classList.toggle('hidden', !spectators.length);
+        container.textContent = `👁 Watching: ${spectators.map(spectator => spectator.name).join(', ')}`;
+    }
+
     /**
      * Create a player element for the player list
      * @param {Object} player - Player data
@@ -1358,6 +1924,7 @@ export class UIManager {
         
         if (player.id === currentPlayerId) div.classList.add('current-player');
         if (player.id === gameState.clueGiverId) div.classList.add('clue-giver');
+        if (gameState.phase === 'lobby') div.classList.add(player.isReady ? 'ready' : 'not-ready');
         
         const avatar = document.createElement('div');
         avatar.className = `player-avatar player-${(index % 4) + 1}`;
@@ -1370,6 +1937,15 @@ export class UIManager {
         name.className = 'player-name';
         name.textContent = player.name;
         
+        if (this.stateManager.isTeamMode() && player.team) {
+            div.classList.add(`team-${player.team.toLowerCase()}`);
+            
+            const badge = document.createElement('span');
+            badge.className = 'team-badge';
+            badge.textContent = `Team ${player.team}`;
+            name.appendChild(badge);
+        }
+        
         const status = document.createElement('div');
         status.className = 'player-status';
         status.textContent = this.getPlayerStatus(player, gameState);
@@ -1377,9 +1953,38 @@ export class UIManager {
         info.append(name, status);
         div.append(avatar, info);
         
+        if (player.id !== currentPlayerId && this.isHost()) div.appendChild(this.createPlayerActions(player));
+        
         return div;
     }
 
+    /**
+     * Host actions for another player's list entry
+     * @param {Object} player - Player data
+     * @returns {HTMLElement} Action buttons
+     */
+    createPlayerActions(player) {
+        const actions = document.createElement('div');
+        actions.className = 'player-actions';
+        
+        [
+            ['transfer-host', '👑', `Make ${player.name} the host`],
+            ['kick', 'Kick', `Remove ${player.name} from the room`],
+            ['ban', 'Ban', `Ban ${player.name} from the room`]
+        ].forEach(([action, label, title]) => {
+            const button = document.createElement('button');
+            button.className = `player-action btn btn-small ${action === 'transfer-host' ? 'btn-secondary' : 'btn-cancel'}`;
+            button.dataset.action = action;
+            button.dataset.playerId = player.id;
+            button.title = title;
+            button.setAttribute('aria-label', title);
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+        
+        return actions;
+    }
+
     /**
      * Get player status text based on game state
      * @param {Object} player - Player data
@@ -1387,9 +1992,11 @@ export class UIManager {
      * @returns {string} Player status text
      */
     getPlayerStatus(player, gameState) {
+        if (player.pending) return 'Joins next round';
         if (player.id === gameState.clueGiverId) return 'Clue Giver';
-        if (gameState.phase === 'guessing' && player.hasGuessed) return 'Guessed';
-        if (gameState.phase === 'lobby') return 'Ready';
+        if (gameState.phase === 'guessing' && player.guessLocked) return 'Locked in';
+        if (gameState.phase === 'guessing' && player.hasGuessed) return 'Placing guess';
+        if (gameState.phase === 'lobby') return player.isReady ? '✓ Ready' : 'Not ready';
         return 'Waiting';
     }
 
@@ -1402,6 +2009,13 @@ export class UIManager {
         const container = this.elements.scoreboardContainer;
         const fragment = document.createDocumentFragment();
         
+        if (this.stateManager.isTeamMode()) {
+            this.addTeamScores(fragment, players);
+            container.innerHTML = '';
+            container.appendChild(fragment);
+            return;
+        }
+        
         const rankings = gameLogic.calculateRankings(players);
         
         rankings.forEach((player, index) => {
@@ -1413,6 +2027,32 @@ export class UIManager {
         container.appendChild(fragment);
     }
 
+    /**
+     * Add one scoreboard entry per team, listing its members
+     * @param {DocumentFragment} fragment - Document fragment to append to
+     * @param {Object} players - Map of player objects
+     * @private
+     */
+    addTeamScores(fragment, players) {
+        const teamScores = this.stateManager.getGameState().teamScores || {};
+        const topScore = Math.max(...GAME_RULES.TEAMS.map(team => teamScores[team] || 0));
+        
+        GAME_RULES.TEAMS.forEach(team => {
+            const score = teamScores[team] || 0;
+            const members = Object.values(players).filter(p => p.team === team).map(p => p.name);
+            
+            const div = this.createScoreElement({ name: `Team ${team}`, score }, score > 0 && score === topScore);
+            div.classList.add('team-score', `team-${team.toLowerCase()}`);
+            
+            const memberList = document.createElement('span');
+            memberList.className = 'team-members';
+            memberList.textContent = members.join(', ') || 'No players';
+            div.appendChild(memberList);
+            
+            fragment.appendChild(div);
+        });
+    }
+
     /**
      * Create a score element for the scoreboard
      * @param {Object} player - Player data
@@ -1465,6 +2105,7 @@ export class UIManager {
         div.className = 'chat-message animate-message-slide-in';
         
         if (message.type === 'system') div.classList.add('system');
+        if (message.channel === 'spectators') div.classList.add('spectator');
         
         const currentPlayerId = this.stateManager.getConnectionState().playerId;
         if (message.playerId === currentPlayerId) div.classList.add('own');
@@ -1622,9 +2263,13 @@ export class UIManager {
         if (!this.activeModal) return;
         
         const modal = this.elements.modalOverlay.querySelector('.modal');
+        const closingModal = this.activeModal;
         modal.classList.add('animate-modal-slide-out');
         
         setTimeout(() => {
+            // Another modal was opened while this one was closing
+            if (this.activeModal !== closingModal) return modal.classList.remove('animate-modal-slide-out');
+            
             this.elements.modalOverlay.classList.add('hidden');
             modal.classList.remove('animate-modal-slide-in', 'animate-modal-slide-out', 'mobile-modal');
             this.activeModal = null;
@@ -1643,7 +2288,29 @@ export class UIManager {
      * @param {Object} data - Data to pass to modal content generator
      */
     setModalContent(modalId, data) {
+        this.elements.modalConfirm.classList.toggle('hidden', !modalId.startsWith('confirm-'));
+        
         const content = {
+            'confirm-abort': () => {
+                this.elements.modalTitle.textContent = 'End Game?';
+                this.elements.modalContent.innerHTML = '<p>The game will end now with the scores so far, and everyone returns to the lobby.</p>';
+                this.elements.modalConfirm.textContent = 'End Game';
+            },
+            'confirm-kick': () => {
+                this.elements.modalTitle.textContent = `Remove ${data.name}?`;
+                this.elements.modalContent.innerHTML = `<p>${data.name} goes back to the lobby. They can join again with the room code.</p>`;
+                this.elements.modalConfirm.textContent = 'Remove';
+            },
+            'confirm-ban': () => {
+                this.elements.modalTitle.textContent = `Ban ${data.name}?`;
+                this.elements.modalContent.innerHTML = `<p>${data.name} goes back to the lobby and can't rejoin this room, under this name or from the same browser tab.</p>`;
+                this.elements.modalConfirm.textContent = 'Ban';
+            },
+            'confirm-transfer-host': () => {
+                this.elements.modalTitle.textContent = `Make ${data.name} the host?`;
+                this.elements.modalContent.innerHTML = `<p>${data.name} takes over the room settings and host controls.</p>`;
+                this.elements.modalConfirm.textContent = 'Make Host';
+            },
             'final-scores': () => {
                 this.elements.modalTitle.textContent = 'Final Scores';
                 this.elements.modalContent.innerHTML = this.generateFinalScoresHTML(data);
@@ -1666,23 +2333,54 @@ export class UIManager {
 
     // Update the generateFinalScoresHTML method (around line 1219)
     generateFinalScoresHTML(scores) {
+        const { teamScores, winningTeam, winner, tieBreak } = this.stateManager.getGameState();
+        if (this.stateManager.isTeamMode() && teamScores) return this.generateTeamFinalScoresHTML(teamScores, winningTeam);
         if (!scores) return '<p>No scores available</p>';
         
+        const isWinner = playerId => tieBreak?.method === 'shared' ? tieBreak.players.includes(playerId) : playerId === winner;
+        const tieNote = {
+            'sudden-death': `Tie broken in sudden death (${tieBreak?.rounds} round${tieBreak?.rounds === 1 ? '' : 's'})`,
+            'best-round': `Tie broken by the best single round (${tieBreak?.distance} units)`,
+            shared: '🤝 Shared victory'
+        }[tieBreak?.method];
+        
         const rankings = Object.entries(scores)
             .map(([playerId, score]) => ({
                 playerId,
                 score,
                 name: this.stateManager.getPlayer(playerId)?.name || 'Unknown'
             }))
-            .sort((a, b) => b.score - a.score);
+            .sort((a, b) => isWinner(b.playerId) - isWinner(a.playerId) || b.score - a.score);
         
         return `<div class="final-scores-container">` + rankings.map((player, index) => `
-            <div class="player-result ${index === 0 ? 'best-guess' : ''}">
+            <div class="player-result ${isWinner(player.playerId) ? 'best-guess' : ''}">
                 <div class="player-result-header">
                     <div class="player-result-name">${player.name}</div>
                     <div class="player-result-score">${gameLogic.formatScore(player.score)}</div>
                 </div>
-                <div class="player-result-distance">${index === 0 ? '🏆 Winner!' : `#${index + 1}`}</div>
+                <div class="player-result-distance">${isWinner(player.playerId) ? '🏆 Winner!' : `#${index + 1}`}</div>
+            </div>
+        `).join('') + (tieNote ? `<p class="tie-break-note">${tieNote}</p>` : '') + '</div>';
+    }
+
+    /**
+     * Generate HTML for the final team standings
+     * @param {Object} teamScores - Final score per team
+     * @param {string|null} winningTeam - Winning team, null on a tie
+     * @returns {string} HTML string
+     */
+    generateTeamFinalScoresHTML(teamScores, winningTeam) {
+        const players = Object.values(this.stateManager.getPlayers());
+        const rankings = Object.entries(teamScores).sort(([, a], [, b]) => b - a);
+        
+        return `<div class="final-scores-container">` + rankings.map(([team, score]) => `
+            <div class="player-result team-${team.toLowerCase()} ${team === winningTeam ? 'best-guess' : ''}">
+                <div class="player-result-header">
+                    <div class="player-result-name">Team ${team}</div>
+                    <div class="player-result-score">${gameLogic.formatScore(score)}</div>
+                </div>
+                <div class="player-result-distance">${team === winningTeam ? '🏆 Winner!' : winningTeam ? '' : '🤝 Tie'}
+                    ${players.filter(p => p.team === team).map(p => p.name).join(', ')}</div>
             </div>
         `).join('') + '</div>';
     }
@@ -1804,16 +2502,24 @@ export class UIManager {
     }
 
     /**
-     * Validate clue input
-     * Applies error styling if invalid
-     * @returns {boolean} Whether clue is valid
+     * Validate a clue input against the clue rules of the room and round
+     * Applies error styling and explains the rejection below the clue fields
+     * @param {HTMLInputElement} [input] - Clue field to check (default: the main clue input)
+     * @returns {Object} Validation result with the reason when invalid
      */
-    validateClue() {
-        const clue = this.elements.clueInput.value.trim();
-        const validation = gameLogic.validateClue(clue);
+    validateClue(input = this.elements.clueInput) {
+        const { spectrumX, spectrumY } = this.stateManager.getGameState();
+        const validation = gameLogic.validateClue(input.value.trim(), {
+            settings: this.stateManager.getRoomState().settings,
+            spectrums: [spectrumX, spectrumY]
+        });
         
-        this.elements.clueInput.classList.toggle('error', !validation.valid);
-        return validation.valid;
+        input.classList.toggle('error', !validation.valid);
+        if (this.elements.clueRuleFeedback) {
+            this.elements.clueRuleFeedback.textContent = validation.error || '';
+            this.elements.clueRuleFeedback.classList.toggle('hidden', validation.valid);
+        }
+        return validation;
     }
 
     /**
@@ -1875,6 +2581,7 @@ export class UIManager {
         this.hideActionButtons();
         this.elements.playerNameInput.value = '';
         this.elements.roomCodeInput.value = '';
+        this.elements.spectateToggle.checked = false;
         this.elements.playerNameInput.classList.remove('error');
         this.elements.roomCodeInput.classList.remove('error');
     }
@@ -1884,8 +2591,8 @@ export class UIManager {
      * Hides all interactive game control elements
      */
     hideAllControlSections() {
-        ['clueInputSection', 'guessInputSection', 'waitingSection', 'resultsSection', 
-         'startGameBtn', 'nextRoundBtn', 'viewFinalScoresBtn'].forEach(section => 
+        ['spectrumChoiceSection', 'clueInputSection', 'guessInputSection', 'counterGuessSection', 'waitingSection', 'resultsSection', 
+         'startGameBtn', 'toggleReadyBtn', 'switchTeamBtn', 'nextRoundBtn', 'viewFinalScoresBtn', 'roomSettingsPanel'].forEach(section => 
             this.elements[section]?.classList.add('hidden'));
     }
 
@@ -65,7 +65,7 @@ export function deepClone(obj) {
     
     const clonedObj = new obj.constructor();
     for (const key in obj) {
-        if (obj.hasOwnProperty(key)) {
+        if (Object.prototype.hasOwnProperty.call(obj, key)) {
             clonedObj[key] = deepClone(obj[key]);
         }
     }
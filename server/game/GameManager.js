@@ -11,16 +11,43 @@
  *
  * UPDATED: 2D grid mechanics with X/Y coordinates
  * UPDATED: Added center exclusion zone for target generation
+ * UPDATED: Duel rounds with a counter-guess phase
+ * UPDATED: Guess scores come from the room's shared scoring strategy
+ * UPDATED: Classic 1D mode with a single spectrum and scalar positions
+ * UPDATED: Spectrum filters with an optional avoid-same-category rule
+ * UPDATED: Seeded per-room randomness so games can be replayed
+ * UPDATED: Independent phase deadlines with pause/resume
+ * UPDATED: Host pause, resume and abort
+ * UPDATED: Optional spectrum draft (choosing-spectrum phase) with rerolls
+ * UPDATED: Multi-target rounds scored through the best guess-to-target assignment
+ * UPDATED: Room-configurable clue rules (shared/clueRules.js)
+ * UPDATED: Clue ratings during the results phase, with a best clue award
+ * UPDATED: Configurable tie-breaks, including sudden-death rounds between the tied leaders
+ * UPDATED: Clue giver rotation policies and balanced round counts (shared/rotation.js)
+ * UPDATED: Mid-game joiners wait as pending players until the next round
+ * UPDATED: Departure handling: voided rounds, connected-only guess checks, short-handed pause
+ * UPDATED: Optional synchronized 3-2-1 countdown before round one
  * ================================= */
 
-const { GAME_RULES, SCORING, VALIDATION } = require('../../shared/constants.js');
+const { GAME_RULES, SCORING, ROOM_SETTINGS } = require('../../shared/constants.js');
 const Validator = require('../../shared/validation.js');
-const { GameError, ValidationError, GameLogicError } = require('../../shared/errors.js');
+const { SCORING_STRATEGIES, scoreGuess, scaleBonus, guessDistance, assignTargets } = require('../../shared/scoring.js');
+const { checkClueRules } = require('../../shared/clueRules.js');
+const { plannedRounds } = require('../../shared/rotation.js');
+const { ValidationError, GameLogicError } = require('../../shared/errors.js');
+const { SeededRandom } = require('./SeededRandom.js');
+const { PhaseTimer } = require('./PhaseTimer.js');
 
 class GameManager {
-    constructor(spectrums) {
+    /**
+     * @param {Object} spectrums - Spectrum configuration
+     * @param {Object} [options]
+     * @param {Function} [options.createRandom] - Builds a seeded generator from a seed
+     */
+    constructor(spectrums, { createRandom = seed => new SeededRandom(seed) } = {}) {
         Object.assign(this, {
             spectrums,
+            createRandom,
             ROUND_DURATION: GAME_RULES.ROUND_DURATION,
             MAX_ROUNDS: GAME_RULES.MAX_ROUNDS,
             MIN_PLAYERS: GAME_RULES.MIN_PLAYERS,
@@ -31,29 +58,64 @@ class GameManager {
             BETWEEN_ROUNDS_DELAY: 3000,
             MAX_DISTANCE: GAME_RULES.MAX_DISTANCE,
             CENTER_EXCLUSION_RADIUS: 20, // 20% radius from center
-            gameTimers: new Map()
+            gameTimers: new Map(), // per-room tick intervals
+            phaseTimers: new PhaseTimer()
         });
         console.log('🎮 GameManager initialized');
     }
 
+    /**
+     * Seed the room's random generator for a new game
+     * A seed setting of 0 draws a fresh seed, which is revealed in gameStats
+     * @param {Object} room - Room object
+     */
+    seedGame(room) {
+        room.seed = room.settings.seed || SeededRandom.generateSeed();
+        room.random = this.createRandom(room.seed);
+        console.log(`🎲 Seeded room ${room.code} with ${room.seed}`);
+    }
+
+    /**
+     * Generate the round's target: one coordinate (or 1D position), or an array of
+     * targetCount targets kept MIN_TARGET_SPACING apart
+     * @param {Object} room - Room object
+     * @returns {Object|number|Array} Target or targets
+     * @private
+     */
+    generateTargets(room) {
+        const generate = avoid => this.isOneDimensional(room)
+            ? this.generateTargetPosition(room.random, room.settings.centerExclusionRadius, avoid)
+            : this.generateTargetCoordinate(room.random, room.settings.centerExclusionRadius, avoid);
+        
+        if (!this.isMultiTarget(room)) return generate([]);
+        
+        const targets = [];
+        for (let i = 0; i < room.settings.targetCount; i++) targets.push(generate(targets));
+        return targets;
+    }
+
     /**
      * Generate a target coordinate that respects the center exclusion zone
+     * @param {SeededRandom} random - Room's random generator
+     * @param {number} exclusionRadius - Radius around the center where targets may not spawn
+     * @param {Array<Object>} avoid - Targets already placed this round, kept MIN_TARGET_SPACING away
      * @returns {Object} Target coordinate {x, y}
      * @private
      */
-    generateTargetCoordinate() {
+    generateTargetCoordinate(random, exclusionRadius = this.CENTER_EXCLUSION_RADIUS, avoid = []) {
         const centerX = 50;
         const centerY = 50;
         const margin = 5; // Keep at least 5 units from edges
         
         let x, y, distance;
+        const crowded = () => avoid.some(target => Math.hypot(target.x - x, target.y - y) < GAME_RULES.MIN_TARGET_SPACING);
         let attempts = 0;
         const maxAttempts = 1000; // Prevent infinite loop
         
-        // Keep generating until we get a coordinate outside the exclusion zone
+        // Keep generating until we get a coordinate outside the exclusion zone and clear of other targets
         do {
-            x = Math.floor(Math.random() * (100 - 2 * margin + 1)) + margin;
-            y = Math.floor(Math.random() * (100 - 2 * margin + 1)) + margin;
+            x = random.int(100 - 2 * margin + 1) + margin;
+            y = random.int(100 - 2 * margin + 1) + margin;
             
             // Calculate distance from center
             distance = Math.sqrt(
@@ -65,8 +127,8 @@ class GameManager {
             if (attempts > maxAttempts) {
                 console.error('❌ Failed to generate valid target coordinate after', maxAttempts, 'attempts');
                 // Fallback to a guaranteed valid position
-                const angle = Math.random() * Math.PI * 2;
-                const radius = this.CENTER_EXCLUSION_RADIUS + 10; // Place it just outside the exclusion zone
+                const angle = random.next() * Math.PI * 2;
+                const radius = exclusionRadius + 10; // Place it just outside the exclusion zone
                 x = Math.round(centerX + Math.cos(angle) * radius);
                 y = Math.round(centerY + Math.sin(angle) * radius);
                 // Clamp to valid range
@@ -74,40 +136,87 @@ class GameManager {
                 y = Math.max(margin, Math.min(100 - margin, y));
                 break;
             }
-        } while (distance <= this.CENTER_EXCLUSION_RADIUS);
+        } while (distance <= exclusionRadius || crowded());
         
         console.log(`🎯 Generated target at (${x}, ${y}), distance from center: ${distance.toFixed(1)}`);
         return { x, y };
     }
 
+    /**
+     * Generate a 1D target position outside the center exclusion band
+     * @param {SeededRandom} random - Room's random generator
+     * @param {number} exclusionRadius - Distance from the center where targets may not spawn
+     * @param {Array<number>} avoid - Targets already placed this round, kept MIN_TARGET_SPACING away
+     * @returns {number} Target position (0-100)
+     * @private
+     */
+    generateTargetPosition(random, exclusionRadius = this.CENTER_EXCLUSION_RADIUS, avoid = []) {
+        const margin = 5; // Keep at least 5 units from edges
+        const allowed = Array.from({ length: 101 - 2 * margin }, (_, i) => i + margin)
+            .filter(position => Math.abs(position - 50) > exclusionRadius);
+        const spaced = allowed.filter(position =>
+            avoid.every(target => Math.abs(target - position) >= GAME_RULES.MIN_TARGET_SPACING));
+        
+        // A wide exclusion band can leave no room for spacing; overlap rather than fail
+        const position = random.pick(spaced.length ? spaced : allowed);
+        console.log(`🎯 Generated 1D target at ${position}`);
+        return position;
+    }
+
     startRound(room) {
         try {
             console.log(`🎯 Starting round ${room.currentRound + 1} for room ${room.code}`);
             this.clearAllRoomTimers(room.id);
             
+            if (!room.random) {
+                this.seedGame(room);
+                room.plannedRounds = plannedRounds(room.settings, room.players.size);
+            }
+            const activatedPlayers = this.activatePendingPlayers(room);
             room.currentRound++;
             this.selectClueGiver(room);
             
-            const { spectrumX, spectrumY } = this.selectSpectrums(room);
+            const drafting = this.isDrafting(room);
+            const spectrumOptions = drafting ? this.dealSpectrumOptions(room) : null;
+            const { spectrumX, spectrumY } = drafting
+                ? { spectrumX: null, spectrumY: null }
+                : this.recordSpectrums(room, this.selectSpectrums(room));
+            
             Object.assign(room, {
-                spectrumX, spectrumY,
-                targetCoordinate: this.generateTargetCoordinate(), // Use new method
+                spectrumX, spectrumY, spectrumOptions,
+                targetCoordinate: this.generateTargets(room),
                 clue: null,
                 guesses: new Map(),
+                provisionalGuesses: new Map(),
+                dial: room.settings.sharedDial ? this.createDial() : null,
+                duelSides: this.assignDuelSides(room),
+                lockedGuess: null,
+                counterGuess: null,
+                lastRoundResults: null,
                 roundStartTime: Date.now(),
-                phase: 'giving-clue',
+                phase: drafting ? 'choosing-spectrum' : 'giving-clue',
                 roundScores: new Map()
             });
             
-            this.startRoundTimer(room);
+            this.startPhaseTimer(room);
             
             return {
                 roundNumber: room.currentRound,
                 clueGiverId: room.clueGiverId,
+                phase: room.phase,
+                spectrumMode: room.settings.spectrumMode,
+                targetCount: room.settings.targetCount,
                 spectrumX: room.spectrumX,
                 spectrumY: room.spectrumY,
+                spectrumOptions: room.spectrumOptions,
+                rerollsLeft: this.getRerollsLeft(room, room.clueGiverId),
                 targetCoordinate: room.targetCoordinate,
-                duration: this.ROUND_DURATION
+                duration: this.getPhaseDuration(room, room.phase),
+                totalRounds: room.plannedRounds,
+                activeTeam: room.activeTeam,
+                duelSides: room.duelSides,
+                suddenDeath: room.suddenDeath,
+                activatedPlayers
             };
         } catch (error) {
             console.error('❌ Error starting round:', error);
@@ -115,162 +224,1295 @@ class GameManager {
         }
     }
 
-    selectClueGiver(room) {
-        const playerIds = Array.from(room.players.keys());
-        room.clueGiverId = !room.clueGiverId 
-            ? playerIds[Math.floor(Math.random() * playerIds.length)]
-            : playerIds[(playerIds.indexOf(room.clueGiverId) + 1) % playerIds.length];
-        console.log(`👑 Selected clue giver: ${room.clueGiverId}`);
-    }
+    /**
+     * Bring players who joined during the game in at the start of a round, with the room's
+     * lateJoinScore: zero, or the lowest or average score of the players already in.
+     * They take their clue-giver seat when the clue giver is picked (seatPlayers)
+     * @param {Object} room - Room object
+     * @returns {Array<Object>} { id, score } for each player brought in
+     * @private
+     */
+    activatePendingPlayers(room) {
+        const players = Array.from(room.players.values());
+        const pending = players.filter(player => player.pending);
+        if (!pending.length) return [];
+        
+        const scores = players.filter(player => !player.pending).map(player => player.score || 0);
+        const score = !scores.length ? 0 : {
+            lowest: () => Math.min(...scores),
+            average: () => Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length)
+        }[room.settings.lateJoinScore]?.() ?? 0;
+        
+        pending.forEach(player => Object.assign(player, { pending: false, score }));
+        console.log(`🙋 ${pending.length} late joiner(s) enter room ${room.code} with ${score} points`);
+        return pending.map(({ id }) => ({ id, score }));
+    }
+
+    selectClueGiver(room) {
+        this.seatPlayers(room);
+        if (this.isTeamMode(room)) return this.selectTeamClueGiver(room);
+        
+        room.activeTeam = null;
+        room.clueGiverId = this.pickClueGiver(room, this.getClueGiverCandidates(room), room.clueGiverId);
+        console.log(`👑 Selected clue giver: ${room.clueGiverId}`);
+    }
+
+    /**
+     * Sudden-death rounds rotate through the players outside the tie
+     * @param {Object} room - Room object
+     * @returns {Array<string>} Players who may give the next clue
+     */
+    getClueGiverCandidates = room => Array.from(room.players.keys()).filter(id => !room.suddenDeath?.players.includes(id));
+
+    /**
+     * Teams alternate every round; each team rotates through its own members
+     * @param {Object} room - Room object
+     */
+    selectTeamClueGiver(room) {
+        const team = GAME_RULES.TEAMS[(room.currentRound - 1) % GAME_RULES.TEAMS.length];
+        const members = this.getTeamMembers(room, team);
+        
+        room.activeTeam = team;
+        room.clueGiverId = this.pickClueGiver(room, members, room.teamClueGivers[team]);
+        room.teamClueGivers[team] = room.clueGiverId;
+        console.log(`👑 Selected clue giver for team ${team}: ${room.clueGiverId}`);
+    }
+
+    /**
+     * Pick the next clue giver with the room's clueGiverRotation policy and count their turn
+     * @param {Object} room - Room object
+     * @param {Array<string>} candidates - Players who may give this round's clue
+     * @param {string|null} previous - Last clue giver in this rotation (null to open the game)
+     * @returns {string} Clue giver's ID
+     */
+    pickClueGiver(room, candidates, previous) {
+        // Pass over disconnected players while anyone connected can take the turn
+        const connected = candidates.filter(id => room.players.get(id)?.connected !== false);
+        if (connected.length) candidates = connected;
+        
+        const pick = {
+            random: () => this.drawClueGiver(room, candidates, previous),
+            'fewest-turns': () => {
+                const fewest = Math.min(...candidates.map(id => room.clueTurns[id]));
+                return this.nextInSeatOrder(room, candidates.filter(id => room.clueTurns[id] === fewest), previous);
+            }
+        }[room.settings.clueGiverRotation] || (() => this.nextInSeatOrder(room, candidates, previous));
+        
+        const clueGiverId = pick();
+        room.clueTurns[clueGiverId]++;
+        return clueGiverId;
+    }
+
+    /**
+     * Bring players new to this game into the rotation: a seat at the end of the order,
+     * a place in the current random cycle, and as many turns as the fewest so far,
+     * so someone joining mid-game isn't handed several clues in a row
+     * @param {Object} room - Room object
+     * @private
+     */
+    seatPlayers(room) {
+        const playerIds = Array.from(room.players.keys());
+        const seated = playerIds.filter(id => id in room.clueTurns);
+        const fewest = seated.length ? Math.min(...seated.map(id => room.clueTurns[id])) : 0;
+        
+        playerIds.filter(id => !(id in room.clueTurns)).forEach(id => {
+            room.clueTurns[id] = fewest;
+            room.seatOrder.push(id);
+            room.clueGiverBag.push(id);
+        });
+    }
+
+    /**
+     * The first candidate after the previous clue giver in seat (join) order, or a random
+     * candidate to open the game. Players who left keep their seat, so the order carries on past them
+     * @private
+     */
+    nextInSeatOrder(room, candidates, previous) {
+        const start = room.seatOrder.indexOf(previous);
+        if (start === -1) return room.random.pick(candidates);
+        
+        const seats = room.seatOrder.length;
+        return Array.from({ length: seats }, (_, i) => room.seatOrder[(start + 1 + i) % seats])
+            .find(id => candidates.includes(id));
+    }
+
+    /**
+     * Draw from the random rotation's current cycle: nobody gives a second clue until every
+     * candidate has given one, and a new cycle never opens with the previous clue giver
+     * @private
+     */
+    drawClueGiver(room, candidates, previous) {
+        let cycle = room.clueGiverBag.filter(id => candidates.includes(id));
+        if (!cycle.length) {
+            cycle = [...candidates];
+            room.clueGiverBag.push(...cycle);
+        }
+        
+        const clueGiverId = room.random.pick(cycle.length > 1 ? cycle.filter(id => id !== previous) : cycle);
+        room.clueGiverBag.splice(room.clueGiverBag.indexOf(clueGiverId), 1);
+        return clueGiverId;
+    }
+
+    isTeamMode = room => room.settings.gameMode === 'teams';
+
+    isOneDimensional = room => room.settings.spectrumMode === '1d';
+
+    isMultiTarget = room => room.settings.targetCount > 1;
+
+    getSpectrumsPerRound = room => this.isOneDimensional(room) ? 1 : 2;
+
+    getTeamMembers = (room, team) => Array.from(room.players.values())
+        .filter(player => player.team === team)
+        .map(player => player.id);
+
+    hasPlayableTeams = room => GAME_RULES.TEAMS.every(team =>
+        this.getTeamMembers(room, team).length >= GAME_RULES.MIN_TEAM_SIZE);
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {boolean} Whether guesses carry a confidence radius (see shared/scoring.js)
+     */
+    usesRadius = room => !!SCORING_STRATEGIES[room.settings.scoringStrategy]?.usesRadius;
+
+    /**
+     * The active team (or duel side) shares a single guess
+     * @param {Object} room - Room object
+     * @returns {boolean} Whether one locked guess covers every guesser
+     */
+    isSharedGuess = room => this.isTeamMode(room) || !!room.duelSides || !!room.dial;
+
+    /**
+     * Players allowed to guess this round: everyone but the clue giver and players waiting
+     * for the next round, limited to the clue giver's team in team mode, to the guessing side
+     * in a duel and to the tied players in sudden death
+     * @param {Object} room - Room object
+     * @returns {Array<string>} Player IDs
+     */
+    getGuessers = room => room.duelSides?.guessing ?? Array.from(room.players.values())
+        .filter(player => player.id !== room.clueGiverId && !player.pending &&
+            (!this.isTeamMode(room) || player.team === room.activeTeam) &&
+            (!room.suddenDeath || room.suddenDeath.players.includes(player.id)))
+        .map(player => player.id);
+
+    /**
+     * Guessers the round waits for: disconnected players don't hold up the guesses or the dial vote
+     * @param {Object} room - Room object
+     * @returns {Array<string>} Connected guessers' IDs
+     */
+    getConnectedGuessers = room => this.getGuessers(room).filter(id => room.players.get(id)?.connected !== false);
+
+    /**
+     * Split this round's guessers into a guessing side and a counter-guessing side.
+     * In team mode the opposing team counters; otherwise the guessers are shuffled into two halves.
+     * @param {Object} room - Room object
+     * @returns {Object|null} { guessing, counter } player IDs, or null when there is no duel this round
+     */
+    assignDuelSides(room) {
+        if (!room.settings.duelMode || room.suddenDeath) return null;
+        
+        if (this.isTeamMode(room)) {
+            return {
+                guessing: this.getTeamMembers(room, room.activeTeam).filter(id => id !== room.clueGiverId),
+                counter: GAME_RULES.TEAMS
+                    .filter(team => team !== room.activeTeam)
+                    .flatMap(team => this.getTeamMembers(room, team))
+            };
+        }
+        
+        const guessers = Array.from(room.players.keys()).filter(id => id !== room.clueGiverId);
+        if (guessers.length < 2) return null;
+        
+        room.random.shuffle(guessers);
+        
+        const half = Math.ceil(guessers.length / 2);
+        return { guessing: guessers.slice(0, half), counter: guessers.slice(half) };
+    }
+
+    /**
+     * @param {Object} origin - Locked guess {x, y}
+     * @param {Object} point - Coordinate to locate {x, y}
+     * @returns {string} Quadrant of the point relative to the origin (higher y is upper)
+     */
+    getQuadrant = (origin, point) =>
+        `${point.y >= origin.y ? 'upper' : 'lower'}-${point.x < origin.x ? 'left' : 'right'}`;
+
+    /**
+     * Points on the dividing lines count for both neighbouring quadrants
+     * @param {Object} point - Coordinate to test {x, y}
+     * @param {Object} origin - Locked guess {x, y}
+     * @param {string} quadrant - Predicted quadrant
+     * @returns {boolean} Whether the point lies in the quadrant
+     */
+    isInQuadrant(point, origin, quadrant) {
+        const [vertical, horizontal] = quadrant.split('-');
+        return (vertical === 'upper' ? point.y >= origin.y : point.y <= origin.y) &&
+               (horizontal === 'left' ? point.x <= origin.x : point.x >= origin.x);
+    }
+
+    /**
+     * Get the spectrums allowed by the room's category and difficulty settings
+     * @param {Object} room - Room object
+     * @returns {Array} Matching spectrum definitions
+     */
+    getSpectrumPool(room) {
+        const { spectrumCategories, minDifficulty, maxDifficulty } = room.settings;
+        const difficulties = ROOM_SETTINGS.minDifficulty.options;
+        const [min, max] = [difficulties.indexOf(minDifficulty), difficulties.indexOf(maxDifficulty)];
+        
+        return this.spectrums.spectrums.filter(s => {
+            const level = difficulties.indexOf(s.difficulty);
+            return (!spectrumCategories.length || spectrumCategories.includes(s.category)) &&
+                   level >= min && level <= max;
+        });
+    }
+
+    /**
+     * Check that the room's filters leave enough spectrums to play a round
+     * @param {Object} room - Room object
+     * @throws {GameLogicError} When the filtered pool is too small
+     */
+    checkSpectrumPool(room) {
+        const count = this.getSpectrumsPerRound(room);
+        const pool = this.getSpectrumPool(room);
+        const categories = new Set(pool.map(s => s.category));
+        
+        if (pool.length < count) {
+            throw new GameLogicError(
+                'GAME_START_FAILED',
+                `Only ${pool.length} ${pool.length === 1 ? 'spectrum matches' : 'spectrums match'} the selected categories and difficulty (${count} needed)`,
+                room.phase,
+                { poolSize: pool.length, needed: count }
+            );
+        }
+        
+        if (count > 1 && room.settings.avoidSameCategory && categories.size < 2) {
+            throw new GameLogicError(
+                'GAME_START_FAILED',
+                'Avoiding same-category pairs needs spectrums from at least 2 categories',
+                room.phase,
+                { poolSize: pool.length, categories: [...categories] }
+            );
+        }
+    }
+
+    /**
+     * Count the loaded spectrums per category and difficulty
+     * @returns {Object} { total, categories: { [category]: { total, [difficulty]: n } }, difficulties: { [difficulty]: n } }
+     */
+    getSpectrumCounts() {
+        const counts = { total: 0, categories: {}, difficulties: {} };
+        
+        (this.spectrums?.spectrums || []).forEach(({ category, difficulty }) => {
+            const byCategory = counts.categories[category] ??= { total: 0 };
+            byCategory.total++;
+            byCategory[difficulty] = (byCategory[difficulty] || 0) + 1;
+            counts.difficulties[difficulty] = (counts.difficulties[difficulty] || 0) + 1;
+            counts.total++;
+        });
+        
+        return counts;
+    }
+
+    /**
+     * Pick a spectrum pair: one per axis, so a single spectrum in 1D mode
+     * With avoidSameCategory the two axes never share a category.
+     * Picks are not recorded as played (see recordSpectrums)
+     * @param {Object} room - Room object
+     * @param {Array<string>} exclude - Spectrum IDs to leave out (other draft options)
+     * @returns {Object|null} { spectrumX, spectrumY } (spectrumY is null in 1D mode),
+     *   or null when the exclusions leave too few spectrums
+     */
+    selectSpectrums(room, exclude = []) {
+        this.checkSpectrumPool(room);
+        
+        const count = this.getSpectrumsPerRound(room);
+        const pool = this.getSpectrumPool(room).filter(s => !exclude.includes(s.id));
+        const avoidSameCategory = count > 1 && room.settings.avoidSameCategory;
+        const available = pool.filter(s => 
+            !room.usedSpectrums.includes(s.id) || room.usedSpectrums.length >= pool.length - 4
+        );
+        const pairable = avoidSameCategory
+            ? available.filter(s => available.some(other => other.category !== s.category))
+            : available;
+        
+        if (pairable.length < count) {
+            // Without exclusions the full pool always works (see checkSpectrumPool)
+            if (!room.usedSpectrums.length) return null;
+            
+            // Forget older picks until it fits
+            room.usedSpectrums = room.usedSpectrums.length > 4 ? room.usedSpectrums.slice(-4) : [];
+            return this.selectSpectrums(room, exclude);
+        }
+        
+        const spectrumX = room.random.pick(pairable);
+        const partners = pairable.filter(s => 
+            s.id !== spectrumX.id && (!avoidSameCategory || s.category !== spectrumX.category)
+        );
+        const spectrumY = count > 1 ? room.random.pick(partners) : null;
+        
+        return { spectrumX, spectrumY };
+    }
+
+    /**
+     * Mark a pair as played so it is avoided in the next rounds
+     * @param {Object} room - Room object
+     * @param {Object} pair - { spectrumX, spectrumY }
+     * @returns {Object} The same pair
+     */
+    recordSpectrums(room, pair) {
+        room.usedSpectrums.push(...[pair.spectrumX, pair.spectrumY].filter(Boolean).map(s => s.id));
+        console.log(`🌈 Selected spectrums: X: ${pair.spectrumX.name}, Y: ${pair.spectrumY?.name ?? '(1D)'}`);
+        return pair;
+    }
+
+    /**
+     * The clue giver drafts the pair when the room offers a choice or rerolls
+     * @param {Object} room - Room object
+     * @returns {boolean} Whether rounds start in the choosing-spectrum phase
+     */
+    isDrafting = room => room.settings.spectrumChoices > 1 || room.settings.spectrumRerolls > 0;
+
+    /**
+     * @param {Object} room - Room object
+     * @param {string} playerId - Player ID
+     * @returns {number} Rerolls the player has left this game
+     */
+    getRerollsLeft = (room, playerId) => Math.max(0, room.settings.spectrumRerolls - (room.rerollsUsed[playerId] || 0));
+
+    /**
+     * Deal up to spectrumChoices pairs that share no spectrum
+     * @param {Object} room - Room object
+     * @param {Array<string>} exclude - Spectrum IDs to leave out (the options being rerolled)
+     * @returns {Array<Object>} Candidate pairs (at least one when nothing is excluded)
+     */
+    dealSpectrumOptions(room, exclude = []) {
+        const options = [];
+        
+        while (options.length < room.settings.spectrumChoices) {
+            const dealt = options.flatMap(({ spectrumX, spectrumY }) => [spectrumX, spectrumY]).filter(Boolean).map(s => s.id);
+            const pair = this.selectSpectrums(room, [...exclude, ...dealt]);
+            if (!pair) break;
+            options.push(pair);
+        }
+        
+        // Rerolling from a small pool may leave nothing new; deal from the full pool again
+        return options.length || !exclude.length ? options : this.dealSpectrumOptions(room);
+    }
+
+    /**
+     * The clue giver picks one of the offered pairs and the clue phase starts
+     * @param {Object} room - Room object
+     * @param {string} playerId - Player choosing
+     * @param {number} index - Index of the chosen option
+     * @returns {Object} { spectrumX, spectrumY, clueGiverId, duration }
+     */
+    chooseSpectrum(room, playerId, index) {
+        try {
+            this.assertCanDraft(room, playerId);
+            
+            if (!Number.isInteger(index) || !room.spectrumOptions[index]) {
+                throw new GameLogicError(
+                    'SPECTRUM_CHOICE_FAILED',
+                    `Choose one of the ${room.spectrumOptions.length} offered pairs`,
+                    room.phase,
+                    { index }
+                );
+            }
+            
+            const { spectrumX, spectrumY } = this.recordSpectrums(room, room.spectrumOptions[index]);
+            Object.assign(room, { spectrumX, spectrumY, spectrumOptions: null, phase: 'giving-clue' });
+            this.phaseTimers.clear(room.id, 'choosing-spectrum');
+            this.startPhaseTimer(room);
+            
+            return { spectrumX, spectrumY, clueGiverId: room.clueGiverId, duration: room.settings.clueDuration };
+        } catch (error) {
+            console.error('❌ Error choosing spectrum:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Swap the offered pairs for fresh ones, spending one of the clue giver's rerolls
+     * The choosing deadline keeps running
+     * @param {Object} room - Room object
+     * @param {string} playerId - Player rerolling
+     * @returns {Object} { spectrumOptions, rerollsLeft }
+     */
+    rerollSpectrums(room, playerId) {
+        try {
+            this.assertCanDraft(room, playerId);
+            
+            if (!this.getRerollsLeft(room, playerId)) {
+                throw new GameLogicError('SPECTRUM_CHOICE_FAILED', 'No rerolls left this game', room.phase);
+            }
+            
+            const offered = room.spectrumOptions
+                .flatMap(({ spectrumX, spectrumY }) => [spectrumX, spectrumY])
+                .filter(Boolean)
+                .map(s => s.id);
+            
+            room.spectrumOptions = this.dealSpectrumOptions(room, offered);
+            room.rerollsUsed[playerId] = (room.rerollsUsed[playerId] || 0) + 1;
+            console.log(`🎲 Spectrums rerolled in room ${room.code}`);
+            
+            return { spectrumOptions: room.spectrumOptions, rerollsLeft: this.getRerollsLeft(room, playerId) };
+        } catch (error) {
+            console.error('❌ Error rerolling spectrums:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @param {string} playerId - Acting player
+     * @throws {GameLogicError} Unless the clue giver is choosing spectrums
+     */
+    assertCanDraft(room, playerId) {
+        this.assertNotPaused(room, 'SPECTRUM_CHOICE_FAILED');
+        
+        if (room.phase !== 'choosing-spectrum') {
+            throw new GameLogicError('SPECTRUM_CHOICE_FAILED', 'Not in the spectrum choosing phase', room.phase);
+        }
+        
+        if (playerId !== room.clueGiverId) {
+            throw new GameLogicError('SPECTRUM_CHOICE_FAILED', 'Only the clue giver can choose the spectrums', room.phase);
+        }
+    }
+
+    /**
+     * Start the deadline for the current phase and tick the countdown to the room
+     * The clue, guess and counter-guess phases each get their own room-configured deadline
+     * @param {Object} room - Room object
+     */
+    startPhaseTimer(room) {
+        const phase = room.phase;
+        this.phaseTimers.start(room.id, phase, this.getPhaseDuration(room, phase) * 1000,
+            () => this.handlePhaseExpired(room, phase));
+        this.startTicker(room);
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @param {string} phase - Phase name
+     * @returns {number} Phase length in seconds
+     */
+    getPhaseDuration = (room, phase) => ({
+        'choosing-spectrum': GAME_RULES.CHOOSE_SPECTRUM_DURATION,
+        'giving-clue': room.settings.clueDuration,
+        'guessing': room.settings.guessDuration,
+        'counter-guess': GAME_RULES.COUNTER_GUESS_DURATION
+    }[phase]);
+
+    /**
+     * Move the round on when a timed phase runs out
+     * @param {Object} room - Room object
+     * @param {string} phase - Phase whose deadline expired
+     */
+    handlePhaseExpired(room, phase) {
+        if (room.phase !== phase) return;
+        room.io?.to(room.id).emit('timer:update', { timeRemaining: 0, phase });
+        
+        if (phase === 'choosing-spectrum') {
+            // The first offered pair is played when the clue giver doesn't choose in time
+            room.io?.to(room.id).emit('game:spectrum-chosen', this.chooseSpectrum(room, room.clueGiverId, 0));
+        } else if (phase === 'giving-clue' && !room.clue) {
+            const result = this.submitClue(room, room.clueGiverId, 'No clue given', { enforceRules: false });
+            room.io?.to(room.id).emit('game:clue-submitted', result);
+        } else if (phase === 'guessing') {
+            // Markers still on the board count as if they had been locked in
+            this.lockProvisionalGuesses(room).forEach(status => room.io?.to(room.id).emit('game:guess-submitted', status));
+            if (room.duelSides && room.guesses.size) this.startCounterGuess(room);
+            else this.endRound(room);
+        } else {
+            this.endRound(room);
+        }
+    }
+
+    /**
+     * Emit the current phase's remaining time every second (skipped while paused)
+     * @param {Object} room - Room object
+     */
+    startTicker(room) {
+        this.clearRoundTimer(room.id);
+        room.timerActive = true;
+        
+        const timer = setInterval(() => {
+            if (!room.timerActive) return clearInterval(timer);
+            if (this.phaseTimers.isPaused(room.id)) return;
+            
+            const timeRemaining = this.getTimeRemaining(room);
+            if (timeRemaining > 0) room.io?.to(room.id).emit('timer:update', { timeRemaining, phase: room.phase });
+        }, 1000);
+        
+        this.gameTimers.set(room.id, timer);
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {number} Whole seconds left in the current phase (0 when it is untimed)
+     */
+    getTimeRemaining = room => Math.ceil(this.phaseTimers.remaining(room.id, room.phase) / 1000);
+
+    isPaused = room => this.phaseTimers.isPaused(room.id);
+
+    /**
+     * Freeze every deadline in a running game and tell the room
+     * @param {Object} room - Room object
+     * @returns {boolean} Whether the game was running and is now paused
+     */
+    pauseTimers(room, reason = null) {
+        if (['lobby', 'finished'].includes(room.phase) || !this.phaseTimers.pause(room.id)) return false;
+        room.pausedAt = Date.now();
+        
+        console.log(`⏸️ Timers paused for room ${room.code}`);
+        room.io?.to(room.id).emit('timer:paused', { phase: room.phase, timeRemaining: this.getTimeRemaining(room), reason });
+        return true;
+    }
+
+    /**
+     * Restart the frozen deadlines with the time they had left and tell the room
+     * @param {Object} room - Room object
+     * @returns {boolean} Whether the game was paused and is now running
+     */
+    resumeTimers(room) {
+        if (!this.phaseTimers.resume(room.id)) return false;
+        room.departurePause = false;
+        // Time spent paused doesn't count towards the round's time
+        room.roundStartTime += Date.now() - room.pausedAt;
+        room.pausedAt = null;
+        
+        console.log(`▶️ Timers resumed for room ${room.code}`);
+        room.io?.to(room.id).emit('timer:resumed', { phase: room.phase, timeRemaining: this.getTimeRemaining(room) });
+        return true;
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @param {string} code - Error code for the refused action
+     * @throws {GameLogicError} While the game is paused
+     */
+    assertNotPaused(room, code) {
+        if (this.isPaused(room)) {
+            throw new GameLogicError(code, 'The game is paused', room.phase);
+        }
+    }
+
+    isGameRunning = room => !['lobby', 'finished'].includes(room.phase);
+
+    /**
+     * Count down to round one in step for the whole room: game:countdown carries each count,
+     * one second apart, ending with 0. The room stays in the lobby until onDone starts the game.
+     * @param {Object} room - Room object
+     * @param {Function} onDone - Starts the game once the count runs out
+     */
+    startCountdown(room, onDone) {
+        const tick = count => {
+            room.countdown = count || null;
+            room.io?.to(room.id).emit('game:countdown', { count });
+            if (count === 0) return onDone();
+            
+            this.phaseTimers.start(room.id, 'countdown', 1000, () => tick(count - 1));
+        };
+        
+        console.log(`⏳ Counting down to the game in room ${room.code}`);
+        tick(GAME_RULES.START_COUNTDOWN);
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @param {string} reason - Shown to the room
+     * @returns {boolean} Whether a countdown was running
+     */
+    cancelCountdown(room, reason) {
+        if (room.countdown == null) return false;
+        
+        this.phaseTimers.clear(room.id, 'countdown');
+        room.countdown = null;
+        console.log(`⏳ Countdown cancelled in room ${room.code}: ${reason}`);
+        room.io?.to(room.id).emit('game:countdown', { count: null, cancelled: true, reason });
+        return true;
+    }
+
+    /**
+     * Pause a running game: the current phase freezes and submissions are refused
+     * @param {Object} room - Room object
+     */
+    pauseGame(room) {
+        if (!this.isGameRunning(room)) {
+            throw new GameLogicError('GAME_PAUSE_FAILED', 'No game is running', room.phase);
+        }
+        
+        if (!this.pauseTimers(room)) {
+            throw new GameLogicError('GAME_PAUSE_FAILED', 'The game is already paused', room.phase);
+        }
+    }
+
+    /**
+     * Resume a paused game where it left off
+     * @param {Object} room - Room object
+     */
+    resumeGame(room) {
+        if (!this.resumeTimers(room)) {
+            throw new GameLogicError('GAME_RESUME_FAILED', 'The game is not paused', room.phase);
+        }
+    }
+
+    /**
+     * End a running game early with the scores so far and return the room to the lobby
+     * @param {Object} room - Room object
+     * @returns {Object} Partial game results, as sent with game:finished
+     */
+    abortGame(room) {
+        if (!this.isGameRunning(room)) {
+            throw new GameLogicError('GAME_ABORT_FAILED', 'No game is running', room.phase);
+        }
+        
+        const results = this.endGame(room, { aborted: true });
+        this.resetGame(room);
+        console.log(`🛑 Game aborted in room ${room.code}`);
+        return results;
+    }
+
+    /**
+     * A player disconnected (or left, with left: true) while a game may be running.
+     * With clueGiverDeparture 'void-round' a clue giver who hasn't given the clue gets
+     * departureGracePeriod seconds to come back (none after leaving) before the round is
+     * voided and replayed with the next clue giver. A guesser's departure can complete the
+     * guesses, and the game pauses itself while fewer than MIN_PLAYERS are connected.
+     * @param {Object} room - Room object
+     * @param {string} playerId - Departed player's ID
+     * @param {Object} [options]
+     * @param {boolean} [options.left] - The player left the room for good
+     */
+    handlePlayerDeparture(room, playerId, { left = false } = {}) {
+        if (!this.isGameRunning(room)) return;
+        
+        if (playerId === room.clueGiverId && this.isAwaitingClue(room) && room.settings.clueGiverDeparture === 'void-round') {
+            const round = room.currentRound;
+            const grace = left ? 0 : room.settings.departureGracePeriod * 1000;
+            // A deadline, so it freezes with the game while paused
+            this.phaseTimers.start(room.id, 'departure', grace, () => {
+                const stillGone = room.players.get(playerId)?.connected !== true;
+                if (room.currentRound === round && room.clueGiverId === playerId && this.isAwaitingClue(room) && stillGone) {
+                    this.voidRound(room);
+                }
+            });
+        } else if (room.phase === 'guessing') {
+            room.dial?.votes.delete(playerId);
+            this.settleIfAllGuessed(room);
+        }
+        
+        if (this.getConnectedCount(room) < this.MIN_PLAYERS && this.pauseTimers(room, 'Waiting for players to reconnect')) {
+            room.departurePause = true;
+        }
+    }
+
+    /**
+     * A disconnected player is back: keep their clue turn and lift a pause that departures caused
+     * once enough players are connected again
+     * @param {Object} room - Room object
+     * @param {string} playerId - Returning player's ID
+     */
+    handlePlayerReturn(room, playerId) {
+        if (playerId === room.clueGiverId) this.phaseTimers.clear(room.id, 'departure');
+        if (room.departurePause && this.getConnectedCount(room) >= this.MIN_PLAYERS) this.resumeTimers(room);
+    }
+
+    isAwaitingClue = room => ['choosing-spectrum', 'giving-clue'].includes(room.phase) && !room.clue;
+
+    getConnectedCount = room => Array.from(room.players.values()).filter(player => player.connected !== false).length;
+
+    /**
+     * After a guesser leaves, end the guessing if the connected guessers have all locked in,
+     * or if the dial votes already cast are now a majority (other shared guesses wait for their lock-in)
+     * @param {Object} room - Room object
+     * @private
+     */
+    settleIfAllGuessed(room) {
+        if (room.dial) {
+            if (room.guesses.size || room.dial.position == null || room.dial.votes.size < this.getDialVotesNeeded(room)) return;
+            
+            room.io?.to(room.id).emit('game:guess-submitted', this.lockDial(room));
+            this.broadcastDial(room, true);
+            this.settleGuesses(room);
+        } else if (!this.isSharedGuess(room) && room.guesses.size &&
+            this.getConnectedGuessers(room).every(id => room.guesses.has(id))) {
+            this.settleGuesses(room);
+        }
+    }
+
+    /**
+     * Drop the current round without scoring it and replay its number with the next clue giver
+     * @param {Object} room - Room object
+     * @private
+     */
+    voidRound(room) {
+        console.log(`🚫 Round ${room.currentRound} voided in room ${room.code}: clue giver ${room.clueGiverId} is gone`);
+        room.io?.to(room.id).emit('game:round-voided', {
+            roundNumber: room.currentRound,
+            clueGiverId: room.clueGiverId,
+            reason: 'The clue giver disconnected'
+        });
+        
+        room.currentRound--;
+        this.playNextRound(room);
+    }
+
+    /**
+     * Clear all game progress so the room can start a fresh game from the lobby
+     * @param {Object} room - Room object
+     */
+    resetGame(room) {
+        this.clearRoundTimer(room.id);
+        this.phaseTimers.removeRoom(room.id);
+        // Everyone readies up again for the next game
+        room.players.forEach(player => Object.assign(player, { score: 0, pending: false, isReady: false }));
+        
+        Object.assign(room, {
+            phase: 'lobby',
+            timerActive: false,
+            currentRound: 0,
+            plannedRounds: null,
+            clueGiverId: null,
+            clueTurns: {},
+            seatOrder: [],
+            clueGiverBag: [],
+            spectrumX: null,
+            spectrumY: null,
+            targetCoordinate: null,
+            clue: null,
+            guesses: new Map(),
+            provisionalGuesses: new Map(),
+            dial: null,
+            roundScores: new Map(),
+            lastRoundResults: null,
+            roundStartTime: null,
+            roundTimes: [],
+            pausedAt: null,
+            usedSpectrums: [],
+            spectrumOptions: null,
+            rerollsUsed: {},
+            clueRatings: null,
+            ratedClues: [],
+            suddenDeath: null,
+            bestDistances: {},
+            departurePause: false,
+            seed: null,
+            random: null,
+            duelSides: null,
+            lockedGuess: null,
+            counterGuess: null,
+            activeTeam: null,
+            teamScores: Object.fromEntries(GAME_RULES.TEAMS.map(team => [team, 0])),
+            teamClueGivers: Object.fromEntries(GAME_RULES.TEAMS.map(team => [team, null]))
+        });
+    }
+
+    clearRoundTimer(roomId) {
+        const timer = this.gameTimers.get(roomId);
+        if (timer) {
+            clearInterval(timer);
+            this.gameTimers.delete(roomId);
+        }
+    }
+
+    clearAllRoomTimers(roomId) {
+        this.clearRoundTimer(roomId);
+        this.phaseTimers.clearRoom(roomId);
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @param {string} playerId - Clue giver's ID
+     * @param {string|Array<string>} clue - One clue, or one per target in multi-target rounds
+     * @param {Object} [options]
+     * @param {boolean} [options.enforceRules=true] - Apply the room's clue rules (off for the timeout placeholder)
+     * @returns {Object} Clue and clue giver for the clue-submitted broadcast
+     */
+    submitClue(room, playerId, clue, { enforceRules = true } = {}) {
+        try {
+            this.assertNotPaused(room, 'CLUE_SUBMIT_FAILED');
+            
+            if (playerId !== room.clueGiverId) {
+                throw new GameLogicError(
+                    'CLUE_SUBMIT_FAILED',
+                    'Only the clue giver can submit clues',
+                    room.phase
+                );
+            }
+            
+            if (room.phase !== 'giving-clue') {
+                throw new GameLogicError(
+                    'CLUE_SUBMIT_FAILED',
+                    'Not in clue giving phase',
+                    room.phase
+                );
+            }
+            
+            // Multi-target rounds take one clue covering every target or one clue per target
+            const clues = Array.isArray(clue) ? clue : [clue];
+            if (clues.length !== 1 && (!this.isMultiTarget(room) || clues.length !== room.settings.targetCount)) {
+                throw new ValidationError(
+                    'INVALID_CLUE',
+                    `Give one clue or one clue per target (${room.settings.targetCount})`,
+                    'clue',
+                    clue
+                );
+            }
+            
+            const spectrums = [room.spectrumX, room.spectrumY];
+            clues.forEach(text => {
+                const validation = Validator.clue(text);
+                const rules = validation.valid && enforceRules
+                    ? checkClueRules(validation.value, { settings: room.settings, spectrums })
+                    : validation;
+                if (!rules.valid) {
+                    throw new ValidationError(
+                        'INVALID_CLUE',
+                        rules.error,
+                        'clue',
+                        text
+                    );
+                }
+            });
+            
+            room.clue = clues.length > 1 ? clues.map(text => text.trim()) : clues[0].trim();
+            room.phase = 'guessing';
+            this.startPhaseTimer(room);
+            console.log(`💡 Clue submitted for room ${room.code}: "${clues.join('" / "')}"`);
+            
+            return { 
+                clue: room.clue, 
+                clueGiverId: room.clueGiverId || playerId  // Ensure clueGiverId is always included
+            };
+        } catch (error) {
+            console.error('❌ Error submitting clue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Place or move a player's provisional guess; it only counts once locked in
+     * @param {Object} room - Room object
+     * @param {string} playerId - Guessing player's ID
+     * @param {Object|number} coordinate - Guess coordinate {x, y} or 1D position
+     * @returns {Object} Guess status for the room
+     */
+    moveGuess(room, playerId, coordinate) {
+        try {
+            this.assertNoDial(room);
+            const guess = this.assertCanGuess(room, playerId, coordinate);
+            
+            // Re-insert so the most recently moved guess is last (see lockProvisionalGuesses)
+            room.provisionalGuesses.delete(playerId);
+            room.provisionalGuesses.set(playerId, guess);
+            
+            return this.getGuessStatus(room, playerId);
+        } catch (error) {
+            console.error('❌ Error moving guess:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Lock in a guess, by default the player's provisional one
+     * @param {Object} room - Room object
+     * @param {string} playerId - Guessing player's ID
+     * @param {Object|number} [coordinate] - Guess coordinate {x, y} or 1D position
+     * @returns {Object} Guess status for the room
+     */
+    submitGuess(room, playerId, coordinate = room.provisionalGuesses.get(playerId)) {
+        try {
+            this.assertNoDial(room);
+            
+            if (coordinate === undefined) {
+                throw new GameLogicError(
+                    'GUESS_SUBMIT_FAILED',
+                    'Place your guess before locking it in',
+                    room.phase,
+                    { playerId }
+                );
+            }
+            
+            const guess = this.assertCanGuess(room, playerId, coordinate);
+            
+            room.guesses.set(playerId, guess);
+            room.provisionalGuesses.delete(playerId);
+            console.log(`🎯 Guess locked in for room ${room.code}: Player ${playerId} guessed ${JSON.stringify(guess)}`);
+            
+            this.settleGuesses(room);
+            return this.getGuessStatus(room, playerId);
+        } catch (error) {
+            console.error('❌ Error submitting guess:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @param {string} playerId - Guessing player's ID
+     * @returns {Object} Whether the player's guess is locked in, plus who shares it
+     */
+    getGuessStatus = (room, playerId) => ({
+        playerId,
+        hasGuessed: true,
+        locked: room.guesses.has(playerId),
+        team: room.activeTeam,
+        // Outside team mode a shared dial guess covers every guesser, like a duel side
+        side: room.duelSides?.guessing ?? (room.dial && !this.isTeamMode(room) ? this.getGuessers(room) : null)
+    });
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {Array<string>} Players whose guess is locked in this round; a shared guess covers every guesser
+     */
+    getGuessedPlayers = room => this.isSharedGuess(room)
+        ? (room.guesses.size ? this.getGuessers(room) : [])
+        : Array.from(room.guesses.keys());
+
+    /**
+     * Move on shortly after a guess is locked in: to the counter-guess in a duel,
+     * otherwise to the results once the shared guess or every guess is in
+     * @param {Object} room - Room object
+     * @private
+     */
+    settleGuesses(room) {
+        if (room.duelSides) {
+            this.phaseTimers.start(room.id, 'settle', 1000, () => this.startCounterGuess(room));
+        } else if (this.isSharedGuess(room) || this.getConnectedGuessers(room).every(id => room.guesses.has(id))) {
+            this.phaseTimers.start(room.id, 'settle', 1000, () => this.endRound(room));
+        }
+    }
+
+    /**
+     * Lock in the provisional guesses still on the board when the guess phase runs out.
+     * A shared team or side guess takes the most recently moved marker.
+     * @param {Object} room - Room object
+     * @returns {Array<Object>} Guess status of every guess locked here
+     */
+    lockProvisionalGuesses(room) {
+        if (room.dial) return room.dial.position === null || room.guesses.size ? [] : [this.lockDial(room)];
+        
+        const guessers = this.getGuessers(room);
+        const pending = Array.from(room.provisionalGuesses.entries())
+            .filter(([playerId]) => guessers.includes(playerId) && !room.guesses.has(playerId));
+        const locking = this.isSharedGuess(room) ? (room.guesses.size ? [] : pending.slice(-1)) : pending;
+        
+        locking.forEach(([playerId, coordinate]) => {
+            room.guesses.set(playerId, coordinate);
+            room.provisionalGuesses.delete(playerId);
+        });
+        if (locking.length) console.log(`⏰ Auto-locked ${locking.length} provisional guesses in room ${room.code}`);
+        
+        return locking.map(([playerId]) => this.getGuessStatus(room, playerId));
+    }
+
+    createDial = () => ({
+        position: null,
+        movedBy: null,
+        cursors: {},
+        votes: new Set(),
+        lastBroadcastAt: 0,
+        broadcastTimer: null
+    });
+
+    /**
+     * Move a guesser's cursor on the shared dial, dragging the dial along when grabbed.
+     * Moving the dial clears the lock-in votes, which were cast for the old position.
+     * @param {Object} room - Room object
+     * @param {string} playerId - Guessing player's ID
+     * @param {Object|number} coordinate - Cursor coordinate {x, y} or 1D position
+     * @param {boolean} grab - Whether the player is dragging the dial
+     */
+    moveDial(room, playerId, coordinate, grab = false) {
+        try {
+            if (!room.dial) {
+                throw new GameLogicError('GUESS_SUBMIT_FAILED', 'This room does not use the shared dial', room.phase);
+            }
+            const guess = this.assertCanGuess(room, playerId, coordinate);
+            
+            room.dial.cursors[playerId] = guess;
+            if (grab) {
+                Object.assign(room.dial, { position: guess, movedBy: playerId });
+                room.dial.votes.clear();
+            }
+            
+            this.broadcastDial(room);
+        } catch (error) {
+            console.error('❌ Error moving dial:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cast or withdraw a vote to lock in the dial where it is; a majority of guessers locks it
+     * @param {Object} room - Room object
+     * @param {string} playerId - Guessing player's ID
+     * @param {boolean} lockIn - True to vote, false to withdraw the vote
+     * @returns {Object|null} Guess status when the vote locked the dial in
+     */
+    voteDial(room, playerId, lockIn = true) {
+        try {
+            if (room.dial?.position == null) {
+                throw new GameLogicError('GUESS_SUBMIT_FAILED', 'Move the dial before voting to lock it in', room.phase);
+            }
+            this.assertCanGuess(room, playerId, room.dial.position);
+            
+            if (lockIn) room.dial.votes.add(playerId);
+            else room.dial.votes.delete(playerId);
+            
+            const locked = room.dial.votes.size >= this.getDialVotesNeeded(room);
+            const status = locked ? this.lockDial(room) : null;
+            if (locked) this.settleGuesses(room);
+            
+            this.broadcastDial(room, true);
+            return status;
+        } catch (error) {
+            console.error('❌ Error voting on dial:', error);
+            throw error;
+        }
+    }
+
+    getDialVotesNeeded = room => Math.floor(this.getConnectedGuessers(room).length / 2) + 1;
+
+    /**
+     * Record the dial's position as the round's single guess
+     * @param {Object} room - Room object
+     * @returns {Object} Guess status
+     * @private
+     */
+    lockDial(room) {
+        const { position, movedBy } = room.dial;
+        room.guesses.set(movedBy, position);
+        console.log(`🎛️ Shared dial locked in for room ${room.code} at ${JSON.stringify(position)}`);
+        
+        return this.getGuessStatus(room, movedBy);
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {Object} Dial position, every guesser's cursor and the lock-in votes
+     */
+    getDialState = room => ({
+        position: room.dial.position,
+        movedBy: room.dial.movedBy,
+        cursors: { ...room.dial.cursors },
+        votes: Array.from(room.dial.votes),
+        votesNeeded: this.getDialVotesNeeded(room)
+    });
 
-    selectSpectrums(room) {
-        const available = this.spectrums.spectrums.filter(s => 
-            !room.usedSpectrums.includes(s.id) || room.usedSpectrums.length >= this.spectrums.spectrums.length - 4
-        );
-        
-        if (available.length < 2) {
-            room.usedSpectrums = room.usedSpectrums.slice(-4);
-            return this.selectSpectrums(room);
-        }
-        
-        const spectrumX = available[Math.floor(Math.random() * available.length)];
-        const spectrumY = available.filter(s => s.id !== spectrumX.id)[Math.floor(Math.random() * (available.length - 1))];
+    /**
+     * Send the dial to the room at most once per DIAL_UPDATE_INTERVAL;
+     * updates in between are folded into the next broadcast
+     * @param {Object} room - Room object
+     * @param {boolean} immediate - Skip the throttle (votes)
+     * @private
+     */
+    broadcastDial(room, immediate = false) {
+        const { dial } = room;
+        if (dial.broadcastTimer && !immediate) return;
+        clearTimeout(dial.broadcastTimer);
         
-        room.usedSpectrums.push(spectrumX.id, spectrumY.id);
-        console.log(`🌈 Selected spectrums: X: ${spectrumX.name}, Y: ${spectrumY.name}`);
+        const send = () => {
+            dial.broadcastTimer = null;
+            dial.lastBroadcastAt = Date.now();
+            if (room.dial === dial) room.io?.to(room.id).emit('game:dial-update', this.getDialState(room));
+        };
+        const wait = dial.lastBroadcastAt + GAME_RULES.DIAL_UPDATE_INTERVAL - Date.now();
         
-        return { spectrumX, spectrumY };
+        if (immediate || wait <= 0) send();
+        else dial.broadcastTimer = setTimeout(send, wait);
     }
 
-    startRoundTimer(room) {
-        this.clearRoundTimer(room.id);
-        let timeRemaining = this.ROUND_DURATION;
-        room.timerActive = true;
-        
-        const timer = setInterval(() => {
-            if (!room.timerActive) return clearInterval(timer);
-            
-            timeRemaining--;
-            room.io?.to(room.id).emit('timer:update', { timeRemaining, phase: room.phase });
-            
-            if (room.phase === 'giving-clue' && timeRemaining <= 5 && !room.clue) {
-                this.submitClue(room, room.clueGiverId, 'No clue given');
-            }
-            
-            if (timeRemaining <= 0) this.endRound(room);
-        }, 1000);
-        
-        this.gameTimers.set(room.id, timer);
+    /**
+     * @private
+     */
+    assertNoDial(room) {
+        if (room.dial) {
+            throw new GameLogicError('GUESS_SUBMIT_FAILED', 'Guesses go through the shared dial in this room', room.phase);
+        }
     }
 
-    clearRoundTimer(roomId) {
-        const timer = this.gameTimers.get(roomId);
-        if (timer) {
-            clearInterval(timer);
-            this.gameTimers.delete(roomId);
+    /**
+     * @returns {Object|number|Array} The validated guess (one marker per target in multi-target rounds)
+     * @private
+     */
+    assertCanGuess(room, playerId, coordinate) {
+        this.assertNotPaused(room, 'GUESS_SUBMIT_FAILED');
+        
+        if (playerId === room.clueGiverId) {
+            throw new GameLogicError(
+                'GUESS_SUBMIT_FAILED',
+                'Clue giver cannot submit guesses',
+                room.phase
+            );
+        }
+
+        if (room.phase !== 'guessing') {
+            throw new GameLogicError(
+                'GUESS_SUBMIT_FAILED',
+                'Not in guessing phase',
+                room.phase
+            );
+        }
+
+        const guess = this.isMultiTarget(room)
+            ? this.validateGuessMarkers(room, coordinate)
+            : this.validateGuessMarker(room, coordinate);
+
+        const guessers = this.getGuessers(room);
+        if (!guessers.includes(playerId)) {
+            throw new GameLogicError(
+                'GUESS_SUBMIT_FAILED',
+                room.players.get(playerId)?.pending
+                    ? 'You join the game at the next round'
+                    : room.duelSides
+                    ? 'Only the guessing side can guess this round'
+                    : `Only team ${room.activeTeam} can guess this round`,
+                room.phase,
+                { playerId }
+            );
+        }
+
+        if (room.guesses.has(playerId)) {
+            throw new GameLogicError(
+                'GUESS_SUBMIT_FAILED',
+                'Guess is already locked in',
+                room.phase,
+                { playerId }
+            );
         }
+
+        if (this.isSharedGuess(room) && room.guesses.size > 0) {
+            throw new GameLogicError(
+                'GUESS_SUBMIT_FAILED',
+                this.isTeamMode(room) ? 'Your team has already locked in'
+                    : room.duelSides ? 'Your side has already locked in' : 'The dial is already locked in',
+                room.phase,
+                { playerId }
+            );
+        }
+
+        return guess;
     }
 
-    clearAllRoomTimers(roomId) {
-        [roomId, `${roomId}_transition`, `${roomId}_nextRound`, `${roomId}_gameEnd`].forEach(key => {
-            const timer = this.gameTimers.get(key);
-            if (timer) {
-                (typeof timer === 'number' ? clearTimeout : clearInterval)(timer);
-                this.gameTimers.delete(key);
-            }
-        });
+    /**
+     * @returns {Array} One validated marker per target
+     * @private
+     */
+    validateGuessMarkers(room, markers) {
+        const { targetCount } = room.settings;
+        if (!Array.isArray(markers) || markers.length !== targetCount) {
+            throw new ValidationError(
+                'INVALID_GUESS',
+                `Place ${targetCount} markers, one per target`,
+                'coordinate',
+                markers
+            );
+        }
+
+        return markers.map(marker => this.validateGuessMarker(room, marker));
     }
 
-    submitClue(room, playerId, clue) {
-        try {
-            if (playerId !== room.clueGiverId) {
-                throw new GameLogicError(
-                    'CLUE_SUBMIT_FAILED',
-                    'Only the clue giver can submit clues',
-                    room.phase
-                );
-            }
-            
-            if (room.phase !== 'giving-clue') {
-                throw new GameLogicError(
-                    'CLUE_SUBMIT_FAILED',
-                    'Not in clue giving phase',
-                    room.phase
-                );
-            }
-            
-            const validation = Validator.clue(clue);
-            if (!validation.valid) {
-                throw new ValidationError(
-                    'INVALID_CLUE',
-                    validation.error,
-                    'clue',
-                    clue
-                );
-            }
-            
-            room.clue = clue.trim();
-            room.phase = 'guessing';
-            console.log(`💡 Clue submitted for room ${room.code}: "${clue}"`);
-            
-            return { 
-                clue: room.clue, 
-                clueGiverId: room.clueGiverId || playerId  // Ensure clueGiverId is always included
-            };
-        } catch (error) {
-            console.error('❌ Error submitting clue:', error);
-            throw error;
+    /**
+     * @returns {Object|number} The validated marker; the radius is kept only when the scoring strategy uses it
+     * @private
+     */
+    validateGuessMarker(room, coordinate) {
+        const validation = this.isOneDimensional(room)
+            ? Validator.position(coordinate)
+            : Validator.coordinate(coordinate);
+        if (!validation.valid) {
+            throw new ValidationError(
+                'INVALID_GUESS',
+                validation.error,
+                'coordinate',
+                coordinate
+            );
         }
+
+        if (this.usesRadius(room) && validation.value.radius === undefined) {
+            throw new ValidationError(
+                'INVALID_GUESS',
+                'Drag out a confidence radius for your guess',
+                'radius',
+                coordinate
+            );
+        }
+
+        if (this.usesRadius(room) || this.isOneDimensional(room)) return validation.value;
+        const { x, y } = validation.value;
+        return { x, y };
+    }
+
+    /**
+     * Lock the guessing side's guess and let the counter side predict the target's quadrant
+     * @param {Object} room - Room object
+     */
+    startCounterGuess(room) {
+        if (room.phase !== 'guessing') return;
+        
+        const [[playerId, coordinate]] = room.guesses.entries();
+        room.lockedGuess = { playerId, coordinate };
+        room.phase = 'counter-guess';
+        this.startPhaseTimer(room);
+        console.log(`⚔️ Counter-guess phase started for room ${room.code}`);
+        
+        room.io?.to(room.id).emit('game:counter-guess-start', {
+            lockedGuess: room.lockedGuess,
+            counterSide: room.duelSides.counter,
+            duration: GAME_RULES.COUNTER_GUESS_DURATION
+        });
     }
 
-    submitGuess(room, playerId, coordinate) {
+    submitCounterGuess(room, playerId, quadrant) {
         try {
-            if (playerId === room.clueGiverId) {
+            this.assertNotPaused(room, 'COUNTER_GUESS_FAILED');
+            
+            if (room.phase !== 'counter-guess') {
                 throw new GameLogicError(
-                    'GUESS_SUBMIT_FAILED',
-                    'Clue giver cannot submit guesses',
+                    'COUNTER_GUESS_FAILED',
+                    'Not in counter-guess phase',
                     room.phase
                 );
             }
             
-            if (room.phase !== 'guessing') {
+            if (!room.duelSides.counter.includes(playerId)) {
                 throw new GameLogicError(
-                    'GUESS_SUBMIT_FAILED',
-                    'Not in guessing phase',
-                    room.phase
+                    'COUNTER_GUESS_FAILED',
+                    'Only the counter side can predict the quadrant',
+                    room.phase,
+                    { playerId }
                 );
             }
             
-            const validation = Validator.coordinate(coordinate);
+            const validation = Validator.quadrant(quadrant);
             if (!validation.valid) {
                 throw new ValidationError(
-                    'INVALID_GUESS',
+                    'INVALID_QUADRANT',
                     validation.error,
-                    'coordinate',
-                    coordinate
+                    'quadrant',
+                    quadrant
                 );
             }
             
-            if (room.guesses.has(playerId)) {
+            if (room.counterGuess) {
                 throw new GameLogicError(
-                    'GUESS_SUBMIT_FAILED',
-                    'Player has already guessed',
+                    'COUNTER_GUESS_FAILED',
+                    'Your side has already predicted',
                     room.phase,
                     { playerId }
                 );
             }
             
-            room.guesses.set(playerId, coordinate);
-            console.log(`🎯 Guess submitted for room ${room.code}: Player ${playerId} guessed (${coordinate.x}, ${coordinate.y})`);
+            room.counterGuess = { playerId, quadrant };
+            console.log(`⚔️ Counter-guess submitted for room ${room.code}: Player ${playerId} predicted ${quadrant}`);
             
-            const nonClueGivers = Array.from(room.players.keys()).filter(id => id !== room.clueGiverId);
-            if (nonClueGivers.every(id => room.guesses.has(id))) {
-                setTimeout(() => this.endRound(room), 1000);
-            }
+            this.phaseTimers.start(room.id, 'settle', 1000, () => this.endRound(room));
             
-            return { playerId, hasGuessed: true };
+            return { playerId, quadrant };
         } catch (error) {
-            console.error('❌ Error submitting guess:', error);
+            console.error('❌ Error submitting counter-guess:', error);
             throw error;
         }
     }
@@ -284,31 +1526,58 @@ class GameManager {
             if (['results', 'waiting'].includes(room.phase)) return;
             
             room.phase = 'results';
+            room.roundTimes.push(Date.now() - room.roundStartTime);
             const results = this.calculateRoundScores(room);
+            if (!this.isTeamMode(room)) this.recordBestDistances(room);
             
-            results.roundScores.forEach((score, playerId) => {
-                const player = room.players.get(playerId);
-                if (player) player.score = (player.score || 0) + score;
-            });
+            if (room.suddenDeath) {
+                // The clue giver is outside the tie and scores nothing
+                results.roundScores.delete(room.clueGiverId);
+                room.suddenDeath.winner = this.getSuddenDeathWinner(room, results.roundScores);
+            }
+            
+            if (results.teamRoundScores) {
+                Object.entries(results.teamRoundScores).forEach(([team, score]) => {
+                    room.teamScores[team] += score;
+                });
+            } else {
+                results.roundScores.forEach((score, playerId) => {
+                    const player = room.players.get(playerId);
+                    if (player) player.score = (player.score || 0) + score;
+                });
+            }
             
             const roundResults = {
                 targetCoordinate: room.targetCoordinate,
                 guesses: Object.fromEntries(room.guesses),
+                ...(this.isMultiTarget(room) && {
+                    targetAssignments: this.getTargetAssignments(room)
+                }),
                 roundScores: Object.fromEntries(results.roundScores),
                 totalScores: this.getTotalScores(room),
                 bonusAwarded: results.bonusAwarded,
-                bestGuess: results.bestGuess
+                bestGuess: results.bestGuess,
+                scoringStrategy: room.settings.scoringStrategy,
+                ...(room.duelSides && {
+                    duelSides: room.duelSides,
+                    counterGuess: results.counterGuess
+                }),
+                ...(results.teamRoundScores && {
+                    activeTeam: room.activeTeam,
+                    teamRoundScores: results.teamRoundScores,
+                    teamScores: { ...room.teamScores }
+                }),
+                ...(room.suddenDeath && { suddenDeath: { ...room.suddenDeath } })
             };
             
             room.io?.to(room.id).emit('game:round-end', roundResults);
+            room.lastRoundResults = roundResults; // for players who resume during the results
+            room.clueRatings = new Map(); // open until the results deadline
             
-            const nextAction = room.currentRound >= this.MAX_ROUNDS 
-                ? () => this.endGame(room)
-                : () => this.prepareNextRound(room);
-            
-            const delay = room.currentRound >= this.MAX_ROUNDS ? this.RESULTS_VIEWING_TIME : this.RESULTS_VIEWING_TIME;
-            this.gameTimers.set(`${room.id}_${room.currentRound >= this.MAX_ROUNDS ? 'gameEnd' : 'transition'}`, 
-                setTimeout(nextAction, delay));
+            const isLastRound = !!room.suddenDeath || room.currentRound >= room.plannedRounds;
+            this.phaseTimers.start(room.id, 'results', this.RESULTS_VIEWING_TIME, isLastRound
+                ? () => this.concludeGame(room)
+                : () => this.prepareNextRound(room));
             
             return roundResults;
         } catch (error) {
@@ -319,36 +1588,289 @@ class GameManager {
         }
     }
 
-    prepareNextRound(room) {
+    /**
+     * @param {Object} room - Room object
+     * @param {string} [message] - Shown while waiting for the next round
+     */
+    prepareNextRound(room, message = 'Preparing next round...') {
+        this.closeClueRatings(room);
         room.phase = 'waiting';
         room.io?.to(room.id).emit('game:phase-change', { 
             phase: 'waiting',
-            message: 'Preparing next round...'
+            message
         });
         
-        this.gameTimers.set(`${room.id}_nextRound`, setTimeout(() => {
-            const nextRoundData = this.startRound(room);
-            
-            // Use the socketHandler's broadcastRoundStart method if available
-            if (room.socketHandler && typeof room.socketHandler.broadcastRoundStart === 'function') {
-                room.socketHandler.broadcastRoundStart(room, nextRoundData);
-            } else {
-                // Fallback to direct emit
-                room.io?.to(room.id).emit('game:round-start', nextRoundData);
+        this.phaseTimers.start(room.id, 'waiting', this.BETWEEN_ROUNDS_DELAY, () => this.playNextRound(room));
+    }
+
+    /**
+     * Start and announce the next round. A sudden-death round needs a clue giver from outside
+     * the tie; once they have all left, the game ends on the best-round or shared tie-break instead.
+     * @param {Object} room - Room object
+     * @private
+     */
+    playNextRound(room) {
+        if (room.suddenDeath && !this.getClueGiverCandidates(room).length) {
+            console.log(`⚔️ Nobody outside the tie is left to give a clue in room ${room.code}`);
+            room.suddenDeath.round--; // announced, but never played
+            this.endGame(room);
+            return;
+        }
+        
+        this.announceRoundStart(room, this.startRound(room));
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @param {Object} roundData - Result of startRound
+     * @private
+     */
+    announceRoundStart(room, roundData) {
+        // Use the socketHandler's broadcastRoundStart method if available
+        if (room.socketHandler && typeof room.socketHandler.broadcastRoundStart === 'function') {
+            room.socketHandler.broadcastRoundStart(room, roundData);
+        } else {
+            // Fallback to direct emit
+            room.io?.to(room.id).emit('game:round-start', roundData);
+        }
+    }
+
+    /**
+     * Called when the last round's results expire: with tieBreak 'sudden-death',
+     * players tied for the lead play another round instead of the game ending
+     * @param {Object} room - Room object
+     */
+    concludeGame(room) {
+        this.closeClueRatings(room); // a rating bonus can make or break the tie
+        const players = this.getSuddenDeathPlayers(room);
+        if (!players) return this.endGame(room);
+        
+        room.suddenDeath = { players, round: (room.suddenDeath?.round || 0) + 1, winner: null };
+        console.log(`⚔️ Sudden death round ${room.suddenDeath.round} in room ${room.code}`);
+        this.prepareNextRound(room, 'Sudden death!');
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {Array<string>|null} Tied leaders for another sudden-death round, or null when the game should end
+     */
+    getSuddenDeathPlayers(room) {
+        if (room.settings.tieBreak !== 'sudden-death' || this.isTeamMode(room)) return null;
+        if (room.suddenDeath?.winner || room.suddenDeath?.round >= GAME_RULES.MAX_SUDDEN_DEATH_ROUNDS) return null;
+        
+        // Someone outside the tie has to give the clue
+        const leaders = this.getLeaders(room);
+        return leaders.length > 1 && leaders.length < room.players.size ? leaders : null;
+    }
+
+    /**
+     * The sudden-death round goes to the tied player with the most points, then the closest guess
+     * @param {Object} room - Room object
+     * @param {Map} roundScores - This round's scores
+     * @returns {string|null} Winner, or null when nobody guessed or the best guesses are level
+     */
+    getSuddenDeathWinner(room, roundScores) {
+        const [first, second] = Array.from(room.guesses, ([playerId, guess]) => ({
+            playerId,
+            score: roundScores.get(playerId) || 0,
+            distance: this.calculateDistance(guess, room.targetCoordinate)
+        })).sort((a, b) => b.score - a.score || a.distance - b.distance);
+        
+        if (!first || (second && second.score === first.score && second.distance === first.distance)) return null;
+        return first.playerId;
+    }
+
+    /**
+     * Keep each guesser's closest single-round distance for the best-round tie-break;
+     * a shared guess counts for everyone who made it
+     * @param {Object} room - Room object
+     * @private
+     */
+    recordBestDistances(room) {
+        room.guesses.forEach((guess, playerId) => {
+            const distance = this.calculateDistance(guess, room.targetCoordinate);
+            const players = this.isSharedGuess(room) ? this.getGuessers(room) : [playerId];
+            players.forEach(id => {
+                room.bestDistances[id] = Math.min(room.bestDistances[id] ?? Infinity, distance);
+            });
+        });
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {Array<string>} Players sharing the top total score
+     */
+    getLeaders(room) {
+        const scores = Object.entries(this.getTotalScores(room));
+        const top = Math.max(...scores.map(([, score]) => score));
+        return scores.filter(([, score]) => score === top).map(([id]) => id);
+    }
+
+    /**
+     * Pick the winner, breaking a tie for the lead with a sudden-death result,
+     * then (unless tieBreak is 'shared') the best single-round distance, then a shared victory
+     * @param {Object} room - Room object
+     * @returns {Object} { winner, tieBreak }: tieBreak is null without a tie, otherwise
+     * { method, players } plus the sudden-death rounds played or the winning distance
+     */
+    resolveWinner(room) {
+        const { suddenDeath } = room;
+        if (suddenDeath?.winner) {
+            return {
+                winner: suddenDeath.winner,
+                tieBreak: { method: 'sudden-death', players: suddenDeath.players, rounds: suddenDeath.round }
+            };
+        }
+        
+        const leaders = this.getLeaders(room);
+        if (leaders.length <= 1) return { winner: leaders[0] ?? null, tieBreak: null };
+        
+        if (room.settings.tieBreak !== 'shared') {
+            const best = Math.min(...leaders.map(id => room.bestDistances[id] ?? Infinity));
+            const closest = leaders.filter(id => room.bestDistances[id] === best);
+            if (closest.length === 1) {
+                return {
+                    winner: closest[0],
+                    tieBreak: { method: 'best-round', players: leaders, distance: Math.round(best * 10) / 10 }
+                };
             }
-        }, this.BETWEEN_ROUNDS_DELAY));
+        }
+        
+        return { winner: null, tieBreak: { method: 'shared', players: leaders } };
+    }
+
+    /**
+     * Rate the round's clue while its results are shown; a new rating replaces the player's previous one
+     * @param {Object} room - Room object
+     * @param {string} playerId - Rating player's ID
+     * @param {number} rating - 1 to CLUE_RATING_MAX stars
+     * @returns {Object} Rating summary for the clue-ratings broadcast
+     * @throws {GameLogicError} Outside the results phase, or for the clue giver's own clue
+     * @throws {ValidationError} If the rating is out of range
+     */
+    rateClue(room, playerId, rating) {
+        this.assertNotPaused(room, 'CLUE_RATING_FAILED');
+        
+        if (room.phase !== 'results' || !room.clueRatings) {
+            throw new GameLogicError('CLUE_RATING_FAILED', 'Clues can only be rated while the round results are shown', room.phase);
+        }
+        
+        if (playerId === room.clueGiverId) {
+            throw new GameLogicError('CLUE_RATING_FAILED', 'You cannot rate your own clue', room.phase);
+        }
+        
+        const validation = Validator.clueRating(rating);
+        if (!validation.valid) {
+            throw new ValidationError('INVALID_RATING', validation.error, 'rating', rating);
+        }
+        
+        room.clueRatings.set(playerId, validation.value);
+        return this.getClueRatingSummary(room);
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {Object} { roundNumber, clueGiverId, count, average } of the open ratings (average is null before any)
+     */
+    getClueRatingSummary(room) {
+        const ratings = Array.from(room.clueRatings?.values() || []);
+        const total = ratings.reduce((sum, rating) => sum + rating, 0);
+        
+        return {
+            roundNumber: room.currentRound,
+            clueGiverId: room.clueGiverId,
+            count: ratings.length,
+            average: ratings.length ? Math.round(total / ratings.length * 10) / 10 : null
+        };
+    }
+
+    /**
+     * Close the round's ratings, record the clue for the end-of-game awards
+     * and pay clueRatingBonus to the clue giver (their team in team mode) for a well-rated clue
+     * @param {Object} room - Room object
+     * @private
+     */
+    closeClueRatings(room) {
+        if (!room.clueRatings) return;
+        
+        const summary = this.getClueRatingSummary(room);
+        // No bonus in sudden death, where the clue giver is outside the tie
+        const bonus = !room.suddenDeath && summary.average >= GAME_RULES.CLUE_RATING_BONUS_THRESHOLD
+            ? scaleBonus(room.settings.scoringStrategy, room.settings.clueRatingBonus)
+            : 0;
+        room.clueRatings = null;
+        room.ratedClues.push({
+            ...summary,
+            clue: room.clue,
+            spectrumX: room.spectrumX,
+            spectrumY: room.spectrumY,
+            targetCoordinate: room.targetCoordinate
+        });
+        
+        if (bonus && this.isTeamMode(room)) {
+            room.teamScores[room.activeTeam] += bonus;
+        } else if (bonus && room.players.has(summary.clueGiverId)) {
+            const clueGiver = room.players.get(summary.clueGiverId);
+            clueGiver.score = (clueGiver.score || 0) + bonus;
+        }
+        
+        room.io?.to(room.id).emit('game:clue-ratings', {
+            ...summary,
+            final: true,
+            bonus,
+            totalScores: this.getTotalScores(room),
+            ...(this.isTeamMode(room) && { teamScores: { ...room.teamScores } })
+        });
+    }
+
+    /**
+     * @param {Object} room - Room object
+     * @returns {Object} The game's best rated clue (ties go to more ratings, then the earlier round)
+     * and each clue giver's average over their rated clues
+     */
+    getClueAwards(room) {
+        const rated = room.ratedClues.filter(clue => clue.count > 0);
+        const bestClue = rated.reduce((best, clue) => !best || clue.average > best.average ||
+            (clue.average === best.average && clue.count > best.count) ? clue : best, null);
+        
+        const byClueGiver = {};
+        rated.forEach(({ clueGiverId, average }) => (byClueGiver[clueGiverId] ??= []).push(average));
+        const clueRatings = Object.fromEntries(Object.entries(byClueGiver).map(([playerId, averages]) => [playerId, {
+            average: Math.round(averages.reduce((sum, average) => sum + average, 0) / averages.length * 10) / 10,
+            clues: averages.length
+        }]));
+        
+        return { bestClue, clueRatings };
     }
 
-    calculateDistance = (guess, target) => Math.hypot(guess.x - target.x, guess.y - target.y);
+    calculateDistance = (guess, target) => guessDistance(guess, target);
+
+    /**
+     * Which target each marker of each guess was scored against
+     * @param {Object} room - Room object
+     * @returns {Object} playerId -> target index per marker
+     */
+    getTargetAssignments = room => Object.fromEntries(Array.from(room.guesses, ([playerId, guess]) =>
+        [playerId, assignTargets(room.settings.scoringStrategy, guess, room.targetCoordinate)]));
 
     calculateRoundScores(room) {
+        const results = this.isTeamMode(room)
+            ? this.calculateTeamRoundScores(room)
+            : this.calculatePlayerRoundScores(room);
+        
+        return room.duelSides ? this.scoreCounterGuess(room, results) : results;
+    }
+
+    calculatePlayerRoundScores(room) {
+        const { bonusThreshold, scoringStrategy } = room.settings;
+        const bonusPoints = scaleBonus(scoringStrategy, room.settings.bonusPoints);
         const roundScores = new Map();
         const guesses = Array.from(room.guesses.entries());
         let bestDistance = Infinity, bestPlayerId = null;
         
         guesses.forEach(([playerId, guess]) => {
             const distance = this.calculateDistance(guess, room.targetCoordinate);
-            const score = Math.max(0, Math.round(100 * (1 - distance / this.MAX_DISTANCE)));
+            const score = scoreGuess(scoringStrategy, guess, room.targetCoordinate);
             roundScores.set(playerId, score);
             
             if (distance < bestDistance) {
@@ -360,9 +1882,14 @@ class GameManager {
         if (guesses.length > 0) {
             const avgScore = Array.from(roundScores.values()).reduce((sum, s) => sum + s, 0) / roundScores.size;
             const allWithinBonus = guesses.every(([, guess]) => 
-                this.calculateDistance(guess, room.targetCoordinate) <= this.BONUS_THRESHOLD
+                this.calculateDistance(guess, room.targetCoordinate) <= bonusThreshold
             );
-            roundScores.set(room.clueGiverId, Math.round(avgScore) + (allWithinBonus ? this.BONUS_POINTS : 0));
+            roundScores.set(room.clueGiverId, Math.round(avgScore) + (allWithinBonus ? bonusPoints : 0));
+            
+            // The whole guessing side shares the duel or shared dial guess's score
+            if (this.isSharedGuess(room)) this.getGuessers(room).forEach(id => {
+                if (!roundScores.has(id)) roundScores.set(id, roundScores.get(guesses[0][0]));
+            });
             
             return {
                 roundScores,
@@ -375,29 +1902,126 @@ class GameManager {
         return { roundScores, bonusAwarded: false, bestGuess: null };
     }
 
+    /**
+     * Score the active team's shared guess; the points go to the team total
+     * @param {Object} room - Room object
+     * @returns {Object} Round scores per guesser and per team
+     */
+    calculateTeamRoundScores(room) {
+        const { bonusThreshold, scoringStrategy } = room.settings;
+        const bonusPoints = scaleBonus(scoringStrategy, room.settings.bonusPoints);
+        const roundScores = new Map();
+        const teamRoundScores = Object.fromEntries(GAME_RULES.TEAMS.map(team => [team, 0]));
+        const [entry] = room.guesses.entries();
+        
+        if (!entry) return { roundScores, teamRoundScores, bonusAwarded: false, bestGuess: null };
+        
+        const [playerId, guess] = entry;
+        const distance = this.calculateDistance(guess, room.targetCoordinate);
+        const score = scoreGuess(scoringStrategy, guess, room.targetCoordinate);
+        const bonusAwarded = distance <= bonusThreshold;
+        
+        roundScores.set(playerId, score);
+        teamRoundScores[room.activeTeam] = score + (bonusAwarded ? bonusPoints : 0);
+        
+        return {
+            roundScores,
+            teamRoundScores,
+            bonusAwarded,
+            bestGuess: { playerId, distance: Math.round(distance * 10) / 10 }
+        };
+    }
+
+    /**
+     * Award the counter side when the target lies in the quadrant they predicted
+     * @param {Object} room - Room object
+     * @param {Object} results - Round results from the regular scoring
+     * @returns {Object} Results with the counter-guess outcome added
+     */
+    scoreCounterGuess(room, results) {
+        if (!room.lockedGuess) return { ...results, counterGuess: null };
+        
+        const { coordinate } = room.lockedGuess;
+        const actualQuadrant = this.getQuadrant(coordinate, room.targetCoordinate);
+        const correct = !!room.counterGuess &&
+            this.isInQuadrant(room.targetCoordinate, coordinate, room.counterGuess.quadrant);
+        const points = correct ? room.settings.counterGuessPoints : 0;
+        
+        if (results.teamRoundScores) {
+            const counterTeam = GAME_RULES.TEAMS.find(team => team !== room.activeTeam);
+            results.teamRoundScores[counterTeam] += points;
+        } else {
+            room.duelSides.counter.forEach(id => 
+                results.roundScores.set(id, (results.roundScores.get(id) || 0) + points));
+        }
+        
+        return {
+            ...results,
+            counterGuess: {
+                playerId: room.counterGuess?.playerId ?? null,
+                quadrant: room.counterGuess?.quadrant ?? null,
+                actualQuadrant,
+                correct,
+                points
+            }
+        };
+    }
+
     getTotalScores = room => Object.fromEntries(
         Array.from(room.players.entries()).map(([id, player]) => [id, player.score || 0])
     );
 
-    endGame(room) {
+    /**
+     * @param {Object} room - Room object
+     * @returns {number|null} Mean time in seconds from a round's start to its results, pauses excluded
+     */
+    getAverageRoundTime = room => room.roundTimes.length
+        ? Math.round(room.roundTimes.reduce((sum, ms) => sum + ms, 0) / room.roundTimes.length / 1000)
+        : null;
+
+    /**
+     * @param {Object} room - Room object
+     * @param {Object} [options]
+     * @param {boolean} [options.aborted] - The host ended the game early
+     * @returns {Object} Game results, as sent with game:finished
+     */
+    endGame(room, { aborted = false } = {}) {
         try {
             console.log(`🎉 Ending game for room ${room.code}`);
-            this.clearAllRoomTimers(room.id);
+            this.closeClueRatings(room);
+            const { bestClue, clueRatings } = this.getClueAwards(room);
+            // An aborted round that never reached its results doesn't count
+            const roundsPlayed = aborted && !['results', 'waiting'].includes(room.phase)
+                ? room.currentRound - 1
+                : room.currentRound;
+            this.clearRoundTimer(room.id);
+            this.phaseTimers.removeRoom(room.id);
             room.timerActive = false;
             room.phase = 'finished';
             
             const finalScores = this.getTotalScores(room);
-            const winner = Object.entries(finalScores).reduce((w, [id, score]) => 
-                score > (w.score || -1) ? { id, score } : w, {}).id;
+            const teamMode = this.isTeamMode(room);
+            const { winner, tieBreak } = teamMode ? { winner: null, tieBreak: null } : this.resolveWinner(room);
             
             const gameResults = {
                 finalScores,
                 winner,
+                ...(tieBreak && { tieBreak }),
+                ...(teamMode && {
+                    teamScores: { ...room.teamScores },
+                    winningTeam: this.getWinningTeam(room)
+                }),
+                ...(aborted && { aborted: true }),
+                bestClue,
                 gameStats: {
-                    totalRounds: room.currentRound,
+                    totalRounds: roundsPlayed,
+                    suddenDeathRounds: room.suddenDeath?.round || 0,
                     duration: Date.now() - room.createdAt,
                     spectrumsUsed: room.usedSpectrums.length,
-                    averageRoundTime: this.ROUND_DURATION
+                    scoringStrategy: room.settings.scoringStrategy,
+                    seed: room.seed,
+                    clueRatings,
+                    averageRoundTime: this.getAverageRoundTime(room)
                 }
             };
             
@@ -409,6 +2033,15 @@ class GameManager {
         }
     }
 
+    /**
+     * @param {Object} room - Room object
+     * @returns {string|null} Team with the highest total, or null on a tie
+     */
+    getWinningTeam(room) {
+        const [first, second] = Object.entries(room.teamScores).sort(([, a], [, b]) => b - a);
+        return first[1] > second[1] ? first[0] : null;
+    }
+
     validateClue(clue) {
         return Validator.clue(clue);
     }
@@ -417,7 +2050,7 @@ class GameManager {
         return Validator.coordinate(coordinate);
     }
 
-    canStartGame = room => room.players.size >= this.MIN_PLAYERS && room.players.size <= this.MAX_PLAYERS;
+    canStartGame = room => room.players.size >= this.MIN_PLAYERS && room.players.size <= room.settings.maxPlayers;
 
     getGameConfig = () => ({
         ROUND_DURATION: this.ROUND_DURATION,
@@ -437,6 +2070,7 @@ class GameManager {
             (typeof timer === 'number' ? clearTimeout : clearInterval)(timer);
         });
         this.gameTimers.clear();
+        this.phaseTimers.cleanup();
         console.log('🧹 GameManager cleaned up');
     }
 }
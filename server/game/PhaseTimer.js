@@ -0,0 +1,129 @@
+/**
+ * Phase deadline service for Spectrum
+ * Each room keeps independent named deadlines (one per phase, plus short settle delays)
+ * that are frozen and resumed together when the room is paused
+ */
+
+class PhaseTimer {
+    constructor() {
+        Object.assign(this, {
+            rooms: new Map() // roomId -> { deadlines: Map<name, deadline>, pausedAt: number|null }
+        });
+    }
+
+    getRoom = roomId => this.rooms.get(roomId) ||
+        this.rooms.set(roomId, { deadlines: new Map(), pausedAt: null }).get(roomId);
+
+    /**
+     * Start (or restart) a named deadline for a room
+     * A deadline started while the room is paused waits for resume
+     * @param {string} roomId - Room ID
+     * @param {string} name - Deadline name (usually the phase)
+     * @param {number} durationMs - Time until the deadline expires
+     * @param {Function} onExpire - Called once when the deadline expires
+     */
+    start(roomId, name, durationMs, onExpire) {
+        this.clear(roomId, name);
+        const timers = this.getRoom(roomId);
+        const deadline = { endsAt: null, remaining: durationMs, onExpire, timeout: null };
+
+        timers.deadlines.set(name, deadline);
+        if (!timers.pausedAt) this.schedule(timers, name, deadline);
+    }
+
+    /**
+     * @private
+     */
+    schedule(timers, name, deadline) {
+        deadline.endsAt = Date.now() + deadline.remaining;
+        deadline.timeout = setTimeout(() => {
+            if (timers.deadlines.get(name) === deadline) timers.deadlines.delete(name);
+            deadline.onExpire();
+        }, deadline.remaining);
+    }
+
+    /**
+     * @param {string} roomId - Room ID
+     * @param {string} name - Deadline name
+     * @returns {number} Milliseconds left, frozen while paused (0 when there is no such deadline)
+     */
+    remaining(roomId, name) {
+        const timers = this.rooms.get(roomId);
+        const deadline = timers?.deadlines.get(name);
+        if (!deadline) return 0;
+
+        return timers.pausedAt ? deadline.remaining : Math.max(0, deadline.endsAt - Date.now());
+    }
+
+    has = (roomId, name) => !!this.rooms.get(roomId)?.deadlines.has(name);
+
+    isPaused = roomId => !!this.rooms.get(roomId)?.pausedAt;
+
+    /**
+     * Freeze every deadline in a room
+     * @param {string} roomId - Room ID
+     * @returns {boolean} False when the room was already paused
+     */
+    pause(roomId) {
+        const timers = this.getRoom(roomId);
+        if (timers.pausedAt) return false;
+
+        timers.pausedAt = Date.now();
+        timers.deadlines.forEach(deadline => {
+            clearTimeout(deadline.timeout);
+            deadline.remaining = Math.max(0, deadline.endsAt - timers.pausedAt);
+        });
+        return true;
+    }
+
+    /**
+     * Restart every frozen deadline in a room with the time it had left
+     * @param {string} roomId - Room ID
+     * @returns {boolean} False when the room was not paused
+     */
+    resume(roomId) {
+        const timers = this.rooms.get(roomId);
+        if (!timers?.pausedAt) return false;
+
+        timers.pausedAt = null;
+        timers.deadlines.forEach((deadline, name) => this.schedule(timers, name, deadline));
+        return true;
+    }
+
+    clear(roomId, name) {
+        const timers = this.rooms.get(roomId);
+        const deadline = timers?.deadlines.get(name);
+        if (!deadline) return;
+
+        clearTimeout(deadline.timeout);
+        timers.deadlines.delete(name);
+    }
+
+    /**
+     * Drop every deadline in a room; the pause state is kept
+     * @param {string} roomId - Room ID
+     */
+    clearRoom(roomId) {
+        const timers = this.rooms.get(roomId);
+        if (!timers) return;
+
+        timers.deadlines.forEach(deadline => clearTimeout(deadline.timeout));
+        timers.deadlines.clear();
+    }
+
+    /**
+     * Drop a room's deadlines and pause state (game over)
+     * @param {string} roomId - Room ID
+     */
+    removeRoom(roomId) {
+        this.clearRoom(roomId);
+        this.rooms.delete(roomId);
+    }
+
+    cleanup() {
+        this.rooms.forEach((_, roomId) => this.clearRoom(roomId));
+        this.rooms.clear();
+    }
+}
+
+module.exports = { PhaseTimer };
@@ -4,7 +4,9 @@
  * UPDATED: Support for 2D coordinate system
  */
 
-const crypto = require('crypto');
+const { GAME_RULES } = require('../../shared/constants.js');
+const Validator = require('../../shared/validation.js');
+const { ValidationError } = require('../../shared/errors.js');
 
 class RoomManager {
     constructor() {
@@ -38,6 +40,16 @@ class RoomManager {
     createRoom(hostId, hostName, settings = {}) {
         if (this.playerRooms.has(hostId)) throw new Error('Player is already in a room');
 
+        const validation = Validator.roomSettings(settings);
+        if (!validation.valid) {
+            throw new ValidationError(
+                'INVALID_ROOM_SETTINGS',
+                validation.error,
+                validation.field,
+                validation.value
+            );
+        }
+
         const roomCode = this.generateRoomCode();
         const room = {
             code: roomCode,
@@ -47,28 +59,55 @@ class RoomManager {
                 id: hostId,
                 name: hostName,
                 isHost: true,
-                isReady: true,
+                isReady: false,
                 joinedAt: Date.now(),
                 connected: true,
-                score: 0
+                score: 0,
+                team: GAME_RULES.TEAMS[0]
             }]]),
+            spectators: new Map(), // spectatorId -> { id, name, joinedAt }; watch only, never counted as players
+            bans: { names: new Set(), playerIds: new Set() }, // for the room's lifetime: lowercased names, and seat IDs from resume tokens
             state: 'lobby',
             phase: 'lobby',
             createdAt: Date.now(),
             lastActivity: Date.now(),
-            settings: { maxPlayers: this.MAX_PLAYERS, roundDuration: 60000, ...settings },
+            settings: validation.value,
             
             // Game state - Updated for 2D
             currentRound: 0,
+            plannedRounds: null, // fixed when the game starts (see shared/rotation.js)
             clueGiverId: null,
+            clueTurns: {}, // playerId -> clue turns counted by the rotation (newcomers start level with the fewest)
+            seatOrder: [], // round-robin order: join order, newcomers at the end
+            clueGiverBag: [], // players still to give a clue in the random rotation's cycle
             spectrumX: null,
             spectrumY: null,
             targetCoordinate: null,
             clue: null,
             guesses: new Map(),
+            provisionalGuesses: new Map(),
+            dial: null,
             roundScores: new Map(),
-            roundStartTime: null,
+            lastRoundResults: null, // game:round-end payload while its results are shown
+            roundStartTime: null, // pushed forward by the time spent paused
+            roundTimes: [], // ms each scored round took, for gameStats.averageRoundTime
+            pausedAt: null,
             usedSpectrums: [],
+            spectrumOptions: null,
+            rerollsUsed: {},
+            clueRatings: null, // playerId -> stars while a round's results are shown
+            ratedClues: [],
+            suddenDeath: null, // { players, round, winner } once the game goes to sudden death
+            bestDistances: {}, // playerId -> closest single-round distance (best-round tie-break)
+            departurePause: false, // paused by GameManager.handlePlayerDeparture, lifted when players return
+            countdown: null, // seconds left in the 3-2-1 before round one (GameManager.startCountdown)
+            seed: null,
+            random: null,
+            
+            // Team mode state
+            activeTeam: null,
+            teamScores: Object.fromEntries(GAME_RULES.TEAMS.map(team => [team, 0])),
+            teamClueGivers: Object.fromEntries(GAME_RULES.TEAMS.map(team => [team, null])),
             io: null
         };
 
@@ -84,22 +123,22 @@ class RoomManager {
 
         const room = this.getRoomByCode(roomCode);
         if (!room) throw new Error('Room not found');
-        if (room.players.size >= this.MAX_PLAYERS) throw new Error('Room is full');
-        if (!['lobby', 'waiting'].includes(room.phase)) throw new Error('Cannot join room - game in progress');
+        if (room.players.size >= room.settings.maxPlayers) throw new Error('Room is full');
+        if (room.phase === 'finished') throw new Error('Cannot join room - the game has finished');
 
-        // Check duplicate names
-        if (Array.from(room.players.values()).some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
-            throw new Error('Player name already taken in this room');
-        }
+        if (this.isNameTaken(room, playerName)) throw new Error('Player name already taken in this room');
 
         room.players.set(playerId, {
             id: playerId,
             name: playerName,
             isHost: false,
-            isReady: true,
+            isReady: false,
             joinedAt: Date.now(),
             connected: true,
-            score: 0
+            score: 0,
+            team: this.getSmallestTeam(room),
+            // Joined mid-game: watches until the next round starts (GameManager.activatePendingPlayers)
+            pending: room.phase !== 'lobby'
         });
 
         this.playerRooms.set(playerId, roomCode);
@@ -109,6 +148,32 @@ class RoomManager {
         return this.getRoomInfo(roomCode);
     }
 
+    /**
+     * Join a room to watch: allowed in any phase and not counted toward maxPlayers
+     * @param {string} roomCode - Room code
+     * @param {string} spectatorId - Spectator's ID
+     * @param {string} name - Display name, unique among players and spectators
+     * @returns {Object} Room info
+     */
+    joinAsSpectator(roomCode, spectatorId, name) {
+        if (this.playerRooms.has(spectatorId)) throw new Error('Player is already in a room');
+
+        const room = this.getRoomByCode(roomCode);
+        if (!room) throw new Error('Room not found');
+        if (room.spectators.size >= GAME_RULES.MAX_SPECTATORS) throw new Error('This room has too many spectators');
+        if (this.isNameTaken(room, name)) throw new Error('Player name already taken in this room');
+
+        room.spectators.set(spectatorId, { id: spectatorId, name, joinedAt: Date.now() });
+        this.playerRooms.set(spectatorId, room.code);
+        room.lastActivity = Date.now();
+
+        console.log(`👀 Spectator ${name} joined room ${room.code}`);
+        return this.getRoomInfo(room.code);
+    }
+
+    isNameTaken = (room, name) => [...room.players.values(), ...room.spectators.values()]
+        .some(p => p.name.toLowerCase() === name.toLowerCase());
+
     leaveRoom(playerId) {
         const roomCode = this.playerRooms.get(playerId);
         if (!roomCode) throw new Error('Player is not in a room');
@@ -116,6 +181,14 @@ class RoomManager {
         const room = this.rooms.get(roomCode);
         if (!room) throw new Error('Room not found');
 
+        const spectator = room.spectators.get(playerId);
+        if (spectator) {
+            room.spectators.delete(playerId);
+            this.playerRooms.delete(playerId);
+            console.log(`👀 Spectator ${spectator.name} left room ${roomCode}`);
+            return { roomDeleted: false, newHost: null, spectator: true, room: this.getRoomInfo(roomCode) };
+        }
+
         const player = room.players.get(playerId);
         if (!player) throw new Error('Player not found in room');
 
@@ -128,24 +201,79 @@ class RoomManager {
 
         console.log(`🚪 Player ${playerName} left room ${roomCode}`);
 
-        // Handle empty room
+        // Handle empty room; spectators alone don't keep it open
         if (room.players.size === 0) {
+            const spectatorIds = Array.from(room.spectators.keys());
+            spectatorIds.forEach(id => this.playerRooms.delete(id));
             this.rooms.delete(roomCode);
-            return { roomDeleted: true, newHost: null };
+            return { roomDeleted: true, newHost: null, spectatorIds };
         }
 
-        // Assign new host if needed
+        // Assign new host if needed: a connected player, or the longest-seated one if nobody is connected
         let newHost = null;
         if (wasHost) {
-            newHost = room.players.values().next().value;
-            newHost.isHost = true;
-            room.hostId = newHost.id;
-            console.log(`👑 Transferred host to ${newHost.name} in room ${roomCode}`);
+            newHost = this.migrateHost(room);
+            if (!newHost) {
+                newHost = room.players.values().next().value;
+                newHost.isHost = true;
+                room.hostId = newHost.id;
+                console.log(`👑 Transferred host to ${newHost.name} in room ${roomCode}`);
+            }
         }
 
         return { roomDeleted: false, newHost, room: this.getRoomInfo(roomCode) };
     }
 
+    /**
+     * Hand the host role to the longest-seated connected player when the host disconnects or leaves
+     * @param {Object} room - Room object
+     * @returns {Object|null} New host, or null when nobody else is connected
+     */
+    migrateHost(room) {
+        const newHost = Array.from(room.players.values()).find(player => player.connected && !player.isHost);
+        if (!newHost) return null;
+
+        console.log(`👑 Host is gone from room ${room.code}`);
+        return this.transferHost(room, newHost.id);
+    }
+
+    /**
+     * Hand the host role to another connected player
+     * @param {Object} room - Room object
+     * @param {string} playerId - New host's ID
+     * @returns {Object} New host
+     */
+    transferHost(room, playerId) {
+        const newHost = room.players.get(playerId);
+        if (!newHost) throw new Error('Player not found in room');
+        if (newHost.isHost) throw new Error('That player is already the host');
+        if (!newHost.connected) throw new Error('Cannot make a disconnected player the host');
+
+        const oldHost = room.players.get(room.hostId);
+        if (oldHost) oldHost.isHost = false;
+        newHost.isHost = true;
+        room.hostId = newHost.id;
+        console.log(`👑 Transferred host to ${newHost.name} in room ${room.code}`);
+        return newHost;
+    }
+
+    /**
+     * Bar a player or spectator from the room for as long as it exists, by name and by the
+     * seat ID their resume token carries. Removing them is up to the caller.
+     * @param {Object} room - Room object
+     * @param {string} playerId - Banned player's ID
+     */
+    banPlayer(room, playerId) {
+        const player = room.players.get(playerId) ?? room.spectators.get(playerId);
+        if (!player) throw new Error('Player not found in room');
+
+        room.bans.names.add(player.name.toLowerCase());
+        room.bans.playerIds.add(playerId);
+        console.log(`🚫 Banned ${player.name} from room ${room.code}`);
+    }
+
+    isBanned = (room, name, playerId) => room.bans.names.has(name.toLowerCase()) || room.bans.playerIds.has(playerId);
+
     setPlayerReady(playerId, ready) {
         const roomCode = this.playerRooms.get(playerId);
         if (!roomCode) throw new Error('Player is not in a room');
@@ -153,16 +281,75 @@ class RoomManager {
         const room = this.rooms.get(roomCode);
         const player = room.players.get(playerId);
         if (!player) throw new Error('Player not found in room');
+        if (room.phase !== 'lobby') throw new Error('Readiness only matters in the lobby');
 
         player.isReady = ready;
         room.lastActivity = Date.now();
         return this.getRoomInfo(roomCode);
     }
 
+    updateSettings(roomCode, playerId, updates) {
+        const room = this.rooms.get(roomCode);
+        if (!room) throw new Error('Room not found');
+        if (room.hostId !== playerId) throw new Error('Only the host can change room settings');
+        if (room.phase !== 'lobby') throw new Error('Settings are locked once the game has started');
+
+        const validation = Validator.roomSettings(updates, room.settings);
+        if (!validation.valid) {
+            throw new ValidationError(
+                'INVALID_ROOM_SETTINGS',
+                validation.error,
+                validation.field,
+                validation.value
+            );
+        }
+
+        if (validation.value.maxPlayers < room.players.size) {
+            throw new ValidationError(
+                'INVALID_ROOM_SETTINGS',
+                `maxPlayers cannot be lower than the current player count (${room.players.size})`,
+                'maxPlayers',
+                validation.value.maxPlayers
+            );
+        }
+
+        room.settings = validation.value;
+        room.lastActivity = Date.now();
+
+        console.log(`⚙️ Updated settings in room ${roomCode}:`, updates);
+        return this.getRoomInfo(roomCode);
+    }
+
+    setPlayerTeam(playerId, team) {
+        const roomCode = this.playerRooms.get(playerId);
+        if (!roomCode) throw new Error('Player is not in a room');
+
+        const room = this.rooms.get(roomCode);
+        const player = room.players.get(playerId);
+        if (!player) throw new Error('Player not found in room');
+        if (!GAME_RULES.TEAMS.includes(team)) throw new Error(`Unknown team: ${team}`);
+        if (room.phase !== 'lobby') throw new Error('Teams are locked once the game has started');
+
+        player.team = team;
+        room.lastActivity = Date.now();
+
+        console.log(`🤝 Player ${player.name} switched to team ${team} in room ${roomCode}`);
+        return this.getRoomInfo(roomCode);
+    }
+
+    getSmallestTeam(room) {
+        const players = Array.from(room.players.values());
+        return GAME_RULES.TEAMS.reduce((smallest, team) =>
+            players.filter(p => p.team === team).length < players.filter(p => p.team === smallest).length
+                ? team
+                : smallest);
+    }
+
+    // Players who dropped out of the lobby don't hold up the start
     areAllPlayersReady = roomCode => {
         const room = this.rooms.get(roomCode);
         return room && room.players.size >= this.MIN_PLAYERS && 
-               Array.from(room.players.values()).every(p => p.isReady);
+               Array.from(room.players.values()).every(p => p.isReady || !p.connected);
     };
 
     updatePlayerConnection(playerId, connected) {
@@ -190,10 +377,11 @@ class RoomManager {
             hostId: room.hostId,
             state: room.state,
             phase: room.phase,
-            players: Array.from(room.players.values()).map(({ id, name, isHost, isReady, connected, score }) => 
-                ({ id, name, isHost, isReady, connected, score })),
+            players: Array.from(room.players.values()).map(({ id, name, isHost, isReady, connected, score, team, pending = false }) => 
+                ({ id, name, isHost, isReady, connected, score, team, pending })),
             playerCount: room.players.size,
             maxPlayers: room.settings.maxPlayers,
+            spectators: Array.from(room.spectators.values()).map(({ id, name }) => ({ id, name })),
             canStart: this.canStartGame(roomCode),
             createdAt: room.createdAt,
             settings: room.settings,
@@ -203,7 +391,9 @@ class RoomManager {
                 spectrumX: room.spectrumX,
                 spectrumY: room.spectrumY,
                 clue: room.clue,
-                phase: room.phase
+                phase: room.phase,
+                activeTeam: room.activeTeam,
+                teamScores: room.teamScores
             }
         };
     }
@@ -266,7 +456,7 @@ class RoomManager {
         roomsToDelete.forEach(roomCode => {
             const room = this.rooms.get(roomCode);
             if (room) {
-                room.players.forEach((_, playerId) => this.playerRooms.delete(playerId));
+                [...room.players.keys(), ...room.spectators.keys()].forEach(id => this.playerRooms.delete(id));
                 this.rooms.delete(roomCode);
             }
         });
@@ -0,0 +1,63 @@
+/**
+ * Seedable pseudo-random number generator for Spectrum
+ * Every random game decision draws from a room's generator,
+ * so the same seed and player order replays the same game
+ */
+
+const { ROOM_SETTINGS } = require('../../shared/constants.js');
+
+class SeededRandom {
+    /**
+     * @param {number} seed - Integer seed
+     */
+    constructor(seed) {
+        Object.assign(this, {
+            seed,
+            state: seed >>> 0
+        });
+    }
+
+    /**
+     * Next number in [0, 1) (mulberry32)
+     * @returns {number} Pseudo-random float
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in [0, max)
+     */
+    int = max => Math.floor(this.next() * max);
+
+    /**
+     * @param {Array} items - Items to pick from
+     * @returns {*} One of the items, or undefined when empty
+     */
+    pick = items => items[this.int(items.length)];
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Fresh seed for games that don't supply one (never 0, which means "random")
+     * @returns {number} Seed between 1 and ROOM_SETTINGS.seed.max
+     */
+    static generateSeed = () => Math.floor(Math.random() * ROOM_SETTINGS.seed.max) + 1;
+}
+
+module.exports = { SeededRandom };
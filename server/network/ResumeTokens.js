@@ -0,0 +1,59 @@
+/**
+ * Signed session-resume tokens for Spectrum
+ * A token names a player's seat (player ID + room code) and is signed with an HMAC,
+ * so a reconnecting client can reclaim its seat but can't forge someone else's
+ */
+
+const crypto = require('crypto');
+const { NETWORK } = require('../../shared/constants.js');
+const { GameError } = require('../../shared/errors.js');
+
+class ResumeTokens {
+    /**
+     * @param {string} [secret] - Signing key; RESUME_TOKEN_SECRET, or a random key that
+     *                            lasts until the server restarts (rooms don't survive one anyway)
+     * @param {number} [ttl] - Token lifetime in ms
+     */
+    constructor(secret = process.env.RESUME_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'), ttl = NETWORK.RESUME_TOKEN_TTL) {
+        Object.assign(this, { secret, ttl });
+    }
+
+    /**
+     * @param {string} playerId - Seat owner
+     * @param {string} roomCode - Room holding the seat
+     * @returns {string} Token: base64url payload and signature joined by a dot
+     */
+    issue(playerId, roomCode) {
+        const payload = Buffer.from(JSON.stringify({ playerId, roomCode, issuedAt: Date.now() })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    /**
+     * @param {string} token - Token from issue()
+     * @returns {Object} { playerId, roomCode, issuedAt }
+     * @throws {GameError} RESUME_FAILED when the token is malformed, tampered with or expired
+     */
+    verify(token) {
+        const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+        const expected = payload && this.sign(payload);
+
+        if (!signature || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new GameError('RESUME_FAILED', 'Invalid resume token');
+        }
+
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (Date.now() - data.issuedAt > this.ttl) {
+            throw new GameError('RESUME_FAILED', 'Resume token has expired');
+        }
+
+        return data;
+    }
+
+    /**
+     * @private
+     */
+    sign = payload => crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+}
+
+module.exports = { ResumeTokens };
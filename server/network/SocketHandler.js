@@ -10,9 +10,13 @@
  * - Manages real-time game communication
  *
  * UPDATED: Support for 2D coordinate system
+ * UPDATED: Spectators, with their own chat channel
+ * UPDATED: Signed resume tokens so reconnecting players keep their seat
+ * UPDATED: Host moderation: kick, ban and transfer host
+ * UPDATED: Ready-up toggle and the optional 3-2-1 start countdown
  * ================================= */
 
-const { VALIDATION } = require('../../shared/constants.js');
+const { GAME_RULES } = require('../../shared/constants.js');
 const {
     ROOM_EVENTS,
     GAME_EVENTS,
@@ -29,6 +33,7 @@ const {
     createPlayerNameError,
     createRoomCodeError
 } = require('../../shared/errors.js');
+const { ResumeTokens } = require('./ResumeTokens.js');
 
 class SocketHandler {
     constructor(io, roomManager, gameManager) {
@@ -38,6 +43,7 @@ class SocketHandler {
             gameManager,
             connectedPlayers: new Map(),
             socketPlayers: new Map(),
+            resumeTokens: new ResumeTokens(),
             debugMode: true
         });
         console.log('🔌 SocketHandler initialized');
@@ -54,10 +60,27 @@ class SocketHandler {
         const handlers = {
             [ROOM_EVENTS.CREATE]: data => this.handleCreateRoom(socket, data),
             [ROOM_EVENTS.JOIN]: data => this.handleJoinRoom(socket, data),
+            [ROOM_EVENTS.RESUME]: data => this.handleResumeSession(socket, data),
+            [ROOM_EVENTS.UPDATE_SETTINGS]: data => this.handleUpdateSettings(socket, data),
+            [ROOM_EVENTS.SWITCH_TEAM]: data => this.handleSwitchTeam(socket, data),
+            [ROOM_EVENTS.KICK]: data => this.handleKickPlayer(socket, data),
+            [ROOM_EVENTS.BAN]: data => this.handleKickPlayer(socket, data, { ban: true }),
+            [ROOM_EVENTS.TRANSFER_HOST]: data => this.handleTransferHost(socket, data),
             [GAME_EVENTS.START]: data => this.handleStartGame(socket, data),
             [GAME_EVENTS.SUBMIT_CLUE]: data => this.handleSubmitClue(socket, data),
+            [GAME_EVENTS.MOVE_GUESS]: data => this.handleMoveGuess(socket, data),
             [GAME_EVENTS.SUBMIT_GUESS]: data => this.handleSubmitGuess(socket, data),
+            [GAME_EVENTS.MOVE_DIAL]: data => this.handleMoveDial(socket, data),
+            [GAME_EVENTS.VOTE_DIAL]: data => this.handleVoteDial(socket, data),
+            [GAME_EVENTS.SUBMIT_COUNTER_GUESS]: data => this.handleSubmitCounterGuess(socket, data),
+            [GAME_EVENTS.CHOOSE_SPECTRUM]: data => this.handleChooseSpectrum(socket, data),
+            [GAME_EVENTS.REROLL_SPECTRUMS]: data => this.handleRerollSpectrums(socket, data),
+            [GAME_EVENTS.RATE_CLUE]: data => this.handleRateClue(socket, data),
+            [GAME_EVENTS.PAUSE]: data => this.handlePauseGame(socket, data),
+            [GAME_EVENTS.RESUME]: data => this.handleResumeGame(socket, data),
+            [GAME_EVENTS.ABORT]: data => this.handleAbortGame(socket, data),
             [CHAT_EVENTS.SEND]: data => this.handleChatMessage(socket, data),
+            [PLAYER_EVENTS.READY]: data => this.handleSetReady(socket, data),
             [PLAYER_EVENTS.DISCONNECT]: data => this.handlePlayerLeave(socket, data),
             'ping': ts => socket.emit('pong', ts),
             [GAME_EVENTS.REQUEST_STATE]: data => this.handleStateRequest(socket, data)
@@ -77,7 +100,7 @@ class SocketHandler {
             const playerId = this.generatePlayerId();
             const result = this.roomManager.createRoom(playerId, playerName, settings);
             const room = this.roomManager.getRoomByCode(result.code); // Get actual room object
-            this.setupRoom(room, this);;
+            this.setupRoom(room, this);
             
             socket.join(room.id);
             this.trackPlayer(socket, playerId, playerName, result.code, room.id);
@@ -86,6 +109,7 @@ class SocketHandler {
                 roomId: room.id,
                 roomCode: result.code,
                 playerId,
+                resumeToken: this.resumeTokens.issue(playerId, result.code),
                 players: this.roomManager.getRoomPlayers(result.code),
                 room: this.roomManager.getRoomInfo(result.code)
             });
@@ -96,16 +120,19 @@ class SocketHandler {
         }
     }
 
-    async handleJoinRoom(socket, { playerName, roomCode }) {
+    async handleJoinRoom(socket, { playerName, roomCode, spectate = false, resumeToken = null }) {
         try {
-            console.log(`🚪 ${playerName} joining room ${roomCode}`);
+            console.log(`🚪 ${playerName} joining room ${roomCode}${spectate ? ' as a spectator' : ''}`);
             this.validatePlayerName(playerName);
             this.validateRoomCode(roomCode);
+            this.assertNotBanned(roomCode, playerName, resumeToken);
             
             const playerId = this.generatePlayerId();
+            if (spectate) return this.addSpectator(socket, playerId, playerName, roomCode);
+            
             const roomInfo = this.roomManager.joinRoom(roomCode, playerId, playerName);
             const room = this.roomManager.getRoomByCode(roomCode);
-            this.setupRoom(room, this);;
+            this.setupRoom(room, this);
             
             socket.join(room.id);
             this.trackPlayer(socket, playerId, playerName, roomCode, room.id);
@@ -115,6 +142,7 @@ class SocketHandler {
                 roomId: room.id,
                 roomCode,
                 playerId,
+                resumeToken: this.resumeTokens.issue(playerId, room.code),
                 players: roomInfo.players,
                 room: roomInfo,
                 gameState: roomInfo.gameState
@@ -125,6 +153,9 @@ class SocketHandler {
                 player: roomInfo.players.find(p => p.id === playerId)
             });
             
+            // Late joiners watch the current round until the next one starts
+            if (room.phase !== 'lobby') this.handleStateRequest(socket);
+            
             console.log(`✅ ${playerName} joined room ${roomCode} successfully`);
             console.log(`📢 Broadcasting player-joined to room ${room.id}`);
         } catch (error) {
@@ -132,10 +163,168 @@ class SocketHandler {
         }
     }
 
+    /**
+     * Rebind a reconnecting player's new socket to their seat, keeping their score and role,
+     * then send a fresh token and the full game state (with the target for the clue giver)
+     * @param {Object} socket - The player's new socket
+     * @param {Object} data
+     * @param {string} data.resumeToken - Token from room:created or room:joined
+     */
+    async handleResumeSession(socket, { resumeToken } = {}) {
+        try {
+            const { playerId, roomCode } = this.resumeTokens.verify(resumeToken);
+            const room = this.roomManager.getRoomByCode(roomCode);
+            const player = room?.players.get(playerId);
+            if (!player) throw new GameError('RESUME_FAILED', 'Your seat in this room is no longer available');
+            if (this.socketPlayers.has(socket.id)) throw new GameError('RESUME_FAILED', 'Already in a room');
+            
+            // The old socket may not have reported its disconnect yet
+            const previous = this.connectedPlayers.get(playerId);
+            if (previous) {
+                this.socketPlayers.delete(previous.socketId);
+                this.io.sockets.sockets.get(previous.socketId)?.leave(room.id);
+            }
+            
+            socket.join(room.id);
+            this.trackPlayer(socket, playerId, player.name, room.code, room.id);
+            this.roomManager.updatePlayerConnection(playerId, true);
+            this.gameManager.handlePlayerReturn(room, playerId);
+            const roomInfo = this.roomManager.getRoomInfo(room.code);
+            
+            socket.emit(ROOM_EVENTS.JOINED, {
+                roomId: room.id,
+                roomCode: room.code,
+                playerId,
+                resumed: true,
+                resumeToken: this.resumeTokens.issue(playerId, room.code),
+                players: roomInfo.players,
+                room: roomInfo,
+                gameState: roomInfo.gameState
+            });
+            socket.to(room.id).emit(ROOM_EVENTS.PLAYER_JOINED, {
+                player: roomInfo.players.find(p => p.id === playerId),
+                resumed: true
+            });
+            if (room.phase !== 'lobby') this.handleStateRequest(socket);
+            
+            console.log(`🔄 ${player.name} resumed their seat in room ${room.code}`);
+        } catch (error) {
+            this.handleError(socket, 'RESUME_FAILED', error);
+        }
+    }
+
+    /**
+     * Spectators get every room broadcast (the target only once it is revealed) plus the
+     * spectator chat channel, and the current game state when they arrive mid-game
+     * @param {Object} socket - Spectator's socket
+     * @param {string} spectatorId - New spectator ID
+     * @param {string} name - Spectator's name
+     * @param {string} roomCode - Room to watch
+     */
+    addSpectator(socket, spectatorId, name, roomCode) {
+        const roomInfo = this.roomManager.joinAsSpectator(roomCode, spectatorId, name);
+        const room = this.roomManager.getRoomByCode(roomCode);
+        
+        socket.join(room.id);
+        socket.join(this.getSpectatorChannel(room.id));
+        this.trackPlayer(socket, spectatorId, name, room.code, room.id, { spectator: true });
+        
+        socket.emit(ROOM_EVENTS.JOINED, {
+            roomId: room.id,
+            roomCode: room.code,
+            playerId: spectatorId,
+            spectator: true,
+            players: roomInfo.players,
+            room: roomInfo,
+            gameState: roomInfo.gameState
+        });
+        this.io.to(room.id).emit(ROOM_EVENTS.SPECTATORS_UPDATED, { spectators: roomInfo.spectators });
+        if (room.phase !== 'lobby') this.handleStateRequest(socket);
+        
+        console.log(`✅ ${name} is watching room ${room.code}`);
+    }
+
+    async handleUpdateSettings(socket, { settings }) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            const roomInfo = this.roomManager.updateSettings(room.code, playerId, settings);
+            
+            this.io.to(room.id).emit(ROOM_EVENTS.SETTINGS_UPDATED, {
+                settings: roomInfo.settings,
+                maxPlayers: roomInfo.maxPlayers
+            });
+        } catch (error) {
+            this.handleError(socket, 'SETTINGS_UPDATE_FAILED', error);
+        }
+    }
+
+    async handleSwitchTeam(socket, { team }) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            const roomInfo = this.roomManager.setPlayerTeam(playerId, team);
+            
+            this.io.to(room.id).emit(ROOM_EVENTS.TEAMS_UPDATED, { players: roomInfo.players });
+        } catch (error) {
+            this.handleError(socket, 'TEAM_SWITCH_FAILED', error);
+        }
+    }
+
+    /**
+     * Host only: remove a player or spectator, who gets room:kicked and goes back to the lobby.
+     * A ban also keeps them out (by name and resume token) for as long as the room exists.
+     * @param {Object} socket - Host's socket
+     * @param {Object} data
+     * @param {string} data.playerId - Player to remove
+     * @param {Object} [options]
+     * @param {boolean} [options.ban] - Ban them as well
+     */
+    async handleKickPlayer(socket, { playerId: targetId } = {}, { ban = false } = {}) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            this.requireHost(room, playerId, 'MODERATION_FAILED', ban ? 'ban players' : 'remove players');
+            
+            const target = room.players.get(targetId) ?? room.spectators.get(targetId);
+            if (!target) throw new GameError('MODERATION_FAILED', 'That player is not in this room');
+            if (targetId === playerId) throw new GameError('MODERATION_FAILED', 'You cannot remove yourself');
+            
+            ban && this.roomManager.banPlayer(room, targetId);
+            
+            const targetSocket = this.getPlayerSocket(targetId);
+            targetSocket?.emit(ROOM_EVENTS.KICKED, {
+                banned: ban,
+                message: ban ? 'The host banned you from this room' : 'The host removed you from the room'
+            });
+            
+            // A disconnected player has only their seat left to remove
+            const playerData = this.connectedPlayers.get(targetId) ??
+                { playerName: target.name, roomCode: room.code, roomId: room.id };
+            this.removePlayer(targetId, targetSocket, playerData, { kicked: true, banned: ban });
+            
+            console.log(`👢 ${target.name} was ${ban ? 'banned' : 'kicked'} from room ${room.code}`);
+        } catch (error) {
+            this.handleError(socket, 'MODERATION_FAILED', error);
+        }
+    }
+
+    async handleTransferHost(socket, { playerId: targetId } = {}) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            this.requireHost(room, playerId, 'MODERATION_FAILED', 'hand over the host role');
+            
+            const newHost = this.roomManager.transferHost(room, targetId);
+            this.io.to(room.id).emit(ROOM_EVENTS.HOST_CHANGED, {
+                newHostId: newHost.id,
+                newHostName: newHost.name
+            });
+        } catch (error) {
+            this.handleError(socket, 'MODERATION_FAILED', error);
+        }
+    }
+
     async handleStartGame(socket) {
         try {
             const { room, playerId } = this.getPlayerRoom(socket);
-            this.setupRoom(room, this);; // Change 'this' to 'this.io'
+            this.setupRoom(room, this); // Change 'this' to 'this.io'
             
             const player = room.players.get(playerId);
             if (!player?.isHost) {
@@ -145,60 +334,153 @@ class SocketHandler {
                 );
             }
             
-            if (!this.gameManager.canStartGame(room)) {
-                throw new GameError(
-                    'GAME_START_FAILED',
-                    'Not enough players to start game'
-                );
+            if (room.countdown != null) {
+                throw new GameError('GAME_START_FAILED', 'The game is already starting');
             }
             
-            console.log(`🎯 Starting game in room ${room.code}`);
-            room.phase = 'active';
-            const roundData = this.gameManager.startRound(room);
-            
-            // Send the EXACT same data to all players
-            const baseRoundData = {
-                roundNumber: roundData.roundNumber,
-                clueGiverId: roundData.clueGiverId,
-                spectrumX: roundData.spectrumX,
-                spectrumY: roundData.spectrumY,
-                duration: roundData.duration,
-                totalRounds: room.totalRounds || 10
-            };
-            
-            // Broadcast to all players with only the target coordinate different
-            room.players.forEach((player, pid) => {
-                const playerSocket = this.getPlayerSocket(pid);
-                if (playerSocket) {
-                    playerSocket.emit(GAME_EVENTS.ROUND_START, {
-                        ...baseRoundData,
-                        targetCoordinate: pid === room.clueGiverId ? room.targetCoordinate : null
-                    });
-                }
-            });
+            this.assertGameCanStart(room);
             
-            console.log(`✅ Game started in room ${room.code}`);
+            if (room.settings.startCountdown) {
+                this.gameManager.startCountdown(room, () => this.finishCountdown(room));
+            } else {
+                this.beginGame(room);
+            }
         } catch (error) {
             this.handleError(socket, 'GAME_START_FAILED', error);
         }
     }
 
-    handleStateRequest(socket) {
+    /**
+     * @param {Object} room - Room object
+     * @throws {GameError} GAME_START_FAILED when the room can't start a game yet
+     */
+    assertGameCanStart(room) {
+        if (!this.gameManager.canStartGame(room) || this.gameManager.getConnectedCount(room) < GAME_RULES.MIN_PLAYERS) {
+            throw new GameError(
+                'GAME_START_FAILED',
+                'Not enough players to start game'
+            );
+        }
+
+        if (!this.roomManager.areAllPlayersReady(room.code)) {
+            throw new GameError('GAME_START_FAILED', 'Every player must be ready');
+        }
+
+        if (this.gameManager.isTeamMode(room) && !this.gameManager.hasPlayableTeams(room)) {
+            throw new GameError(
+                'GAME_START_FAILED',
+                `Each team needs at least ${GAME_RULES.MIN_TEAM_SIZE} players`
+            );
+        }
+
+        this.gameManager.checkSpectrumPool(room);
+    }
+
+    beginGame(room) {
+        console.log(`🎯 Starting game in room ${room.code}`);
+        room.phase = 'active';
+        const roundData = this.gameManager.startRound(room);
+        this.broadcastRoundStart(room, roundData);
+        
+        console.log(`✅ Game started in room ${room.code}`);
+    }
+
+    /**
+     * The countdown ran out: start the game, unless the room changed under it
+     * (someone joined, left or stopped being ready)
+     * @param {Object} room - Room object
+     */
+    finishCountdown(room) {
+        try {
+            this.assertGameCanStart(room);
+            this.beginGame(room);
+        } catch (error) {
+            console.log(`⏳ Countdown in room ${room.code} ended without a start: ${error.message}`);
+            this.io.to(room.id).emit(GAME_EVENTS.COUNTDOWN, { count: null, cancelled: true, reason: error.message });
+        }
+    }
+
+    /**
+     * Call off a running start countdown once a departure means the room can no longer start
+     * @param {Object} room - Room object
+     */
+    recheckCountdown(room) {
+        if (room.countdown == null) return;
+        
+        try {
+            this.assertGameCanStart(room);
+        } catch (error) {
+            this.gameManager.cancelCountdown(room, error.message);
+        }
+    }
+
+    /**
+     * Set or toggle the player's readiness in the lobby. Dropping out of ready stops
+     * a running start countdown.
+     * @param {Object} socket - Player's socket
+     * @param {Object} [data]
+     * @param {boolean} [data.ready] - New readiness; toggles when omitted
+     */
+    async handleSetReady(socket, { ready } = {}) {
         try {
             const { room, playerId } = this.getPlayerRoom(socket);
+            const player = room.players.get(playerId);
+            const isReady = typeof ready === 'boolean' ? ready : !player?.isReady;
+            const roomInfo = this.roomManager.setPlayerReady(playerId, isReady);
+            
+            this.io.to(room.id).emit(ROOM_EVENTS.READY_UPDATED, {
+                players: roomInfo.players,
+                canStart: roomInfo.canStart
+            });
+            
+            isReady || this.gameManager.cancelCountdown(room, `${player.name} is no longer ready`);
+        } catch (error) {
+            this.handleError(socket, 'READY_FAILED', error);
+        }
+    }
+
+    handleStateRequest(socket) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket, { allowSpectators: true });
             const roomInfo = this.roomManager.getRoomInfo(room.code);
+            const guessedPlayers = this.gameManager.getGuessedPlayers(room);
             
             socket.emit(GAME_EVENTS.STATE_UPDATE, {
                 gameState: {
                     phase: room.phase,
                     currentRound: room.currentRound,
-                    totalRounds: room.totalRounds || 10,
+                    totalRounds: room.plannedRounds ?? room.settings.totalRounds,
                     clueGiverId: room.clueGiverId,
+                    spectrumMode: room.settings.spectrumMode,
+                    targetCount: room.settings.targetCount,
                     spectrumX: room.spectrumX,
                     spectrumY: room.spectrumY,
                     clue: room.clue,
+                    activeTeam: room.activeTeam,
+                    teamScores: room.teamScores,
+                    duelSides: room.duelSides,
+                    suddenDeath: room.suddenDeath,
+                    lockedGuess: room.lockedGuess,
+                    counterGuess: room.counterGuess,
+                    provisionalGuess: room.provisionalGuesses.get(playerId) ?? null,
+                    // The locked-in guess covering this player, shared or their own
+                    myGuess: guessedPlayers.includes(playerId)
+                        ? room.guesses.get(playerId) ?? room.guesses.values().next().value
+                        : null,
+                    guessedPlayers,
+                    roundResults: room.phase === 'results' ? room.lastRoundResults : null,
+                    dial: room.dial && this.gameManager.getDialState(room),
+                    clueRatings: room.clueRatings && {
+                        ...this.gameManager.getClueRatingSummary(room),
+                        myRating: room.clueRatings.get(playerId) ?? null
+                    },
                     timeRemaining: this.calculateTimeRemaining(room),
-                    targetCoordinate: playerId === room.clueGiverId ? room.targetCoordinate : null
+                    timerPaused: this.gameManager.isPaused(room),
+                    targetCoordinate: playerId === room.clueGiverId ? room.targetCoordinate : null,
+                    ...(playerId === room.clueGiverId && room.spectrumOptions && {
+                        spectrumOptions: room.spectrumOptions,
+                        rerollsLeft: this.gameManager.getRerollsLeft(room, playerId)
+                    })
                 },
                 roomInfo,
                 players: roomInfo.players,
@@ -211,6 +493,54 @@ class SocketHandler {
         }
     }
 
+    /**
+     * @param {Object} room - Room object
+     * @param {string} playerId - Acting player
+     * @param {string} code - Error code when the player is not the host
+     * @param {string} action - What the host-only action does, for the error message
+     */
+    requireHost(room, playerId, code, action) {
+        if (room.hostId !== playerId) {
+            throw new GameError(code, `Only the host can ${action}`);
+        }
+    }
+
+    async handlePauseGame(socket) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            this.requireHost(room, playerId, 'GAME_PAUSE_FAILED', 'pause the game');
+            this.gameManager.pauseGame(room);
+        } catch (error) {
+            this.handleError(socket, 'GAME_PAUSE_FAILED', error);
+        }
+    }
+
+    async handleResumeGame(socket) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            this.requireHost(room, playerId, 'GAME_RESUME_FAILED', 'resume the game');
+            this.gameManager.resumeGame(room);
+        } catch (error) {
+            this.handleError(socket, 'GAME_RESUME_FAILED', error);
+        }
+    }
+
+    async handleAbortGame(socket) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            this.requireHost(room, playerId, 'GAME_ABORT_FAILED', 'end the game');
+            this.gameManager.abortGame(room);
+            
+            this.io.to(room.id).emit(GAME_EVENTS.PHASE_CHANGE, {
+                phase: 'lobby',
+                message: 'The host ended the game',
+                players: this.roomManager.getRoomInfo(room.code).players
+            });
+        } catch (error) {
+            this.handleError(socket, 'GAME_ABORT_FAILED', error);
+        }
+    }
+
     async handleSubmitClue(socket, { clue }) {
         try {
             const { room, playerId } = this.getPlayerRoom(socket);
@@ -225,10 +555,20 @@ class SocketHandler {
         }
     }
 
+    async handleMoveGuess(socket, { coordinate }) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            const result = this.gameManager.moveGuess(room, playerId, coordinate);
+            this.io.to(room.id).emit(GAME_EVENTS.GUESS_SUBMITTED, result);
+        } catch (error) {
+            this.handleError(socket, 'GUESS_SUBMIT_FAILED', error);
+        }
+    }
+
     async handleSubmitGuess(socket, { coordinate }) {
         try {
             const { room, playerId } = this.getPlayerRoom(socket);
-            console.log(`🎯 Guess submitted in room ${room.code}: (${coordinate.x}, ${coordinate.y})`);
+            console.log(`🎯 Guess submitted in room ${room.code}: ${JSON.stringify(coordinate)}`);
             
             const result = this.gameManager.submitGuess(room, playerId, coordinate);
             this.io.to(room.id).emit(GAME_EVENTS.GUESS_SUBMITTED, result);
@@ -239,10 +579,76 @@ class SocketHandler {
         }
     }
 
-    async handleChatMessage(socket, { message }) {
+    async handleMoveDial(socket, { coordinate, grab }) {
         try {
             const { room, playerId } = this.getPlayerRoom(socket);
-            const player = room.players.get(playerId);
+            this.gameManager.moveDial(room, playerId, coordinate, !!grab);
+        } catch (error) {
+            this.handleError(socket, 'GUESS_SUBMIT_FAILED', error);
+        }
+    }
+
+    async handleVoteDial(socket, { lockIn }) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            const result = this.gameManager.voteDial(room, playerId, lockIn !== false);
+            
+            if (result) {
+                this.io.to(room.id).emit(GAME_EVENTS.GUESS_SUBMITTED, result);
+                console.log(`✅ Shared dial locked in for room ${room.code}`);
+            }
+        } catch (error) {
+            this.handleError(socket, 'GUESS_SUBMIT_FAILED', error);
+        }
+    }
+
+    async handleSubmitCounterGuess(socket, { quadrant }) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            console.log(`⚔️ Counter-guess submitted in room ${room.code}: ${quadrant}`);
+            
+            const result = this.gameManager.submitCounterGuess(room, playerId, quadrant);
+            this.io.to(room.id).emit(GAME_EVENTS.COUNTER_GUESS_SUBMITTED, result);
+            
+            console.log(`✅ Counter-guess submitted successfully in room ${room.code}`);
+        } catch (error) {
+            this.handleError(socket, 'COUNTER_GUESS_FAILED', error);
+        }
+    }
+
+    async handleChooseSpectrum(socket, { index }) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            const result = this.gameManager.chooseSpectrum(room, playerId, index);
+            this.io.to(room.id).emit(GAME_EVENTS.SPECTRUM_CHOSEN, result);
+        } catch (error) {
+            this.handleError(socket, 'SPECTRUM_CHOICE_FAILED', error);
+        }
+    }
+
+    async handleRerollSpectrums(socket) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            socket.emit(GAME_EVENTS.SPECTRUM_OPTIONS, this.gameManager.rerollSpectrums(room, playerId));
+        } catch (error) {
+            this.handleError(socket, 'SPECTRUM_CHOICE_FAILED', error);
+        }
+    }
+
+    async handleRateClue(socket, { rating }) {
+        try {
+            const { room, playerId } = this.getPlayerRoom(socket);
+            this.io.to(room.id).emit(GAME_EVENTS.CLUE_RATINGS, this.gameManager.rateClue(room, playerId, rating));
+        } catch (error) {
+            this.handleError(socket, 'CLUE_RATING_FAILED', error);
+        }
+    }
+
+    async handleChatMessage(socket, { message }) {
+        try {
+            const { room, playerId, playerData } = this.getPlayerRoom(socket, { allowSpectators: true });
+            const { spectator } = playerData;
+            const player = spectator ? room.spectators.get(playerId) : room.players.get(playerId);
             if (!player) {
                 throw new RoomError(
                     'ROOM_JOIN_FAILED',
@@ -254,11 +660,13 @@ class SocketHandler {
             this.validateChatMessage(message);
             console.log(`💬 Chat message in room ${room.code}: ${player.name}: ${message}`);
             
-            this.io.to(room.id).emit(CHAT_EVENTS.MESSAGE, {
+            // Spectator chat stays among spectators, so it can't help the players
+            this.io.to(spectator ? this.getSpectatorChannel(room.id) : room.id).emit(CHAT_EVENTS.MESSAGE, {
                 playerId,
                 playerName: player.name,
                 message: message.trim(),
-                timestamp: Date.now()
+                timestamp: Date.now(),
+                ...(spectator && { channel: 'spectators' })
             });
         } catch (error) {
             this.handleError(socket, 'CHAT_SEND_FAILED', error);
@@ -276,46 +684,95 @@ class SocketHandler {
         
         if (playerId) {
             const playerData = this.connectedPlayers.get(playerId);
+            // Spectators have nothing to come back to
+            if (playerData?.spectator) return this.removePlayer(playerId, socket);
+            
             if (playerData) {
                 this.roomManager.updatePlayerConnection(playerId, false);
                 const room = this.roomManager.getRoomByCode(playerData.roomCode);
-                room && this.io.to(room.id).emit(ROOM_EVENTS.PLAYER_LEFT, {
-                    playerId,
-                    playerName: playerData.playerName,
-                    isDisconnected: true
-                });
+                if (room) {
+                    this.io.to(room.id).emit(ROOM_EVENTS.PLAYER_LEFT, {
+                        playerId,
+                        playerName: playerData.playerName,
+                        isDisconnected: true
+                    });
+                    
+                    const newHost = room.hostId === playerId && this.roomManager.migrateHost(room);
+                    newHost && this.io.to(room.id).emit(ROOM_EVENTS.HOST_CHANGED, {
+                        newHostId: newHost.id,
+                        newHostName: newHost.name
+                    });
+                    this.gameManager.handlePlayerDeparture(room, playerId);
+                    this.recheckCountdown(room);
+                }
             }
             this.connectedPlayers.delete(playerId);
             this.socketPlayers.delete(socket.id);
         }
     }
 
-    removePlayer(playerId, socket) {
-        const playerData = this.connectedPlayers.get(playerId);
+    /**
+     * @param {string} playerId - Departing player's ID
+     * @param {Object} [socket] - Their socket, if they are still connected
+     * @param {Object} [playerData] - Tracking data; defaults to the connected player's
+     * @param {Object} [departure] - Extra room:player-left fields, such as kicked and banned
+     */
+    removePlayer(playerId, socket, playerData = this.connectedPlayers.get(playerId), departure = {}) {
         if (!playerData) return;
         
         try {
+            const room = this.roomManager.getRoomByCode(playerData.roomCode);
             const result = this.roomManager.leaveRoom(playerId);
             console.log(`🚪 Player ${playerData.playerName} left room ${playerData.roomCode}`);
-            socket.leave(playerData.roomId);
+            socket?.leave(playerData.roomId);
             
-            if (!result.roomDeleted) {
+            if (result.spectator) {
+                socket?.leave(this.getSpectatorChannel(playerData.roomId));
+                this.io.to(playerData.roomId).emit(ROOM_EVENTS.SPECTATORS_UPDATED, { spectators: result.room.spectators });
+            } else if (result.roomDeleted) {
+                // Stop the deleted room's deadlines and round timer so no phase fires on it
+                room && this.gameManager.resetGame(room);
+                this.closeRoomForSpectators(playerData.roomId, result.spectatorIds);
+            } else {
                 this.io.to(playerData.roomId).emit(ROOM_EVENTS.PLAYER_LEFT, {
                     playerId,
-                    playerName: playerData.playerName
+                    playerName: playerData.playerName,
+                    ...departure
                 });
                 
                 result.newHost && this.io.to(playerData.roomId).emit(ROOM_EVENTS.HOST_CHANGED, {
                     newHostId: result.newHost.id,
                     newHostName: result.newHost.name
                 });
+                
+                if (room) {
+                    this.gameManager.handlePlayerDeparture(room, playerId, { left: true });
+                    this.recheckCountdown(room);
+                }
             }
         } catch (error) {
             console.error('❌ Error removing player:', error);
         }
         
         this.connectedPlayers.delete(playerId);
-        this.socketPlayers.delete(socket.id);
+        socket && this.socketPlayers.delete(socket.id);
+    }
+
+    /**
+     * Tell the spectators left in a room that closed and stop tracking them
+     * @param {string} roomId - Closed room's ID
+     * @param {Array<string>} spectatorIds - Spectators who were watching
+     */
+    closeRoomForSpectators(roomId, spectatorIds) {
+        this.io.to(roomId).emit(ROOM_EVENTS.CLOSED, { message: 'Every player has left the room' });
+        
+        spectatorIds.forEach(spectatorId => {
+            const spectatorSocket = this.getPlayerSocket(spectatorId);
+            spectatorSocket?.leave(roomId);
+            spectatorSocket?.leave(this.getSpectatorChannel(roomId));
+            this.socketPlayers.delete(this.connectedPlayers.get(spectatorId)?.socketId);
+            this.connectedPlayers.delete(spectatorId);
+        });
     }
 
     // Helper methods
@@ -329,40 +786,66 @@ class SocketHandler {
         const baseRoundData = {
             roundNumber: roundData.roundNumber,
             clueGiverId: roundData.clueGiverId,
+            phase: roundData.phase,
+            spectrumMode: room.settings.spectrumMode,
+            targetCount: room.settings.targetCount,
             spectrumX: room.spectrumX, // Use room's spectrum directly
             spectrumY: room.spectrumY, // Use room's spectrum directly
             duration: roundData.duration,
-            totalRounds: room.totalRounds || 10
+            totalRounds: room.plannedRounds,
+            activeTeam: room.activeTeam,
+            duelSides: room.duelSides,
+            suddenDeath: room.suddenDeath,
+            activatedPlayers: roundData.activatedPlayers
         };
         
-        // Only vary the target coordinate based on who's the clue giver
+        // Only the clue giver gets the target and the spectrum pairs to draft from
         room.players.forEach((player, pid) => {
             const playerSocket = this.getPlayerSocket(pid);
             if (playerSocket) {
                 playerSocket.emit(GAME_EVENTS.ROUND_START, {
                     ...baseRoundData,
-                    targetCoordinate: pid === room.clueGiverId ? room.targetCoordinate : null
+                    targetCoordinate: pid === room.clueGiverId ? room.targetCoordinate : null,
+                    ...(pid === room.clueGiverId && roundData.spectrumOptions && {
+                        spectrumOptions: roundData.spectrumOptions,
+                        rerollsLeft: roundData.rerollsLeft
+                    })
                 });
             }
         });
+        
+        this.io.to(this.getSpectatorChannel(room.id)).emit(GAME_EVENTS.ROUND_START, { ...baseRoundData, targetCoordinate: null });
     }
 
-    calculateTimeRemaining(room) {
-        if (!room.roundStartTime) return 0;
-        return Math.max(0, Math.ceil((this.gameManager.ROUND_DURATION * 1000 - (Date.now() - room.roundStartTime)) / 1000));
-    }
+    /**
+     * @param {string} roomId - Room ID
+     * @returns {string} Socket.IO room holding the room's spectators
+     */
+    getSpectatorChannel = roomId => `${roomId}:spectators`;
+
+    calculateTimeRemaining = room => this.gameManager.getTimeRemaining(room);
 
     getPlayerSocket(playerId) {
         const playerData = this.connectedPlayers.get(playerId);
         return playerData ? this.io.sockets.sockets.get(playerData.socketId) : null;
     }
 
-    getPlayerRoom(socket) {
+    /**
+     * @param {Object} socket - Acting socket
+     * @param {Object} [options]
+     * @param {boolean} [options.allowSpectators] - Let spectators through (chat and state requests)
+     * @returns {Object} { room, playerId, playerData }
+     * @throws {GameError} NOT_A_PLAYER when a spectator tries to play
+     */
+    getPlayerRoom(socket, { allowSpectators = false } = {}) {
         const playerId = this.socketPlayers.get(socket.id);
         if (!playerId) throw new Error('Player not found');
         
         const playerData = this.connectedPlayers.get(playerId);
         if (!playerData?.roomCode) throw new Error('Room not found');
+        if (playerData.spectator && !allowSpectators) {
+            throw new GameError('NOT_A_PLAYER', 'Spectators can only watch and chat');
+        }
         
         const room = this.roomManager.getRoomByCode(playerData.roomCode);
         if (!room) throw new Error('Room not found');
@@ -370,8 +853,30 @@ class SocketHandler {
         return { room, playerId, playerData };
     }
 
-    trackPlayer(socket, playerId, playerName, roomCode, roomId) {
-        const playerData = { socketId: socket.id, playerId, playerName, roomCode, roomId, connectedAt: Date.now() };
+    /**
+     * @param {string} roomCode - Room being joined
+     * @param {string} playerName - Name to join under
+     * @param {string|null} resumeToken - The tab's token from its last seat, which names the player it belonged to
+     * @throws {GameError} ROOM_JOIN_FAILED when the room has banned the name or that player
+     */
+    assertNotBanned(roomCode, playerName, resumeToken) {
+        const room = this.roomManager.getRoomByCode(roomCode);
+        if (!room) return;
+        
+        let seat = null;
+        try {
+            seat = resumeToken && this.resumeTokens.verify(resumeToken);
+        } catch {
+            // An expired or forged token names nobody
+        }
+        
+        if (this.roomManager.isBanned(room, playerName, seat?.playerId)) {
+            throw new GameError('ROOM_JOIN_FAILED', 'You are banned from this room');
+        }
+    }
+
+    trackPlayer(socket, playerId, playerName, roomCode, roomId, { spectator = false } = {}) {
+        const playerData = { socketId: socket.id, playerId, playerName, roomCode, roomId, spectator, connectedAt: Date.now() };
         this.connectedPlayers.set(playerId, playerData);
         this.socketPlayers.set(socket.id, playerId);
     }
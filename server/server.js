@@ -127,7 +127,10 @@ class SpectrumServer {
             version: '1.0.0'
         }));
         
-        this.app.get('/api/spectrums', (req, res) => res.json({ categories: this.spectrums?.categories || {} }));
+        this.app.get('/api/spectrums', (req, res) => res.json({
+            categories: this.spectrums?.categories || {},
+            counts: this.gameManager.getSpectrumCounts()
+        }));
         this.app.get('/api/stats', (req, res) => res.json(getStats()));
         
         // ADD THIS: Serve shared directory for client-side imports
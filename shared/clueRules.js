@@ -0,0 +1,124 @@
+/**
+ * ===================================
+ * SPECTRUM GAME - CLUE RULES
+ * ===================================
+ *
+ * Room-configurable rules a clue must pass on top of Validator.clue:
+ * - spectrum-words: no words from the round's spectrum names and labels (banSpectrumWords)
+ * - banned-words: no words from the room's custom list (bannedWords)
+ * - style: a single word, or emoji only (clueStyle)
+ * - word-limit: at most maxClueWords words
+ *
+ * GameManager.submitClue enforces them; the clue input checks them live.
+ * This file is used by both client and server
+ * ================================= */
+
+/**
+ * Lowercased words of a text (letters, digits and apostrophes)
+ * @param {string} text - Clue or label text
+ * @returns {Array<string>} Words in order
+ */
+function clueWords(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Words clues may not use when banSpectrumWords is on; short words like "of" are left out
+ * @param {Array<Object>} spectrums - The round's spectrums (null entries are skipped)
+ * @returns {Array<string>} Banned words
+ */
+function spectrumWords(spectrums) {
+  const VALIDATION = (typeof window !== 'undefined' && window.VALIDATION) ||
+                     (typeof require !== 'undefined' && require('./constants.js').VALIDATION);
+
+  return spectrums.filter(Boolean)
+    .flatMap(spectrum => clueWords([spectrum.name, spectrum.leftLabel, spectrum.rightLabel].join(' ')))
+    .filter(word => word.length >= VALIDATION.MIN_BANNED_WORD_LENGTH);
+}
+
+/**
+ * A word and its simple inflections: plurals and comparatives, doubling a final consonant ("hotter")
+ * @param {string} word - Banned word
+ * @returns {Array<string>} Forms a clue may not use
+ */
+function inflections(word) {
+  const stems = [word, word + word.at(-1)];
+  return [word, `${word}s`, ...stems.flatMap(stem => [`${stem}er`, `${stem}est`])];
+}
+
+/**
+ * Clue rules keyed by name, checked in order
+ * Each rule says whether the room's settings switch it on and returns an error message when the clue breaks it
+ */
+const CLUE_RULES = {
+  'spectrum-words': {
+    enabled: settings => !!settings.banSpectrumWords,
+    check(clue, { spectrums }) {
+      // Whole words and their inflections, so "hotter" is caught by "Hot" but "hotel" is not
+      const banned = new Set(spectrumWords(spectrums).flatMap(inflections));
+      const word = clueWords(clue).find(w => banned.has(w));
+      return word && `"${word}" is too close to the spectrum labels`;
+    }
+  },
+
+  'banned-words': {
+    enabled: settings => settings.bannedWords?.length > 0,
+    check(clue, { settings }) {
+      const banned = settings.bannedWords.map(word => word.toLowerCase());
+      const word = clueWords(clue).find(w => banned.includes(w));
+      return word && `"${word}" is on this room's banned list`;
+    }
+  },
+
+  style: {
+    enabled: settings => !!settings.clueStyle && settings.clueStyle !== 'free',
+    // Zero-width joiners and variation selectors glue multi-part emoji together
+    // Keycaps like #️⃣ are emoji too; digit keycaps still fall to Validator.clue's no-numbers rule
+    emojiPattern: /^(?:[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\s]|[#*0-9]\ufe0f?\u20e3|\u200d|\ufe0f)+$/u,
+    check(clue, { settings }) {
+      if (settings.clueStyle === 'emoji-only') return !this.emojiPattern.test(clue) && 'Clue must be emoji only';
+      return clue.trim().split(/\s+/).length > 1 && 'Clue must be a single word';
+    }
+  },
+
+  'word-limit': {
+    enabled: settings => settings.maxClueWords > 0,
+    check(clue, { settings }) {
+      const limit = settings.maxClueWords;
+      return clue.trim().split(/\s+/).length > limit && `Clue must be ${limit} word${limit === 1 ? '' : 's'} or fewer`;
+    }
+  }
+};
+
+/**
+ * Check a clue against every rule the room has switched on
+ * @param {string} clue - Clue text (already passed Validator.clue)
+ * @param {Object} context
+ * @param {Object} context.settings - Room settings
+ * @param {Array<Object>} context.spectrums - The round's spectrums
+ * @returns {Object} { valid: true } or { valid: false, error, rule }
+ */
+function checkClueRules(clue, { settings = {}, spectrums = [] } = {}) {
+  for (const [rule, definition] of Object.entries(CLUE_RULES)) {
+    if (!definition.enabled(settings)) continue;
+
+    const error = definition.check(clue, { settings, spectrums });
+    if (error) return { valid: false, error, rule };
+  }
+
+  return { valid: true };
+}
+
+// CommonJS module exports for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CLUE_RULES,
+    checkClueRules
+  };
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.CLUE_RULES = CLUE_RULES;
+  window.checkClueRules = checkClueRules;
+}
@@ -20,17 +20,47 @@ const GAME_RULES = {
   // Player limits
   MIN_PLAYERS: 2,
   MAX_PLAYERS: 6,
+  MAX_SPECTATORS: 20, // per room, on top of the players
   
   // Round settings
   ROUND_DURATION: 120, // seconds
   MAX_ROUNDS: 10,
   RESULTS_VIEWING_TIME: 7000, // ms
   BETWEEN_ROUNDS_DELAY: 3000, // ms
+  START_COUNTDOWN: 3, // seconds counted down before round one (startCountdown setting)
+  
+  // Team mode
+  TEAMS: ['A', 'B'],
+  MIN_TEAM_SIZE: 2, // clue giver plus at least one guesser
+  
+  // Duel mode
+  COUNTER_GUESS_DURATION: 20, // seconds
+  CHOOSE_SPECTRUM_DURATION: 15, // seconds for the clue giver to pick a drafted pair
+  QUADRANTS: ['upper-left', 'upper-right', 'lower-left', 'lower-right'],
+  
+  // Confidence radius (scoringStrategy 'confidence')
+  GUESS_RADIUS_MIN: 3, // distance units
+  GUESS_RADIUS_MAX: 30,
+  GUESS_RADIUS_DEFAULT: 10,
+  
+  // Clue ratings (results phase)
+  CLUE_RATING_MAX: 5, // stars
+  CLUE_RATING_BONUS_THRESHOLD: 4, // average rating that earns the clue giver clueRatingBonus
+  
+  // Tie-breaking (tieBreak 'sudden-death')
+  MAX_SUDDEN_DEATH_ROUNDS: 3, // still tied after these, the best single round decides
+  
+  // Multi-target rounds
+  MIN_TARGET_SPACING: 20, // distance units between targets in one round
+  
+  // Shared dial
+  DIAL_UPDATE_INTERVAL: 100, // ms between dial broadcasts (and client cursor updates)
   
   // Spectrum boundaries
   SPECTRUM_MIN: 0,
   SPECTRUM_MAX: 100,
-  MAX_DISTANCE: Math.sqrt(20000) // ~141.4 (diagonal distance across 100x100 grid)
+  MAX_DISTANCE: Math.sqrt(20000), // ~141.4 (diagonal distance across 100x100 grid)
+  MAX_DISTANCE_1D: 100 // full length of a single spectrum
 };
 
 /**
@@ -41,6 +71,49 @@ const SCORING = {
   BONUS_POINTS: 50
 };
 
+/**
+ * Per-room game settings schema
+ * Each entry holds the default value and either the allowed integer range,
+ * the allowed options (multiple: true for a list of options, labels for display names)
+ * or, for free-form word lists, maxItems and maxLength
+ */
+const ROOM_SETTINGS = {
+  gameMode: { default: 'free-for-all', options: ['free-for-all', 'teams'] },
+  spectrumMode: { default: '2d', options: ['2d', '1d'], labels: ['2D grid', 'Classic 1D'] },
+  duelMode: { default: false, options: [false, true] },
+  sharedDial: { default: false, options: [false, true] }, // guessers move one marker and vote to lock it in
+  scoringStrategy: { default: 'linear', options: ['linear', 'bands', 'exponential', 'per-axis', 'confidence'] }, // see shared/scoring.js
+  counterGuessPoints: { default: 25, min: 0, max: 100 },
+  totalRounds: { default: 10, min: 1, max: 30 },
+  balanceRounds: { default: false, options: [false, true] }, // round totalRounds to a multiple of the player count (see shared/rotation.js)
+  startCountdown: { default: false, options: [false, true] }, // count down 3-2-1 for everyone before round one
+  clueGiverRotation: { default: 'round-robin', options: ['round-robin', 'random', 'fewest-turns'], labels: ['Round robin', 'Random, no repeats', 'Fewest turns first'] },
+  clueDuration: { default: 60, min: 10, max: 300 }, // seconds
+  guessDuration: { default: 60, min: 10, max: 300 }, // seconds
+  bonusThreshold: { default: 10, min: 0, max: 50 }, // distance units
+  bonusPoints: { default: 50, min: 0, max: 200 }, // on the 100-point scale, scaled to the scoring strategy (see scaleBonus)
+  maxPlayers: { default: 4, min: 2, max: 6 },
+  centerExclusionRadius: { default: 20, min: 0, max: 40 }, // distance units from center
+  targetCount: { default: 1, min: 1, max: 3 }, // targets per round, one guess marker each
+  clueRatingBonus: { default: 0, min: 0, max: 50 }, // points for a clue rated CLUE_RATING_BONUS_THRESHOLD or better, scaled like bonusPoints
+  tieBreak: { default: 'shared', options: ['shared', 'best-round', 'sudden-death'], labels: ['Shared victory', 'Best single round', 'Sudden death'] }, // players tied for the lead
+  clueGiverDeparture: { default: 'wait', options: ['wait', 'void-round'], labels: ['Wait for the clue timer', 'Void the round and pass it on'] }, // clue giver disconnects before giving the clue
+  departureGracePeriod: { default: 15, min: 5, max: 60 }, // seconds a disconnected clue giver has to come back (void-round)
+  lateJoinScore: { default: 'zero', options: ['zero', 'lowest', 'average'], labels: ['Zero', 'Lowest score', 'Average score'] }, // starting score for players who join mid-game
+  spectrumCategories: { default: [], options: ['physical', 'emotional', 'abstract', 'social', 'humor'], multiple: true }, // empty = all
+  seed: { default: 0, min: 0, max: 999999 }, // 0 = fresh random seed each game
+  spectrumChoices: { default: 1, min: 1, max: 3 }, // pairs offered to the clue giver; 1 = no draft
+  spectrumRerolls: { default: 0, min: 0, max: 3 }, // rerolls per player per game
+  avoidSameCategory: { default: false, options: [false, true] }, // never pair two spectrums from one category
+  minDifficulty: { default: 'easy', options: ['easy', 'medium', 'hard'] },
+  maxDifficulty: { default: 'hard', options: ['easy', 'medium', 'hard'] },
+  // Clue rules (see shared/clueRules.js)
+  banSpectrumWords: { default: false, options: [false, true] }, // no words from the round's spectrum names and labels
+  clueStyle: { default: 'free', options: ['free', 'single-word', 'emoji-only'], labels: ['Free text', 'Single word', 'Emoji only'] },
+  maxClueWords: { default: 0, min: 0, max: 10 }, // 0 = no limit
+  bannedWords: { default: [], maxItems: 20, maxLength: 30 }
+};
+
 /**
  * Validation constraints
  */
@@ -49,6 +122,7 @@ const VALIDATION = {
   MAX_PLAYER_NAME_LENGTH: 20,
   MAX_CLUE_LENGTH: 100,
   MAX_CHAT_MESSAGE_LENGTH: 200,
+  MIN_BANNED_WORD_LENGTH: 3, // shorter spectrum label words ("of", "a") stay usable in clues
   
   // Regex patterns
   PLAYER_NAME_PATTERN: /^[a-zA-Z0-9\s\-_]+$/,
@@ -65,6 +139,7 @@ const NETWORK = {
   INITIAL_RECONNECT_DELAY: 1000, // ms
   MAX_RECONNECT_DELAY: 30000, // ms
   CONNECTION_TIMEOUT: 10000, // ms
+  RESUME_TOKEN_TTL: 86400000, // ms a resume token can reclaim a seat (24 hours)
   
   // Server URLs
   LOCAL_SERVER_URL: 'http://localhost:3000',
@@ -114,17 +189,32 @@ const ERROR_CODES = {
   INVALID_ROOM_CODE: 'INVALID_ROOM_CODE',
   INVALID_CLUE: 'INVALID_CLUE',
   INVALID_GUESS: 'INVALID_GUESS',
+  INVALID_QUADRANT: 'INVALID_QUADRANT',
+  INVALID_RATING: 'INVALID_RATING',
+  INVALID_ROOM_SETTINGS: 'INVALID_ROOM_SETTINGS',
   
   // Room errors
   ROOM_CREATE_FAILED: 'ROOM_CREATE_FAILED',
   ROOM_JOIN_FAILED: 'ROOM_JOIN_FAILED',
+  SETTINGS_UPDATE_FAILED: 'SETTINGS_UPDATE_FAILED',
+  TEAM_SWITCH_FAILED: 'TEAM_SWITCH_FAILED',
+  READY_FAILED: 'READY_FAILED',
   ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
   ROOM_FULL: 'ROOM_FULL',
+  NOT_A_PLAYER: 'NOT_A_PLAYER',
+  RESUME_FAILED: 'RESUME_FAILED',
+  MODERATION_FAILED: 'MODERATION_FAILED',
   
   // Game errors
   GAME_START_FAILED: 'GAME_START_FAILED',
   CLUE_SUBMIT_FAILED: 'CLUE_SUBMIT_FAILED',
   GUESS_SUBMIT_FAILED: 'GUESS_SUBMIT_FAILED',
+  COUNTER_GUESS_FAILED: 'COUNTER_GUESS_FAILED',
+  SPECTRUM_CHOICE_FAILED: 'SPECTRUM_CHOICE_FAILED',
+  CLUE_RATING_FAILED: 'CLUE_RATING_FAILED',
+  GAME_PAUSE_FAILED: 'GAME_PAUSE_FAILED',
+  GAME_RESUME_FAILED: 'GAME_RESUME_FAILED',
+  GAME_ABORT_FAILED: 'GAME_ABORT_FAILED',
   
   // Connection errors
   CONNECTION_FAILED: 'CONNECTION_FAILED',
@@ -136,6 +226,7 @@ const ERROR_CODES = {
 const CONSTANTS = {
   GAME_RULES,
   SCORING,
+  ROOM_SETTINGS,
   VALIDATION,
   NETWORK,
   UI,
@@ -147,6 +238,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     GAME_RULES,
     SCORING,
+    ROOM_SETTINGS,
     VALIDATION,
     NETWORK,
     UI,
@@ -159,6 +251,7 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
   window.GAME_RULES = GAME_RULES;
   window.SCORING = SCORING;
+  window.ROOM_SETTINGS = ROOM_SETTINGS;
   window.VALIDATION = VALIDATION;
   window.NETWORK = NETWORK;
   window.UI = UI;
@@ -12,6 +12,9 @@
  * This file is used by both client and server
  * ================================= */
 
+// Named apart from ERROR_CODES: in the browser this file shares the global scope with constants.js
+const CODES = (typeof window !== 'undefined' && window.ERROR_CODES) ||
+              (typeof require !== 'undefined' && require('./constants.js').ERROR_CODES);
 
 /**
  * Base GameError class for standardized error handling
@@ -137,7 +140,7 @@ class GameLogicError extends GameError {
  */
 function createPlayerNameError(name, message = 'Invalid player name') {
   return new ValidationError(
-    ERROR_CODES.INVALID_PLAYER_NAME,
+    CODES.INVALID_PLAYER_NAME,
     message,
     'playerName',
     name
@@ -152,7 +155,7 @@ function createPlayerNameError(name, message = 'Invalid player name') {
  */
 function createRoomCodeError(code, message = 'Invalid room code') {
   return new ValidationError(
-    ERROR_CODES.INVALID_ROOM_CODE,
+    CODES.INVALID_ROOM_CODE,
     message,
     'roomCode',
     code
@@ -167,7 +170,7 @@ function createRoomCodeError(code, message = 'Invalid room code') {
  */
 function createClueError(clue, message = 'Invalid clue') {
   return new ValidationError(
-    ERROR_CODES.INVALID_CLUE,
+    CODES.INVALID_CLUE,
     message,
     'clue',
     clue
@@ -182,7 +185,7 @@ function createClueError(clue, message = 'Invalid clue') {
  */
 function createCoordinateError(coord, message = 'Invalid coordinate') {
   return new ValidationError(
-    ERROR_CODES.INVALID_GUESS,
+    CODES.INVALID_GUESS,
     message,
     'coordinate',
     coord
@@ -196,7 +199,7 @@ function createCoordinateError(coord, message = 'Invalid coordinate') {
  */
 function createRoomNotFoundError(roomCode) {
   return new RoomError(
-    ERROR_CODES.ROOM_NOT_FOUND,
+    CODES.ROOM_NOT_FOUND,
     `Room ${roomCode} not found`,
     roomCode
   );
@@ -210,7 +213,7 @@ function createRoomNotFoundError(roomCode) {
  */
 function createRoomFullError(roomCode, maxPlayers) {
   return new RoomError(
-    ERROR_CODES.ROOM_FULL,
+    CODES.ROOM_FULL,
     `Room ${roomCode} is full (max ${maxPlayers} players)`,
     roomCode
   );
@@ -224,7 +227,7 @@ function createRoomFullError(roomCode, maxPlayers) {
  */
 function createConnectionError(message, details = null) {
   return new NetworkError(
-    ERROR_CODES.CONNECTION_FAILED,
+    CODES.CONNECTION_FAILED,
     message,
     details
   );
@@ -238,7 +241,7 @@ function createConnectionError(message, details = null) {
  */
 function createGameStateError(message, phase) {
   return new GameLogicError(
-    ERROR_CODES.GAME_START_FAILED,
+    CODES.GAME_START_FAILED,
     message,
     phase
   );
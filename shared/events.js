@@ -33,7 +33,18 @@ const ROOM_EVENTS = {
   PLAYER_JOINED: 'room:player-joined',
   PLAYER_LEFT: 'room:player-left',
   HOST_CHANGED: 'room:host-changed',
-  SETTINGS_UPDATED: 'room:settings-updated'
+  UPDATE_SETTINGS: 'room:update-settings',
+  SWITCH_TEAM: 'room:switch-team',
+  TEAMS_UPDATED: 'room:teams-updated',
+  SETTINGS_UPDATED: 'room:settings-updated',
+  SPECTATORS_UPDATED: 'room:spectators-updated',
+  RESUME: 'room:resume',
+  KICK: 'room:kick',
+  BAN: 'room:ban',
+  TRANSFER_HOST: 'room:transfer-host',
+  KICKED: 'room:kicked',
+  READY_UPDATED: 'room:ready-updated',
+  CLOSED: 'room:closed'
 };
 
 /**
@@ -45,12 +56,30 @@ const GAME_EVENTS = {
   ROUND_START: 'game:round-start',
   SUBMIT_CLUE: 'game:submit-clue',
   CLUE_SUBMITTED: 'game:clue-submitted',
+  MOVE_GUESS: 'game:move-guess',
   SUBMIT_GUESS: 'game:submit-guess',
+  MOVE_DIAL: 'game:move-dial',
+  VOTE_DIAL: 'game:vote-dial',
+  DIAL_UPDATE: 'game:dial-update',
   GUESS_SUBMITTED: 'game:guess-submitted',
+  SPECTRUM_OPTIONS: 'game:spectrum-options',
+  CHOOSE_SPECTRUM: 'game:choose-spectrum',
+  REROLL_SPECTRUMS: 'game:reroll-spectrums',
+  SPECTRUM_CHOSEN: 'game:spectrum-chosen',
+  COUNTER_GUESS_START: 'game:counter-guess-start',
+  SUBMIT_COUNTER_GUESS: 'game:submit-counter-guess',
+  COUNTER_GUESS_SUBMITTED: 'game:counter-guess-submitted',
   ROUND_END: 'game:round-end',
+  RATE_CLUE: 'game:rate-clue',
+  CLUE_RATINGS: 'game:clue-ratings',
+  ROUND_VOIDED: 'game:round-voided',
+  COUNTDOWN: 'game:countdown',
   FINISHED: 'game:finished',
   PHASE_CHANGE: 'game:phase-change',
-  REQUEST_STATE: 'game:request-state'
+  REQUEST_STATE: 'game:request-state',
+  PAUSE: 'game:pause',
+  RESUME: 'game:resume',
+  ABORT: 'game:abort'
 };
 
 /**
@@ -58,6 +87,7 @@ const GAME_EVENTS = {
  */
 const PLAYER_EVENTS = {
   DISCONNECT: 'player:disconnect',
+  READY: 'player:ready',
   UPDATE: 'player:update'
 };
 
@@ -74,7 +104,9 @@ const CHAT_EVENTS = {
  */
 const TIMER_EVENTS = {
   UPDATE: 'timer:update',
-  EXPIRED: 'timer:expired'
+  EXPIRED: 'timer:expired',
+  PAUSED: 'timer:paused',
+  RESUMED: 'timer:resumed'
 };
 
 /**
@@ -84,10 +116,14 @@ const UI_EVENTS = {
   CREATE_ROOM: 'ui:create-room',
   JOIN_ROOM: 'ui:join-room',
   START_GAME: 'ui:start-game',
+  UPDATE_SETTINGS: 'ui:update-settings',
+  SWITCH_TEAM: 'ui:switch-team',
   SUBMIT_CLUE: 'ui:submit-clue',
   SEND_CHAT: 'ui:send-chat',
   LEAVE_ROOM: 'ui:leave-room',
-  SPECTRUM_GUESS_PLACED: 'spectrum:guess-placed'
+  SPECTRUM_GUESS_PLACED: 'spectrum:guess-placed',
+  SPECTRUM_DIAL_MOVED: 'spectrum:dial-moved',
+  SPECTRUM_QUADRANT_SELECTED: 'spectrum:quadrant-selected'
 };
 
 /**
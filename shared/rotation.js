@@ -0,0 +1,45 @@
+/**
+ * ===================================
+ * SPECTRUM GAME - ROUND PLANNING
+ * ===================================
+ *
+ * How many rounds a game plays, shown in the lobby and fixed when the game starts.
+ * With balanceRounds the round count becomes a multiple of the player count, so
+ * every player gives the same number of clues. The clue giver rotation itself
+ * (clueGiverRotation) is applied by GameManager.
+ * This file is used by both client and server
+ * ================================= */
+
+/**
+ * Rounds a game will play
+ * Balancing rounds totalRounds up to the next multiple of the player count,
+ * or down when that would pass the totalRounds maximum. Team games alternate
+ * teams instead of cycling through everyone, so they keep totalRounds.
+ * @param {Object} settings - Room settings
+ * @param {number} playerCount - Players in the room
+ * @returns {number} Planned round count
+ */
+function plannedRounds(settings, playerCount) {
+  const ROOM_SETTINGS = (typeof window !== 'undefined' && window.ROOM_SETTINGS) ||
+                        (typeof require !== 'undefined' && require('./constants.js').ROOM_SETTINGS);
+  const { totalRounds, balanceRounds, gameMode } = settings;
+
+  if (!balanceRounds || gameMode === 'teams' || playerCount < 1) return totalRounds;
+
+  const roundedUp = Math.ceil(totalRounds / playerCount) * playerCount;
+  return roundedUp <= ROOM_SETTINGS.totalRounds.max
+    ? roundedUp
+    : Math.floor(totalRounds / playerCount) * playerCount;
+}
+
+// CommonJS module exports for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    plannedRounds
+  };
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.plannedRounds = plannedRounds;
+}
@@ -0,0 +1,192 @@
+/**
+ * ===================================
+ * SPECTRUM GAME - SCORING STRATEGIES
+ * ===================================
+ *
+ * Registry of guess scoring strategies:
+ * - linear: points fall off in proportion to distance
+ * - bands: concentric 4/3/2 point bands like the physical game
+ * - exponential: steep falloff that rewards near misses
+ * - per-axis: each axis scored on its own
+ * - confidence: guesses carry a radius; narrower circles that hit score more
+ *
+ * The host picks one per room (ROOM_SETTINGS.scoringStrategy).
+ * Guesses are {x, y} coordinates on the 2D grid (plus a radius for strategies
+ * with usesRadius) or plain numbers in 1D mode. In multi-target rounds guesses
+ * and targets are arrays, scored through the best guess-to-target assignment.
+ * This file is used by both client and server
+ * ================================= */
+
+// Named apart from GAME_RULES: in the browser this file shares the global scope with constants.js
+const RULES = (typeof window !== 'undefined' && window.GAME_RULES) ||
+              (typeof require !== 'undefined' && require('./constants.js').GAME_RULES);
+
+/**
+ * Distance between a guess and the target, in 1D or 2D
+ * @param {Object|number|Array} guess - Guess coordinate {x, y}, 1D position, or one marker per target
+ * @param {Object|number|Array} target - Target coordinate {x, y}, 1D position, or the round's targets
+ * @returns {number} Distance in grid units (the mean over the closest assignment for multiple targets)
+ */
+function guessDistance(guess, target) {
+  if (Array.isArray(guess)) {
+    return -matchTargets(guess, target, (g, t) => -guessDistance(g, t)).value / guess.length;
+  }
+  
+  return typeof guess === 'number'
+    ? Math.abs(guess - target)
+    : Math.hypot(guess.x - target.x, guess.y - target.y);
+}
+
+/**
+ * Every ordering of 0..n-1
+ * @param {number} n - Number of items
+ * @returns {Array<Array<number>>} Permutations
+ */
+function permutations(n) {
+  if (n <= 1) return [Array.from({ length: n }, (_, i) => i)];
+  return permutations(n - 1).flatMap(order =>
+    Array.from({ length: n }, (_, i) => [...order.slice(0, i), n - 1, ...order.slice(i)]));
+}
+
+/**
+ * Pair each guess marker with one target so the total pair value is as high as possible.
+ * Rounds have at most three targets, so every assignment is tried.
+ * @param {Array} guesses - One marker per target
+ * @param {Array} targets - The round's targets
+ * @param {Function} pairValue - (guess, target) => value, higher is better
+ * @returns {Object} { order, value } where order[i] is the target index matched to guesses[i]
+ */
+function matchTargets(guesses, targets, pairValue) {
+  return permutations(targets.length).reduce((best, order) => {
+    const value = order.reduce((sum, targetIndex, i) => sum + pairValue(guesses[i], targets[targetIndex]), 0);
+    return !best || value > best.value ? { order, value } : best;
+  }, null);
+}
+
+/**
+ * Scoring strategies keyed by their room setting value
+ * Each strategy scores a single guess against the target, up to its maxScore
+ */
+const SCORING_STRATEGIES = {
+  linear: {
+    label: 'Linear',
+    description: 'Up to 100 points, falling off evenly with distance',
+    maxScore: 100,
+    score(guess, target) {
+      const maxDistance = typeof guess === 'number' ? RULES.MAX_DISTANCE_1D : RULES.MAX_DISTANCE;
+      return Math.max(0, Math.round(100 * (1 - guessDistance(guess, target) / maxDistance)));
+    }
+  },
+
+  bands: {
+    label: 'Bands',
+    description: '4, 3 or 2 points for landing in the inner, middle or outer band',
+    maxScore: 4,
+    bands: [
+      { radius: 5, points: 4 },
+      { radius: 12, points: 3 },
+      { radius: 20, points: 2 }
+    ],
+    score(guess, target) {
+      const distance = guessDistance(guess, target);
+      return this.bands.find(band => distance <= band.radius)?.points ?? 0;
+    }
+  },
+
+  exponential: {
+    label: 'Exponential',
+    description: 'Up to 100 points, dropping quickly as the guess moves away',
+    maxScore: 100,
+    falloff: 20, // distance at which the score drops to ~37%
+    score(guess, target) {
+      return Math.round(100 * Math.exp(-guessDistance(guess, target) / this.falloff));
+    }
+  },
+
+  'per-axis': {
+    label: 'Per axis',
+    description: 'Up to 50 points for each axis, based on the distance along that axis',
+    maxScore: 100,
+    score(guess, target) {
+      const range = RULES.SPECTRUM_MAX - RULES.SPECTRUM_MIN;
+      const axisScore = delta => 50 * (1 - Math.abs(delta) / range);
+      
+      // A single spectrum has one axis worth the full 100 points
+      if (typeof guess === 'number') return Math.max(0, Math.round(2 * axisScore(guess - target)));
+      return Math.max(0, Math.round(axisScore(guess.x - target.x) + axisScore(guess.y - target.y)));
+    }
+  },
+
+  confidence: {
+    label: 'Confidence',
+    description: 'Draw a circle around your guess: a hit scores 100 points for the narrowest circle down to 10 for the widest, a miss scores 0',
+    maxScore: 100,
+    usesRadius: true,
+    score(guess, target) {
+      const radius = guess.radius ?? 0;
+      if (guessDistance(guess, target) > radius) return 0;
+      
+      const width = (radius - RULES.GUESS_RADIUS_MIN) / (RULES.GUESS_RADIUS_MAX - RULES.GUESS_RADIUS_MIN);
+      return Math.round(100 - 90 * Math.min(1, Math.max(0, width)));
+    }
+  }
+};
+
+/**
+ * Score a guess with the given strategy
+ * @param {string} strategy - Strategy key (falls back to linear when unknown)
+ * @param {Object|number|Array} guess - Guess coordinate {x, y}, 1D position, or one marker per target
+ * @param {Object|number|Array} target - Target coordinate {x, y}, 1D position, or the round's targets
+ * @returns {number} Points for the guess (summed over the markers for multiple targets)
+ */
+function scoreGuess(strategy, guess, target) {
+  const scorer = SCORING_STRATEGIES[strategy] || SCORING_STRATEGIES.linear;
+  if (Array.isArray(guess)) return matchTargets(guess, target, (g, t) => scorer.score(g, t)).value;
+  
+  return scorer.score(guess, target);
+}
+
+/**
+ * The guess-to-target assignment a multi-target guess was scored with
+ * @param {string} strategy - Strategy key (falls back to linear when unknown)
+ * @param {Array} guess - One marker per target
+ * @param {Array} targets - The round's targets
+ * @returns {Array<number>} Target index matched to each marker
+ */
+function assignTargets(strategy, guess, targets) {
+  const scorer = SCORING_STRATEGIES[strategy] || SCORING_STRATEGIES.linear;
+  return matchTargets(guess, targets, (g, t) => scorer.score(g, t)).order;
+}
+
+/**
+ * Scale a bonus set on the 100-point scale (bonusPoints, clueRatingBonus) to the strategy's scores,
+ * so a bonus keeps the same weight against a guess whichever strategy the room plays
+ * @param {string} strategy - Strategy key (falls back to linear when unknown)
+ * @param {number} points - Bonus on the 100-point scale
+ * @returns {number} Bonus in the strategy's points
+ */
+function scaleBonus(strategy, points) {
+  const scorer = SCORING_STRATEGIES[strategy] || SCORING_STRATEGIES.linear;
+  return Math.round(points * scorer.maxScore / 100);
+}
+
+// CommonJS module exports for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCORING_STRATEGIES,
+    guessDistance,
+    matchTargets,
+    scoreGuess,
+    assignTargets,
+    scaleBonus
+  };
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.SCORING_STRATEGIES = SCORING_STRATEGIES;
+  window.guessDistance = guessDistance;
+  window.scoreGuess = scoreGuess;
+  window.assignTargets = assignTargets;
+  window.scaleBonus = scaleBonus;
+}
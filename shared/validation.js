@@ -7,7 +7,8 @@
  * - Player names
  * - Room codes
  * - Clues
- * - Coordinates
+ * - Coordinates and 1D positions
+ * - Room settings
  * - Chat messages
  *
  * This file is used by both client and server
@@ -104,8 +105,8 @@ class Validator {
   }
 
   /**
-   * Validate a coordinate
-   * @param {Object} coord - The coordinate to validate {x, y}
+   * Validate a coordinate, with an optional confidence radius
+   * @param {Object} coord - The coordinate to validate {x, y} or {x, y, radius}
    * @param {number} min - Minimum allowed value (default: 0)
    * @param {number} max - Maximum allowed value (default: 100)
    * @returns {Object} Validation result with valid flag and error message if invalid
@@ -122,7 +123,195 @@ class Validator {
       };
     }
     
-    return { valid: true, value: { x: coord.x, y: coord.y } };
+    if (coord.radius === undefined) return { valid: true, value: { x: coord.x, y: coord.y } };
+    
+    const GAME_RULES = (typeof window !== 'undefined' && window.GAME_RULES) ||
+                       (typeof require !== 'undefined' && require('./constants.js').GAME_RULES);
+    
+    if (typeof coord.radius !== 'number' || Number.isNaN(coord.radius) ||
+        coord.radius < GAME_RULES.GUESS_RADIUS_MIN || coord.radius > GAME_RULES.GUESS_RADIUS_MAX) {
+      return {
+        valid: false,
+        error: `Radius must be between ${GAME_RULES.GUESS_RADIUS_MIN} and ${GAME_RULES.GUESS_RADIUS_MAX}`
+      };
+    }
+    
+    return { valid: true, value: { x: coord.x, y: coord.y, radius: coord.radius } };
+  }
+
+  /**
+   * Validate a position on a single (1D) spectrum
+   * @param {number} position - The position to validate
+   * @param {number} min - Minimum allowed value (default: 0)
+   * @param {number} max - Maximum allowed value (default: 100)
+   * @returns {Object} Validation result with valid flag and error message if invalid
+   */
+  static position(position, min = 0, max = 100) {
+    if (typeof position !== 'number' || Number.isNaN(position)) {
+      return { valid: false, error: 'Invalid position format' };
+    }
+    
+    if (position < min || position > max) {
+      return {
+        valid: false,
+        error: `Position must be between ${min} and ${max}`
+      };
+    }
+    
+    return { valid: true, value: position };
+  }
+
+  /**
+   * Validate a counter-guess quadrant
+   * @param {string} quadrant - The quadrant to validate (e.g. 'upper-left')
+   * @returns {Object} Validation result with valid flag and error message if invalid
+   */
+  static quadrant(quadrant) {
+    const GAME_RULES = (typeof window !== 'undefined' && window.GAME_RULES) ||
+                       (typeof require !== 'undefined' && require('./constants.js').GAME_RULES);
+
+    if (!GAME_RULES.QUADRANTS.includes(quadrant)) {
+      return { valid: false, error: `Quadrant must be one of: ${GAME_RULES.QUADRANTS.join(', ')}` };
+    }
+
+    return { valid: true, value: quadrant };
+  }
+
+  /**
+   * Validate a clue rating
+   * @param {number} rating - Whole number of stars
+   * @returns {Object} Validation result with valid flag and error message if invalid
+   */
+  static clueRating(rating) {
+    const GAME_RULES = (typeof window !== 'undefined' && window.GAME_RULES) ||
+                       (typeof require !== 'undefined' && require('./constants.js').GAME_RULES);
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > GAME_RULES.CLUE_RATING_MAX) {
+      return { valid: false, error: `Rating must be a whole number from 1 to ${GAME_RULES.CLUE_RATING_MAX}` };
+    }
+
+    return { valid: true, value: rating };
+  }
+
+  /**
+   * Validate room settings against the ROOM_SETTINGS schema
+   * @param {Object} settings - The settings to validate (may be partial)
+   * @param {Object} current - Settings to apply the changes on top of (default: schema defaults)
+   * @returns {Object} Validation result with the merged settings, or the offending field if invalid
+   */
+  static roomSettings(settings, current = null) {
+    const ROOM_SETTINGS = (typeof window !== 'undefined' && window.ROOM_SETTINGS) ||
+                          (typeof require !== 'undefined' && require('./constants.js').ROOM_SETTINGS);
+
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { valid: false, error: 'Invalid settings format', field: 'settings', value: settings };
+    }
+
+    const merged = current
+      ? { ...current }
+      : Object.fromEntries(Object.entries(ROOM_SETTINGS).map(([key, rule]) =>
+          [key, Array.isArray(rule.default) ? [...rule.default] : rule.default]));
+
+    for (const [key, value] of Object.entries(settings)) {
+      const rule = ROOM_SETTINGS[key];
+
+      if (!rule) {
+        return { valid: false, error: `Unknown room setting: ${key}`, field: key, value };
+      }
+
+      if (rule.options) {
+        const values = rule.multiple && Array.isArray(value) ? value : [value];
+        if ((rule.multiple && !Array.isArray(value)) || !values.every(v => rule.options.includes(v))) {
+          return {
+            valid: false,
+            error: `${key} must be ${rule.multiple ? 'a list of' : 'one of'}: ${rule.options.join(', ')}`,
+            field: key,
+            value
+          };
+        }
+
+        merged[key] = rule.multiple ? [...new Set(value)] : value;
+        continue;
+      }
+
+      if (rule.maxItems !== undefined) {
+        const words = Array.isArray(value) && value.every(word => typeof word === 'string')
+          ? [...new Set(value.map(word => word.trim().toLowerCase()).filter(Boolean))]
+          : null;
+        if (!words || words.length > rule.maxItems || words.some(word => word.length > rule.maxLength || /\s/.test(word))) {
+          return {
+            valid: false,
+            error: `${key} must be a list of at most ${rule.maxItems} single words of up to ${rule.maxLength} characters`,
+            field: key,
+            value
+          };
+        }
+
+        merged[key] = words;
+        continue;
+      }
+
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        return {
+          valid: false,
+          error: `${key} must be a whole number between ${rule.min} and ${rule.max}`,
+          field: key,
+          value
+        };
+      }
+
+      merged[key] = value;
+    }
+
+    const difficulties = ROOM_SETTINGS.minDifficulty.options;
+    if (difficulties.indexOf(merged.minDifficulty) > difficulties.indexOf(merged.maxDifficulty)) {
+      return {
+        valid: false,
+        error: 'minDifficulty cannot be harder than maxDifficulty',
+        field: 'minDifficulty',
+        value: merged.minDifficulty
+      };
+    }
+
+    if (merged.duelMode && merged.spectrumMode === '1d') {
+      return {
+        valid: false,
+        error: 'Duel mode needs the 2D grid',
+        field: 'duelMode',
+        value: merged.duelMode
+      };
+    }
+
+    if (merged.scoringStrategy === 'confidence' && (merged.spectrumMode === '1d' || merged.sharedDial)) {
+      return {
+        valid: false,
+        error: merged.sharedDial
+          ? 'Confidence scoring cannot be combined with the shared dial'
+          : 'Confidence scoring needs the 2D grid',
+        field: 'scoringStrategy',
+        value: merged.scoringStrategy
+      };
+    }
+
+    if (merged.targetCount > 1 && (merged.duelMode || merged.sharedDial || merged.scoringStrategy === 'confidence')) {
+      return {
+        valid: false,
+        error: 'Multiple targets cannot be combined with duel mode, the shared dial or confidence scoring',
+        field: 'targetCount',
+        value: merged.targetCount
+      };
+    }
+
+    if (merged.tieBreak === 'sudden-death' && merged.sharedDial) {
+      return {
+        valid: false,
+        error: 'Sudden death needs individual guesses, so it cannot be combined with the shared dial',
+        field: 'tieBreak',
+        value: merged.tieBreak
+      };
+    }
+
+    return { valid: true, value: merged };
   }
 
   /**
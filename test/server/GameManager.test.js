@@ -0,0 +1,250 @@
+/**
+ * GameManager flows driven by phase deadlines, on mocked timers
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RoomManager = require('../../server/game/RoomManager.js');
+const { GameManager } = require('../../server/game/GameManager.js');
+const spectrums = require('../../server/config/spectrums.json');
+
+let roomManager, gameManager, emitted;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+    mock.method(console, 'log', () => {});
+    roomManager = new RoomManager();
+    gameManager = new GameManager(spectrums);
+    emitted = [];
+});
+
+afterEach(() => {
+    gameManager.cleanup();
+    roomManager.cleanup();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+/**
+ * A room with players p0..pN-1 (p0 hosts) and a game started
+ */
+const startGame = (playerCount, settings = {}) => {
+    const { code } = roomManager.createRoom('p0', 'P0', settings);
+    for (let i = 1; i < playerCount; i++) roomManager.joinRoom(code, `p${i}`, `P${i}`);
+
+    const room = roomManager.getRoomByCode(code);
+    room.io = { to: () => ({ emit: (event, data) => emitted.push({ event, data }) }) };
+    room.phase = 'active';
+    gameManager.startRound(room);
+    return room;
+};
+
+const lastEmit = event => emitted.filter(e => e.event === event).pop()?.data;
+
+const leave = (room, playerId) => {
+    roomManager.leaveRoom(playerId);
+    gameManager.handlePlayerDeparture(room, playerId, { left: true });
+};
+
+const disconnect = (room, playerId) => {
+    roomManager.updatePlayerConnection(playerId, false);
+    gameManager.handlePlayerDeparture(room, playerId);
+};
+
+const reconnect = (room, playerId) => {
+    roomManager.updatePlayerConnection(playerId, true);
+    gameManager.handlePlayerReturn(room, playerId);
+};
+
+/**
+ * Finish the last round with p1 and p2 tied ahead of p0, which calls a sudden-death round
+ */
+const tieForSuddenDeath = room => {
+    Object.assign(room.players.get('p0'), { score: 10 });
+    Object.assign(room.players.get('p1'), { score: 50 });
+    Object.assign(room.players.get('p2'), { score: 50 });
+    room.bestDistances = { p1: 3, p2: 5 };
+    room.phase = 'results';
+    gameManager.concludeGame(room);
+    assert.deepEqual(room.suddenDeath.players, ['p1', 'p2']);
+};
+
+test('a tie for the lead plays sudden death, with the clue from outside the tie', () => {
+    const room = startGame(3, { tieBreak: 'sudden-death', totalRounds: 1 });
+    tieForSuddenDeath(room);
+    mock.timers.tick(gameManager.BETWEEN_ROUNDS_DELAY);
+    assert.equal(room.clueGiverId, 'p0');
+
+    gameManager.submitClue(room, 'p0', 'warm');
+    const target = room.targetCoordinate;
+    gameManager.submitGuess(room, 'p2', { x: target.x > 50 ? 0 : 100, y: target.y });
+    gameManager.submitGuess(room, 'p1', target);
+    mock.timers.tick(1000);
+    assert.equal(lastEmit('game:round-end').suddenDeath.winner, 'p1');
+
+    mock.timers.tick(gameManager.RESULTS_VIEWING_TIME);
+    const results = lastEmit('game:finished');
+    assert.equal(results.winner, 'p1');
+    assert.deepEqual(results.tieBreak, { method: 'sudden-death', players: ['p1', 'p2'], rounds: 1 });
+    assert.equal(results.gameStats.suddenDeathRounds, 1);
+});
+
+test('sudden death ends on the best-round tie-break when nobody outside the tie is left', () => {
+    const room = startGame(3, { tieBreak: 'sudden-death', totalRounds: 1 });
+    tieForSuddenDeath(room);
+
+    leave(room, 'p0');
+    mock.timers.tick(gameManager.BETWEEN_ROUNDS_DELAY);
+
+    const results = lastEmit('game:finished');
+    assert.equal(room.phase, 'finished');
+    assert.equal(results.winner, 'p1');
+    assert.equal(results.tieBreak.method, 'best-round');
+    assert.equal(results.gameStats.suddenDeathRounds, 0);
+    assert.ok(!('undefined' in room.clueTurns));
+});
+
+test('sudden death ends when its only possible clue giver leaves and the round is voided', () => {
+    const room = startGame(3, { tieBreak: 'sudden-death', totalRounds: 1, clueGiverDeparture: 'void-round' });
+    tieForSuddenDeath(room);
+    mock.timers.tick(gameManager.BETWEEN_ROUNDS_DELAY);
+    assert.equal(room.clueGiverId, 'p0');
+
+    leave(room, 'p0');
+    mock.timers.tick(0);
+
+    assert.equal(room.phase, 'finished');
+    assert.equal(lastEmit('game:finished').winner, 'p1');
+});
+
+test('pausing freezes the phase deadline and refuses submissions until resumed', () => {
+    const room = startGame(2);
+    const clueSeconds = room.settings.clueDuration;
+    mock.timers.tick(10000);
+
+    gameManager.pauseGame(room);
+    assert.equal(lastEmit('timer:paused').timeRemaining, clueSeconds - 10);
+    assert.throws(() => gameManager.pauseGame(room), { code: 'GAME_PAUSE_FAILED' });
+    assert.throws(() => gameManager.submitClue(room, room.clueGiverId, 'warm'), { code: 'CLUE_SUBMIT_FAILED' });
+
+    mock.timers.tick(clueSeconds * 1000);
+    assert.equal(room.phase, 'giving-clue');
+
+    gameManager.resumeGame(room);
+    assert.equal(gameManager.getTimeRemaining(room), clueSeconds - 10);
+    assert.throws(() => gameManager.resumeGame(room), { code: 'GAME_RESUME_FAILED' });
+    gameManager.submitClue(room, room.clueGiverId, 'warm');
+    assert.equal(room.phase, 'guessing');
+});
+
+test('aborting ends the game with the scores so far and returns the room to the lobby', () => {
+    const room = startGame(2);
+    room.players.get('p1').score = 30;
+
+    const results = gameManager.abortGame(room);
+    assert.equal(results.aborted, true);
+    assert.equal(results.finalScores.p1, 30);
+    assert.equal(results.gameStats.totalRounds, 0);
+    assert.equal(room.phase, 'lobby');
+    assert.equal(room.players.get('p1').score, 0);
+    assert.equal(gameManager.phaseTimers.rooms.has(room.id), false);
+    assert.equal(gameManager.gameTimers.has(room.id), false);
+    assert.throws(() => gameManager.abortGame(room), { code: 'GAME_ABORT_FAILED' });
+});
+
+test('a clue giver who stays away past the grace period has the round voided and passed on', () => {
+    const room = startGame(3, { clueGiverDeparture: 'void-round', departureGracePeriod: 5 });
+    const [round, clueGiverId] = [room.currentRound, room.clueGiverId];
+
+    disconnect(room, clueGiverId);
+    mock.timers.tick(4999);
+    assert.equal(room.clueGiverId, clueGiverId);
+
+    mock.timers.tick(1);
+    assert.deepEqual(lastEmit('game:round-voided'), { roundNumber: round, clueGiverId, reason: 'The clue giver disconnected' });
+    assert.equal(room.currentRound, round);
+    assert.notEqual(room.clueGiverId, clueGiverId);
+    assert.equal(room.phase, 'giving-clue');
+});
+
+test('a clue giver back within the grace period keeps the round', () => {
+    const room = startGame(3, { clueGiverDeparture: 'void-round', departureGracePeriod: 5 });
+    const clueGiverId = room.clueGiverId;
+
+    disconnect(room, clueGiverId);
+    mock.timers.tick(3000);
+    reconnect(room, clueGiverId);
+    mock.timers.tick(5000);
+
+    assert.equal(lastEmit('game:round-voided'), undefined);
+    assert.equal(room.clueGiverId, clueGiverId);
+});
+
+test('guessing completes without the guessers who disconnected', () => {
+    const room = startGame(3);
+    gameManager.submitClue(room, room.clueGiverId, 'warm');
+    const [first, second] = gameManager.getGuessers(room);
+
+    gameManager.submitGuess(room, first, { x: 10, y: 10 });
+    disconnect(room, second);
+    mock.timers.tick(1000);
+
+    assert.equal(room.phase, 'results');
+    assert.ok(lastEmit('game:round-end'));
+});
+
+test('the game pauses while too few players are connected and resumes when one returns', () => {
+    const room = startGame(2);
+    const guesser = gameManager.getGuessers(room)[0];
+
+    disconnect(room, guesser);
+    assert.equal(gameManager.isPaused(room), true);
+    assert.equal(lastEmit('timer:paused').reason, 'Waiting for players to reconnect');
+
+    mock.timers.tick(room.settings.clueDuration * 1000);
+    assert.equal(room.phase, 'giving-clue');
+
+    reconnect(room, guesser);
+    assert.equal(gameManager.isPaused(room), false);
+    assert.ok(lastEmit('timer:resumed'));
+});
+
+test('bands rounds pay the closeness and clue rating bonuses in band points', () => {
+    const room = startGame(2, { scoringStrategy: 'bands', bonusPoints: 50, clueRatingBonus: 50 });
+    const [clueGiverId, guesser] = [room.clueGiverId, gameManager.getGuessers(room)[0]];
+    gameManager.submitClue(room, clueGiverId, 'warm');
+    gameManager.submitGuess(room, guesser, room.targetCoordinate);
+    mock.timers.tick(1000);
+
+    const { roundScores, bonusAwarded } = lastEmit('game:round-end');
+    assert.equal(bonusAwarded, true);
+    assert.deepEqual(roundScores, { [guesser]: 4, [clueGiverId]: 4 + 2 });
+
+    gameManager.rateClue(room, guesser, 5);
+    mock.timers.tick(gameManager.RESULTS_VIEWING_TIME);
+    assert.equal(lastEmit('game:clue-ratings').bonus, 2);
+    assert.equal(room.players.get(clueGiverId).score, 4 + 2 + 2);
+});
+
+test('the average round time is measured from each round\'s start to its results, pauses excluded', () => {
+    const room = startGame(2, { totalRounds: 2 });
+    const playRound = seconds => {
+        mock.timers.tick(seconds * 1000 - 1000);
+        gameManager.submitClue(room, room.clueGiverId, 'warm');
+        gameManager.submitGuess(room, gameManager.getGuessers(room)[0], { x: 10, y: 10 });
+        mock.timers.tick(1000);
+        assert.equal(room.phase, 'results');
+    };
+
+    gameManager.pauseGame(room);
+    mock.timers.tick(60000);
+    gameManager.resumeGame(room);
+    playRound(20);
+
+    mock.timers.tick(gameManager.RESULTS_VIEWING_TIME);
+    mock.timers.tick(gameManager.BETWEEN_ROUNDS_DELAY);
+    playRound(30);
+    mock.timers.tick(gameManager.RESULTS_VIEWING_TIME);
+
+    assert.equal(lastEmit('game:finished').gameStats.averageRoundTime, 25);
+});
@@ -0,0 +1,132 @@
+/**
+ * PhaseTimer: named per-room deadlines that pause and resume together
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PhaseTimer } = require('../../server/game/PhaseTimer.js');
+
+let timers;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+    timers = new PhaseTimer();
+});
+
+afterEach(() => {
+    timers.cleanup();
+    mock.timers.reset();
+});
+
+test('a deadline expires once, after its duration', () => {
+    const onExpire = mock.fn();
+    timers.start('room', 'guessing', 1000, onExpire);
+
+    mock.timers.tick(999);
+    assert.equal(onExpire.mock.callCount(), 0);
+    assert.equal(timers.remaining('room', 'guessing'), 1);
+
+    mock.timers.tick(1);
+    mock.timers.tick(5000);
+    assert.equal(onExpire.mock.callCount(), 1);
+    assert.equal(timers.has('room', 'guessing'), false);
+    assert.equal(timers.remaining('room', 'guessing'), 0);
+});
+
+test('restarting a deadline replaces the old one', () => {
+    const first = mock.fn();
+    const second = mock.fn();
+    timers.start('room', 'clue', 1000, first);
+    mock.timers.tick(600);
+    timers.start('room', 'clue', 1000, second);
+
+    mock.timers.tick(600);
+    assert.equal(first.mock.callCount(), 0);
+    assert.equal(timers.remaining('room', 'clue'), 400);
+
+    mock.timers.tick(400);
+    assert.equal(second.mock.callCount(), 1);
+});
+
+test('pause freezes every deadline in the room and resume continues with the time left', () => {
+    const clue = mock.fn();
+    const settle = mock.fn();
+    timers.start('room', 'clue', 1000, clue);
+    timers.start('room', 'settle', 300, settle);
+    mock.timers.tick(200);
+
+    assert.equal(timers.pause('room'), true);
+    assert.equal(timers.pause('room'), false);
+    assert.equal(timers.isPaused('room'), true);
+
+    mock.timers.tick(10000);
+    assert.equal(clue.mock.callCount(), 0);
+    assert.equal(settle.mock.callCount(), 0);
+    assert.equal(timers.remaining('room', 'clue'), 800);
+    assert.equal(timers.remaining('room', 'settle'), 100);
+
+    assert.equal(timers.resume('room'), true);
+    assert.equal(timers.resume('room'), false);
+    mock.timers.tick(100);
+    assert.equal(settle.mock.callCount(), 1);
+    assert.equal(timers.remaining('room', 'clue'), 700);
+    mock.timers.tick(700);
+    assert.equal(clue.mock.callCount(), 1);
+});
+
+test('a deadline started while paused waits for resume', () => {
+    const onExpire = mock.fn();
+    timers.pause('room');
+    timers.start('room', 'results', 500, onExpire);
+
+    mock.timers.tick(1000);
+    assert.equal(onExpire.mock.callCount(), 0);
+    assert.equal(timers.remaining('room', 'results'), 500);
+
+    timers.resume('room');
+    mock.timers.tick(500);
+    assert.equal(onExpire.mock.callCount(), 1);
+});
+
+test('rooms keep separate deadlines and pause states', () => {
+    const a = mock.fn();
+    const b = mock.fn();
+    timers.start('a', 'clue', 100, a);
+    timers.start('b', 'clue', 100, b);
+    timers.pause('a');
+
+    mock.timers.tick(100);
+    assert.equal(a.mock.callCount(), 0);
+    assert.equal(b.mock.callCount(), 1);
+    assert.equal(timers.isPaused('b'), false);
+});
+
+test('clear drops one deadline', () => {
+    const cleared = mock.fn();
+    const kept = mock.fn();
+    timers.start('room', 'departure', 100, cleared);
+    timers.start('room', 'clue', 100, kept);
+    timers.clear('room', 'departure');
+
+    mock.timers.tick(100);
+    assert.equal(cleared.mock.callCount(), 0);
+    assert.equal(kept.mock.callCount(), 1);
+});
+
+test('clearRoom keeps the pause state and removeRoom drops it', () => {
+    const onExpire = mock.fn();
+    timers.start('room', 'clue', 100, onExpire);
+    timers.pause('room');
+
+    timers.clearRoom('room');
+    assert.equal(timers.has('room', 'clue'), false);
+    assert.equal(timers.isPaused('room'), true);
+
+    timers.start('room', 'guessing', 100, onExpire);
+    timers.removeRoom('room');
+    assert.equal(timers.isPaused('room'), false);
+    assert.equal(timers.rooms.has('room'), false);
+
+    mock.timers.tick(1000);
+    assert.equal(onExpire.mock.callCount(), 0);
+});
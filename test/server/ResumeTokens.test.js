@@ -0,0 +1,42 @@
+/**
+ * ResumeTokens: signed tokens that let a reconnecting player reclaim their seat
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ResumeTokens } = require('../../server/network/ResumeTokens.js');
+
+const resumeFailed = message => error => error.code === 'RESUME_FAILED' && message.test(error.message);
+
+test('a token verifies back to the seat it was issued for', () => {
+    const tokens = new ResumeTokens('secret');
+    const data = tokens.verify(tokens.issue('player_1', 'ABC123'));
+    assert.equal(data.playerId, 'player_1');
+    assert.equal(data.roomCode, 'ABC123');
+    assert.ok(data.issuedAt <= Date.now());
+});
+
+test('tampered payloads and signatures are refused', () => {
+    const tokens = new ResumeTokens('secret');
+    const [, signature] = tokens.issue('player_1', 'ABC123').split('.');
+    const forged = Buffer.from(JSON.stringify({ playerId: 'player_2', roomCode: 'ABC123', issuedAt: Date.now() })).toString('base64url');
+
+    assert.throws(() => tokens.verify(`${forged}.${signature}`), resumeFailed(/Invalid/));
+    assert.throws(() => tokens.verify(`${forged}.${signature.slice(1)}`), resumeFailed(/Invalid/));
+});
+
+test('tokens signed with another secret are refused', () => {
+    const token = new ResumeTokens('other').issue('player_1', 'ABC123');
+    assert.throws(() => new ResumeTokens('secret').verify(token), resumeFailed(/Invalid/));
+});
+
+test('malformed tokens are refused', () => {
+    const tokens = new ResumeTokens('secret');
+    [undefined, null, 42, '', 'no-dot', '.'].forEach(token =>
+        assert.throws(() => tokens.verify(token), resumeFailed(/Invalid/)));
+});
+
+test('expired tokens are refused', () => {
+    const tokens = new ResumeTokens('secret', -1);
+    assert.throws(() => tokens.verify(tokens.issue('player_1', 'ABC123')), resumeFailed(/expired/));
+});
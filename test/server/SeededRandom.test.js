@@ -0,0 +1,47 @@
+/**
+ * SeededRandom: per-room generator that makes a seed replay the same game
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SeededRandom } = require('../../server/game/SeededRandom.js');
+const { ROOM_SETTINGS } = require('../../shared/constants.js');
+
+const draws = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed produces the same sequence', () => {
+    assert.deepEqual(draws(new SeededRandom(1234), 20), draws(new SeededRandom(1234), 20));
+    assert.notDeepEqual(draws(new SeededRandom(1234), 20), draws(new SeededRandom(1235), 20));
+});
+
+test('next stays in [0, 1)', () => {
+    draws(new SeededRandom(42), 1000).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('int and pick stay in range', () => {
+    const random = new SeededRandom(7);
+    const items = ['a', 'b', 'c'];
+    for (let i = 0; i < 200; i++) {
+        const value = random.int(5);
+        assert.ok(Number.isInteger(value) && value >= 0 && value < 5);
+        assert.ok(items.includes(random.pick(items)));
+    }
+    assert.equal(random.pick([]), undefined);
+});
+
+test('shuffle permutes in place and repeats for the same seed', () => {
+    const items = Array.from({ length: 10 }, (_, i) => i);
+    const shuffled = new SeededRandom(99).shuffle([...items]);
+    assert.deepEqual([...shuffled].sort((a, b) => a - b), items);
+    assert.deepEqual(new SeededRandom(99).shuffle([...items]), shuffled);
+
+    const array = [1, 2, 3];
+    assert.equal(new SeededRandom(1).shuffle(array), array);
+});
+
+test('generateSeed never returns 0 or passes the seed maximum', () => {
+    for (let i = 0; i < 200; i++) {
+        const seed = SeededRandom.generateSeed();
+        assert.ok(Number.isInteger(seed) && seed >= 1 && seed <= ROOM_SETTINGS.seed.max);
+    }
+});
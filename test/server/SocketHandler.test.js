@@ -0,0 +1,197 @@
+/**
+ * SocketHandler flows, driven through fake sockets on mocked timers
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RoomManager = require('../../server/game/RoomManager.js');
+const { GameManager } = require('../../server/game/GameManager.js');
+const { SocketHandler } = require('../../server/network/SocketHandler.js');
+const { ROOM_EVENTS, GAME_EVENTS, PLAYER_EVENTS } = require('../../shared/events.js');
+const spectrums = require('../../server/config/spectrums.json');
+
+let roomManager, gameManager, socketHandler, io, sockets;
+
+/**
+ * Just enough of a socket.io server for SocketHandler: rooms, broadcasts and per-socket handlers
+ */
+const createIo = () => ({
+    sockets: { sockets: new Map() },
+    on() {},
+    to: roomId => ({
+        emit: (event, data) => sockets.filter(s => s.rooms.has(roomId)).forEach(s => s.received.push({ event, data }))
+    })
+});
+
+const connect = () => {
+    const socket = {
+        id: `socket_${sockets.length}`,
+        rooms: new Set(),
+        received: [],
+        handlers: {},
+        join(roomId) { this.rooms.add(roomId); },
+        leave(roomId) { this.rooms.delete(roomId); },
+        emit(event, data) { this.received.push({ event, data }); },
+        to: roomId => ({
+            emit: (event, data) => sockets.filter(s => s !== socket && s.rooms.has(roomId))
+                .forEach(s => s.received.push({ event, data }))
+        }),
+        on(event, handler) { this.handlers[event] = handler; },
+        send(event, data = {}) { return this.handlers[event](data); },
+        last(event) { return this.received.filter(r => r.event === event).pop()?.data; }
+    };
+    sockets.push(socket);
+    io.sockets.sockets.set(socket.id, socket);
+    socketHandler.setupSocketEventHandlers(socket);
+    return socket;
+};
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+    mock.method(console, 'log', () => {});
+    sockets = [];
+    roomManager = new RoomManager();
+    gameManager = new GameManager(spectrums);
+    io = createIo();
+    socketHandler = new SocketHandler(io, roomManager, gameManager);
+});
+
+afterEach(() => {
+    gameManager.cleanup();
+    roomManager.cleanup();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+/**
+ * Host plus guests in one lobby
+ */
+const openRoom = async (guestCount = 1, settings = {}) => {
+    const host = connect();
+    await host.send(ROOM_EVENTS.CREATE, { playerName: 'Host', settings });
+    const { roomCode } = host.last(ROOM_EVENTS.CREATED);
+
+    const guests = [];
+    for (let i = 0; i < guestCount; i++) {
+        const guest = connect();
+        await guest.send(ROOM_EVENTS.JOIN, { playerName: `Guest${i}`, roomCode });
+        guests.push(guest);
+    }
+
+    return { room: roomManager.getRoomByCode(roomCode), host, guests };
+};
+
+/**
+ * Host plus guests in one room, everyone ready and the game started
+ */
+const startGame = async (guestCount = 1, settings = {}) => {
+    const { room, host, guests } = await openRoom(guestCount, settings);
+
+    for (const socket of [host, ...guests]) await socket.send(PLAYER_EVENTS.READY, { ready: true });
+    await host.send(GAME_EVENTS.START);
+
+    assert.ok(gameManager.isGameRunning(room));
+    return { room, host, guests };
+};
+
+test('the last player leaving stops the deleted room\'s timers', async () => {
+    const { room, host, guests } = await startGame();
+
+    await guests[0].send(PLAYER_EVENTS.DISCONNECT);
+    await host.send(PLAYER_EVENTS.DISCONNECT);
+
+    assert.equal(roomManager.getRoomByCode(room.code), null);
+    assert.equal(gameManager.phaseTimers.rooms.has(room.id), false);
+    assert.equal(gameManager.gameTimers.has(room.id), false);
+
+    const phase = room.phase;
+    mock.timers.tick(room.settings.clueDuration * 1000 + gameManager.RESULTS_VIEWING_TIME);
+    assert.equal(room.phase, phase);
+});
+
+test('a disconnected player doesn\'t hold up the start', async () => {
+    const { room, host, guests } = await openRoom(2);
+    for (const socket of [host, guests[0]]) await socket.send(PLAYER_EVENTS.READY, { ready: true });
+
+    await host.send(GAME_EVENTS.START);
+    assert.equal(room.phase, 'lobby');
+
+    await guests[1].handlers.disconnect('transport close');
+    await host.send(GAME_EVENTS.START);
+    assert.ok(gameManager.isGameRunning(room));
+});
+
+test('the start countdown stops when a player is no longer ready', async () => {
+    const { room, host, guests } = await openRoom(1, { startCountdown: true });
+    for (const socket of [host, ...guests]) await socket.send(PLAYER_EVENTS.READY, { ready: true });
+
+    await host.send(GAME_EVENTS.START);
+    mock.timers.tick(1000);
+    await guests[0].send(PLAYER_EVENTS.READY, { ready: false });
+
+    assert.equal(host.last(GAME_EVENTS.COUNTDOWN).cancelled, true);
+    mock.timers.tick(5000);
+    assert.equal(room.phase, 'lobby');
+});
+
+test('the start countdown stops when a disconnect leaves too few players', async () => {
+    const { room, host, guests } = await openRoom(1, { startCountdown: true });
+    for (const socket of [host, ...guests]) await socket.send(PLAYER_EVENTS.READY, { ready: true });
+
+    await host.send(GAME_EVENTS.START);
+    await guests[0].handlers.disconnect('transport close');
+
+    assert.deepEqual(host.last(GAME_EVENTS.COUNTDOWN), { count: null, cancelled: true, reason: 'Not enough players to start game' });
+    mock.timers.tick(5000);
+    assert.equal(room.phase, 'lobby');
+});
+
+/**
+ * Drop a guest's connection and take the seat back on a new socket with their resume token
+ */
+const resume = async guest => {
+    const { resumeToken } = guest.last(ROOM_EVENTS.JOINED);
+    await guest.handlers.disconnect('transport close');
+
+    const socket = connect();
+    await socket.send(ROOM_EVENTS.RESUME, { resumeToken });
+    return socket;
+};
+
+/**
+ * A started game with the clue given: the clue giver's socket and the two guessers' sockets
+ */
+const startGuessing = async () => {
+    const { room, host, guests } = await startGame(2);
+    const playerOf = socket => socketHandler.socketPlayers.get(socket.id);
+    const [clueGiver, ...guessers] = [host, ...guests].sort((a, b) =>
+        (playerOf(b) === room.clueGiverId) - (playerOf(a) === room.clueGiverId));
+
+    await clueGiver.send(GAME_EVENTS.SUBMIT_CLUE, { clue: 'warm' });
+    assert.equal(room.phase, 'guessing');
+    return { room, host, guessers, playerOf };
+};
+
+test('a player resuming mid-round gets back their locked-in guess and who has guessed', async () => {
+    const { guessers, playerOf } = await startGuessing();
+    const guesser = guessers.find(socket => socket.last(ROOM_EVENTS.JOINED));
+    const playerId = playerOf(guesser);
+    await guesser.send(GAME_EVENTS.SUBMIT_GUESS, { coordinate: { x: 10, y: 10 } });
+
+    const { gameState } = (await resume(guesser)).last(GAME_EVENTS.STATE_UPDATE);
+    assert.equal(gameState.phase, 'guessing');
+    assert.deepEqual(gameState.myGuess, { x: 10, y: 10 });
+    assert.deepEqual(gameState.guessedPlayers, [playerId]);
+    assert.equal(gameState.roundResults, null);
+});
+
+test('a player resuming during the results gets the round result', async () => {
+    const { room, host, guessers } = await startGuessing();
+    for (const socket of guessers) await socket.send(GAME_EVENTS.SUBMIT_GUESS, { coordinate: { x: 10, y: 10 } });
+    mock.timers.tick(1000);
+    assert.equal(room.phase, 'results');
+
+    const guest = guessers.find(socket => socket.last(ROOM_EVENTS.JOINED));
+    const { gameState } = (await resume(guest)).last(GAME_EVENTS.STATE_UPDATE);
+    assert.deepEqual(gameState.roundResults, host.last(GAME_EVENTS.ROUND_END));
+});
@@ -0,0 +1,66 @@
+/**
+ * Clue rules the host can switch on per room
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkClueRules } = require('../../shared/clueRules.js');
+const Validator = require('../../shared/validation.js');
+
+const spectrums = [
+  { name: 'Hot to Cold', leftLabel: 'Hot', rightLabel: 'Cold' },
+  null
+];
+
+const broken = (clue, settings) => checkClueRules(clue, { settings, spectrums });
+
+test('every clue passes when no rule is switched on', () => {
+  assert.deepEqual(checkClueRules('hot hot hot'), { valid: true });
+  assert.deepEqual(broken('hot', { clueStyle: 'free', maxClueWords: 0, bannedWords: [] }), { valid: true });
+});
+
+test('spectrum-words catches label words and their inflections', () => {
+  const settings = { banSpectrumWords: true };
+  assert.equal(broken('Hotter than lava', settings).rule, 'spectrum-words');
+  assert.match(broken('Hotter than lava', settings).error, /"hotter"/);
+  assert.equal(broken('coldest', settings).rule, 'spectrum-words');
+  assert.equal(broken('colds', settings).rule, 'spectrum-words');
+  assert.equal(broken('lava', settings).valid, true);
+  // Words that only start with a label are fine
+  assert.equal(broken('hotel', settings).valid, true);
+  assert.equal(broken('coldplay', settings).valid, true);
+  // "to" from the spectrum name is too short to ban
+  assert.equal(broken('to the moon', settings).valid, true);
+});
+
+test('banned-words matches whole words without regard to case', () => {
+  const settings = { bannedWords: ['Pizza'] };
+  assert.equal(broken('cold PIZZA', settings).rule, 'banned-words');
+  assert.equal(broken('pizzas', settings).valid, true);
+});
+
+test('style enforces single words or emoji only', () => {
+  assert.equal(broken('two words', { clueStyle: 'single-word' }).rule, 'style');
+  assert.equal(broken(' volcano ', { clueStyle: 'single-word' }).valid, true);
+  assert.equal(broken('🔥 🧊', { clueStyle: 'emoji-only' }).valid, true);
+  assert.equal(broken('👩‍🚀', { clueStyle: 'emoji-only' }).valid, true);
+  assert.equal(broken('fire 🔥', { clueStyle: 'emoji-only' }).rule, 'style');
+});
+
+test('emoji-only accepts keycaps, with digit keycaps refused as numbers', () => {
+  assert.equal(broken('#️⃣ *️⃣', { clueStyle: 'emoji-only' }).valid, true);
+  assert.equal(broken('#', { clueStyle: 'emoji-only' }).rule, 'style');
+  assert.equal(Validator.clue('#️⃣').valid, true);
+  assert.equal(Validator.clue('1️⃣').error, 'Clue cannot contain numbers');
+});
+
+test('word-limit counts words against maxClueWords', () => {
+  assert.equal(broken('one two three', { maxClueWords: 2 }).error, 'Clue must be 2 words or fewer');
+  assert.equal(broken('one two', { maxClueWords: 1 }).error, 'Clue must be 1 word or fewer');
+  assert.equal(broken('one two', { maxClueWords: 2 }).valid, true);
+});
+
+test('rules are checked in order and the first broken one is reported', () => {
+  const settings = { banSpectrumWords: true, bannedWords: ['hot'], maxClueWords: 1 };
+  assert.equal(broken('hot stuff', settings).rule, 'spectrum-words');
+});
@@ -0,0 +1,31 @@
+/**
+ * plannedRounds: round counts with and without balanced rounds
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { plannedRounds } = require('../../shared/rotation.js');
+const { ROOM_SETTINGS } = require('../../shared/constants.js');
+
+const settings = overrides => ({ totalRounds: 10, balanceRounds: true, gameMode: 'free-for-all', ...overrides });
+
+test('totalRounds stands when balanceRounds is off', () => {
+  assert.equal(plannedRounds(settings({ balanceRounds: false }), 3), 10);
+});
+
+test('balanced rounds round up to a multiple of the player count', () => {
+  assert.equal(plannedRounds(settings(), 3), 12);
+  assert.equal(plannedRounds(settings(), 5), 10);
+  assert.equal(plannedRounds(settings({ totalRounds: 1 }), 4), 4);
+});
+
+test('balanced rounds round down rather than pass the maximum', () => {
+  const max = ROOM_SETTINGS.totalRounds.max;
+  assert.equal(plannedRounds(settings({ totalRounds: max }), 4), Math.floor(max / 4) * 4);
+  assert.ok(plannedRounds(settings({ totalRounds: max - 1 }), 6) <= max);
+});
+
+test('team games and empty rooms keep totalRounds', () => {
+  assert.equal(plannedRounds(settings({ gameMode: 'teams' }), 3), 10);
+  assert.equal(plannedRounds(settings(), 0), 10);
+});
@@ -0,0 +1,80 @@
+/**
+ * Scoring strategies and the multi-target guess-to-target assignment
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCORING_STRATEGIES, guessDistance, matchTargets, scoreGuess, assignTargets, scaleBonus } = require('../../shared/scoring.js');
+const { GAME_RULES } = require('../../shared/constants.js');
+
+const center = { x: 50, y: 50 };
+
+test('guessDistance works on the grid and on a single spectrum', () => {
+  assert.equal(guessDistance({ x: 0, y: 0 }, { x: 3, y: 4 }), 5);
+  assert.equal(guessDistance(20, 65), 45);
+});
+
+test('linear scores fall off evenly to zero at the maximum distance', () => {
+  assert.equal(scoreGuess('linear', center, center), 100);
+  assert.equal(scoreGuess('linear', { x: 0, y: 0 }, { x: 100, y: 100 }), 0);
+  assert.equal(scoreGuess('linear', 0, 50), 50);
+});
+
+test('bands award 4, 3 or 2 points by distance', () => {
+  assert.equal(scoreGuess('bands', center, { x: 55, y: 50 }), 4);
+  assert.equal(scoreGuess('bands', center, { x: 62, y: 50 }), 3);
+  assert.equal(scoreGuess('bands', center, { x: 70, y: 50 }), 2);
+  assert.equal(scoreGuess('bands', center, { x: 71, y: 50 }), 0);
+});
+
+test('exponential drops to about 37% at the falloff distance', () => {
+  assert.equal(scoreGuess('exponential', center, center), 100);
+  assert.equal(scoreGuess('exponential', 0, SCORING_STRATEGIES.exponential.falloff), 37);
+});
+
+test('per-axis scores each axis out of 50, or one axis out of 100 in 1D', () => {
+  assert.equal(scoreGuess('per-axis', { x: 50, y: 0 }, { x: 50, y: 100 }), 50);
+  assert.equal(scoreGuess('per-axis', { x: 40, y: 60 }, { x: 50, y: 50 }), 90);
+  assert.equal(scoreGuess('per-axis', 25, 75), 50);
+});
+
+test('confidence rewards narrow circles that contain the target', () => {
+  const target = { x: 55, y: 50 };
+  assert.equal(scoreGuess('confidence', { ...center, radius: 4 }, target), 0);
+  assert.equal(scoreGuess('confidence', { ...center, radius: GAME_RULES.GUESS_RADIUS_MIN + 2 }, target), 100 - Math.round(90 * 2 / 27));
+  assert.equal(scoreGuess('confidence', { ...center, radius: GAME_RULES.GUESS_RADIUS_MAX }, target), 10);
+  assert.equal(scoreGuess('confidence', center, center), 100);
+});
+
+test('unknown strategies fall back to linear', () => {
+  assert.equal(scoreGuess('golf', center, { x: 60, y: 50 }), scoreGuess('linear', center, { x: 60, y: 50 }));
+});
+
+test('bonuses are scaled to the strategy\'s top score', () => {
+  assert.equal(scaleBonus('linear', 50), 50);
+  assert.equal(scaleBonus('bands', 50), 2);
+  assert.equal(scaleBonus('bands', 200), 8);
+  assert.equal(scaleBonus('golf', 30), 30);
+  Object.values(SCORING_STRATEGIES).forEach(strategy => assert.ok(strategy.maxScore > 0));
+});
+
+test('matchTargets picks the assignment with the highest total value', () => {
+  const closeness = (g, t) => -Math.abs(g - t);
+  assert.deepEqual(matchTargets([90, 10], [10, 90], closeness), { order: [1, 0], value: 0 });
+  assert.deepEqual(matchTargets([5, 50, 95], [50, 95, 5], closeness).order, [2, 0, 1]);
+  assert.deepEqual(matchTargets([7], [3], closeness), { order: [0], value: -4 });
+});
+
+test('multi-target guesses are scored through the best assignment', () => {
+  const targets = [{ x: 10, y: 10 }, { x: 90, y: 90 }];
+  const guess = [{ x: 90, y: 90 }, { x: 10, y: 10 }];
+  assert.equal(scoreGuess('linear', guess, targets), 200);
+  assert.equal(guessDistance([{ x: 90, y: 93 }, { x: 14, y: 10 }], targets), 3.5);
+});
+
+test('assignTargets reports the assignment the strategy scored with', () => {
+  const targets = [{ x: 20, y: 20 }, { x: 80, y: 80 }, { x: 20, y: 80 }];
+  const guess = [{ x: 22, y: 78 }, { x: 18, y: 22 }, { x: 79, y: 81 }];
+  assert.deepEqual(assignTargets('linear', guess, targets), [2, 0, 1]);
+  assert.deepEqual(assignTargets('bands', guess, targets), [2, 0, 1]);
+});
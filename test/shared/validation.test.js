@@ -0,0 +1,83 @@
+/**
+ * Validator.roomSettings: schema checks and the rules for combining settings
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Validator = require('../../shared/validation.js');
+const { ROOM_SETTINGS } = require('../../shared/constants.js');
+
+const rejects = (updates, field, current) => {
+  const result = Validator.roomSettings(updates, current);
+  assert.equal(result.valid, false);
+  assert.equal(result.field, field);
+  return result;
+};
+
+test('fills in schema defaults when there are no current settings', () => {
+  const { valid, value } = Validator.roomSettings({ totalRounds: 5 });
+  assert.equal(valid, true);
+  assert.equal(value.totalRounds, 5);
+  assert.equal(value.scoringStrategy, ROOM_SETTINGS.scoringStrategy.default);
+  assert.deepEqual(value.spectrumCategories, []);
+});
+
+test('applies updates on top of the current settings', () => {
+  const current = Validator.roomSettings({ spectrumMode: '1d' }).value;
+  const { value } = Validator.roomSettings({ totalRounds: 3 }, current);
+  assert.equal(value.spectrumMode, '1d');
+  assert.equal(value.totalRounds, 3);
+  assert.notEqual(value, current);
+});
+
+test('rejects unknown keys, out-of-range numbers and unlisted options', () => {
+  rejects({ nope: 1 }, 'nope');
+  rejects({ totalRounds: ROOM_SETTINGS.totalRounds.max + 1 }, 'totalRounds');
+  rejects({ totalRounds: 2.5 }, 'totalRounds');
+  rejects({ scoringStrategy: 'golf' }, 'scoringStrategy');
+  rejects({ spectrumCategories: 'physical' }, 'spectrumCategories');
+  assert.equal(Validator.roomSettings(null).valid, false);
+  assert.equal(Validator.roomSettings([]).valid, false);
+});
+
+test('normalizes list settings', () => {
+  const { value } = Validator.roomSettings({
+    spectrumCategories: ['humor', 'humor', 'social'],
+    bannedWords: [' Hot ', 'hot', '', 'cold']
+  });
+  assert.deepEqual(value.spectrumCategories, ['humor', 'social']);
+  assert.deepEqual(value.bannedWords, ['hot', 'cold']);
+  rejects({ bannedWords: ['two words'] }, 'bannedWords');
+});
+
+test('minDifficulty cannot be harder than maxDifficulty', () => {
+  rejects({ minDifficulty: 'hard', maxDifficulty: 'easy' }, 'minDifficulty');
+  assert.equal(Validator.roomSettings({ minDifficulty: 'medium', maxDifficulty: 'medium' }).valid, true);
+});
+
+test('duel mode needs the 2D grid', () => {
+  rejects({ duelMode: true, spectrumMode: '1d' }, 'duelMode');
+});
+
+test('confidence scoring needs the 2D grid and individual guesses', () => {
+  assert.match(rejects({ scoringStrategy: 'confidence', spectrumMode: '1d' }, 'scoringStrategy').error, /2D grid/);
+  assert.match(rejects({ scoringStrategy: 'confidence', sharedDial: true }, 'scoringStrategy').error, /shared dial/);
+  assert.equal(Validator.roomSettings({ scoringStrategy: 'confidence' }).valid, true);
+});
+
+test('multiple targets rule out duel mode, the shared dial and confidence scoring', () => {
+  rejects({ targetCount: 2, duelMode: true }, 'targetCount');
+  rejects({ targetCount: 2, sharedDial: true }, 'targetCount');
+  rejects({ targetCount: 3, scoringStrategy: 'confidence' }, 'targetCount');
+  assert.equal(Validator.roomSettings({ targetCount: 3 }).valid, true);
+});
+
+test('sudden death cannot be combined with the shared dial', () => {
+  rejects({ tieBreak: 'sudden-death', sharedDial: true }, 'tieBreak');
+});
+
+test('combination rules also check the settings already in place', () => {
+  const current = Validator.roomSettings({ sharedDial: true }).value;
+  rejects({ tieBreak: 'sudden-death' }, 'tieBreak', current);
+  rejects({ targetCount: 2 }, 'targetCount', current);
+});